@@ -0,0 +1,58 @@
+/**
+ * Director Providers
+ * A director turns a recipe into a midi spec and a midi spec into a video
+ * spec. Every provider implements the same interface:
+ *
+ *   name                               provider name
+ *   describe(stage)                    JSON-serializable identity, used as a cache key
+ *                                      ("midi" or "video" stage)
+ *   getMidiSpec(recipe, context)       → midi webhook response ({ recipe, midi_spec })
+ *   getVideoSpec(midiResult, context)  → video webhook response ({ video_spec })
+ *
+ * context carries { recipeUrl, recipe } for providers that need more than
+ * their main argument.
+ */
+
+import createWebhookDirector from "./providers/webhook.js";
+import createFileDirector from "./providers/file.js";
+import createLocalDirector from "./providers/local.js";
+
+const PROVIDERS = {
+  webhook: createWebhookDirector,
+  file: createFileDirector,
+  local: createLocalDirector,
+};
+
+/**
+ * Get the names of the available director providers.
+ * @returns {string[]} Provider names
+ */
+export function getDirectorNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create a director provider.
+ * @param {string|Object} config - Provider name, a config object with a
+ *   `provider` name plus provider options, or an already-built provider
+ *   (default DIRECTOR env var, then "webhook")
+ * @returns {Object} Director provider
+ * @throws {Error} If the provider name is unknown
+ */
+export function createDirector(config = process.env.DIRECTOR || "webhook") {
+  if (typeof config === "object" && typeof config.getMidiSpec === "function") {
+    return config;
+  }
+
+  const { provider = process.env.DIRECTOR || "webhook", ...options } =
+    typeof config === "string" ? { provider: config } : config;
+
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown director "${provider}", expected one of ${getDirectorNames().join(", ")}`,
+    );
+  }
+
+  return factory(options);
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeJsonFile } from "../helpers.js";
+import { validateSpec } from "../midi-generation/index.js";
+import { validateVideoSpec } from "../slideshow-generation/index.js";
+import { createDirector, getDirectorNames } from "./index.js";
+
+const recipe = {
+  name: "Tomato Soup",
+  ingredients: ["1 kg tomatoes", "2 cloves garlic"],
+  steps: ["Roast the tomatoes.", "Blend with the garlic."],
+  times: { prep_minutes: 10, cook_minutes: 45, total_minutes: 55 },
+  images: ["https://example.com/soup.jpg"],
+};
+
+function withDirectorEnv(t, value) {
+  const previous = process.env.DIRECTOR;
+  t.after(() => {
+    if (previous === undefined) delete process.env.DIRECTOR;
+    else process.env.DIRECTOR = previous;
+  });
+  if (value === undefined) delete process.env.DIRECTOR;
+  else process.env.DIRECTOR = value;
+}
+
+test("selects a provider by name, config object or DIRECTOR", (t) => {
+  assert.deepEqual(getDirectorNames(), ["webhook", "file", "local"]);
+
+  withDirectorEnv(t, undefined);
+  assert.equal(createDirector().name, "webhook");
+  assert.equal(createDirector("local").name, "local");
+  assert.equal(createDirector({ provider: "file" }).name, "file");
+
+  process.env.DIRECTOR = "local";
+  assert.equal(createDirector().name, "local");
+  assert.equal(createDirector({ midiSpecPath: "spec.json" }).name, "local");
+});
+
+test("uses a provider object as it is", () => {
+  const provider = {
+    name: "custom",
+    describe: () => ({ provider: "custom" }),
+    getMidiSpec: async () => ({}),
+    getVideoSpec: async () => ({}),
+  };
+  assert.equal(createDirector(provider), provider);
+});
+
+test("rejects an unknown provider", () => {
+  assert.throws(() => createDirector("oracle"), {
+    message: 'Unknown director "oracle", expected one of webhook, file, local',
+  });
+  assert.throws(
+    () => createDirector({ provider: "n8n" }),
+    /Unknown director "n8n"/,
+  );
+});
+
+test("the webhook director needs its URLs", async () => {
+  const director = createDirector({
+    provider: "webhook",
+    midiWebhookUrl: "",
+    videoWebhookUrl: "",
+  });
+  await assert.rejects(
+    async () => director.getMidiSpec(recipe),
+    /Webhook director needs MIDI_WEBHOOK_URL and VIDEO_WEBHOOK_URL/,
+  );
+});
+
+test("the file director replays saved specs", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "director-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeJsonFile(path.join(dir, "midi-spec.json"), { recipe });
+
+  const director = createDirector({ provider: "file", fixtureDir: dir });
+  assert.deepEqual(await director.getMidiSpec(), { recipe });
+  assert.equal(director.describe("midi").provider, "file");
+  await assert.rejects(director.getVideoSpec(), /ENOENT/);
+
+  await assert.rejects(
+    createDirector({ provider: "file" }).getMidiSpec(),
+    /File director has no midi spec/,
+  );
+});
+
+test("the local director composes valid specs from the recipe", async () => {
+  const director = createDirector("local");
+  const midiResult = await director.getMidiSpec(recipe);
+
+  assert.equal(midiResult.recipe, recipe);
+  assert.deepEqual(validateSpec(midiResult.midi_spec).errors, []);
+  assert.deepEqual(
+    validateVideoSpec(await director.getVideoSpec(midiResult)).errors,
+    [],
+  );
+  assert.match(director.describe("midi").version, /^[0-9a-f]{12}$/);
+
+  await assert.rejects(
+    director.getMidiSpec(null),
+    /Local director needs an extracted recipe/,
+  );
+  await assert.rejects(
+    director.getVideoSpec({ ...midiResult, recipe: { name: "Soup" } }),
+    /needs at least one recipe image/,
+  );
+});
@@ -0,0 +1,56 @@
+/**
+ * File Director
+ * Replays saved webhook responses from disk, either explicit files or a
+ * fixture directory holding midi-spec.json and video-spec.json.
+ */
+
+import path from "path";
+import { readJsonFile, sanitizePath } from "../../helpers.js";
+import { hashFile } from "../../pipeline/stage-runner.js";
+
+/**
+ * Create a director that reads specs from files.
+ * @param {Object} options - Provider options
+ * @param {string} options.fixtureDir - Directory with midi-spec.json and video-spec.json (default DIRECTOR_FIXTURE_DIR)
+ * @param {string} options.midiSpecPath - Explicit midi spec file, overrides the fixture directory
+ * @param {string} options.videoSpecPath - Explicit video spec file, overrides the fixture directory
+ * @returns {Object} Director provider
+ */
+export default function createFileDirector(options = {}) {
+  const { fixtureDir = process.env.DIRECTOR_FIXTURE_DIR } = options;
+
+  const resolve = (explicitPath, fileName) => {
+    if (explicitPath) return sanitizePath(explicitPath);
+    if (fixtureDir) return sanitizePath(path.join(fixtureDir, fileName));
+    return null;
+  };
+
+  const files = {
+    midi: resolve(options.midiSpecPath, "midi-spec.json"),
+    video: resolve(options.videoSpecPath, "video-spec.json"),
+  };
+
+  const read = (stage) => {
+    if (!files[stage]) {
+      throw new Error(
+        `File director has no ${stage} spec, set a fixture directory or pass a spec file`,
+      );
+    }
+    console.log(`Loading ${stage} spec from ${files[stage]}`);
+    return readJsonFile(files[stage]);
+  };
+
+  return {
+    name: "file",
+
+    describe: (stage) => ({
+      provider: "file",
+      path: files[stage],
+      hash: files[stage] && hashFile(files[stage]),
+    }),
+
+    getMidiSpec: async () => read("midi"),
+
+    getVideoSpec: async () => read("video"),
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Local Director
+ * Rule-based stand-in for the LLM workflows. Composes the midi spec with the
+ * local composer and builds a Ken Burns slideshow from the recipe's own
+ * images, so the whole system runs with no n8n instance.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { composeMidiSpec } from "../../midi-generation/index.js";
+
+// Sources the director's output depends on: the composer with the modules and
+// config it builds on, and this file for the slideshow
+const SOURCE_DIRECTORIES = ["lib", "config"].map((directory) =>
+  fileURLToPath(new URL(`../../midi-generation/${directory}`, import.meta.url)),
+);
+const SOURCE_FILE = fileURLToPath(import.meta.url);
+
+/**
+ * Hash the director's sources (tests aside), so any change to them gives a
+ * new version and invalidates the specs cached under the old one.
+ * @returns {string} Short hex digest
+ */
+function hashSources() {
+  const files = SOURCE_DIRECTORIES.flatMap((directory) =>
+    fs
+      .readdirSync(directory, { recursive: true })
+      .filter((file) => file.endsWith(".js") && !file.endsWith(".test.js"))
+      .map((file) => path.join(directory, file)),
+  ).sort();
+
+  const hash = createHash("sha256");
+  for (const file of [...files, SOURCE_FILE]) {
+    hash.update(path.relative(path.dirname(SOURCE_FILE), file));
+    hash.update(fs.readFileSync(file));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+// Hashed on first describe, not at import, so loading the director reads no files
+let directorVersion = null;
+
+const ACT_PROPORTIONS = [0.3, 0.45, 0.25];
+const SCENE_LENGTH = 5; // Target seconds per slide
+const DIRECTIONS = [
+  "center",
+  "upper_left",
+  "lower_right",
+  "upper_right",
+  "lower_left",
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get act boundaries in seconds for a piece length.
+ * @param {number} duration - Piece length in seconds
+ * @returns {Object[]} Acts with start_time and end_time
+ */
+function getActs(duration) {
+  let start = 0;
+  return ACT_PROPORTIONS.map((proportion, index) => {
+    const end =
+      index === ACT_PROPORTIONS.length - 1
+        ? duration
+        : round(start + duration * proportion);
+    const act = {
+      label: `Act ${"I".repeat(index + 1)}`,
+      start_time: start,
+      end_time: end,
+    };
+    start = end;
+    return act;
+  });
+}
+
+/**
+ * Split the piece into movements, one per structure marker (or per act).
+ * Cue points mark scene changes, not movements, so they're left out.
+ * @param {Object} midiSpec - The midi_spec
+ * @returns {Object[]} Movements with start_time and end_time
+ */
+function getMovements(midiSpec) {
+  const duration = Math.max(
+    ...midiSpec.tracks.flatMap((track) =>
+      (track.sections || []).map((s) => s.end_time),
+    ),
+  );
+  const markers = (midiSpec.metadata?.structure_markers || []).filter(
+    (marker) => marker.type !== "cue",
+  );
+
+  if (markers.length === 0) return getActs(duration);
+
+  const times = [...new Set([0, ...markers.map((marker) => marker.time)])]
+    .filter((time) => time < duration)
+    .sort((a, b) => a - b);
+
+  return times.map((start_time, index) => ({
+    start_time,
+    end_time: times[index + 1] ?? duration,
+  }));
+}
+
+/**
+ * Create the rule-based local director.
+ * @returns {Object} Director provider
+ */
+export default function createLocalDirector() {
+  return {
+    name: "local",
+
+    describe: () => {
+      directorVersion ??= hashSources();
+      return { provider: "local", version: directorVersion };
+    },
+
+    getMidiSpec: async (recipe) => {
+      if (!recipe?.name) {
+        throw new Error(
+          "Local director needs an extracted recipe (schema.org markup)",
+        );
+      }
+      return { recipe, midi_spec: composeMidiSpec(recipe) };
+    },
+
+    getVideoSpec: async (midiResult, context = {}) => {
+      const midiSpec = midiResult.midi_spec || midiResult;
+      const images = midiResult.recipe?.images?.length
+        ? midiResult.recipe.images
+        : context.recipe?.images || [];
+
+      if (images.length === 0) {
+        throw new Error(
+          "Local director needs at least one recipe image for the slideshow",
+        );
+      }
+
+      const movements = getMovements(midiSpec);
+      let sceneNumber = 0;
+
+      const movementEntries = movements.map((movement, movementIndex) => {
+        const length = movement.end_time - movement.start_time;
+        const sceneCount = Math.max(1, Math.round(length / SCENE_LENGTH));
+        const sceneLength = length / sceneCount;
+
+        const scenes = Array.from({ length: sceneCount }, (_, i) => {
+          const scene = {
+            scene_number: sceneNumber + 1,
+            image_src: images[sceneNumber % images.length],
+            start_time: round(movement.start_time + i * sceneLength),
+            end_time:
+              i === sceneCount - 1
+                ? movement.end_time
+                : round(movement.start_time + (i + 1) * sceneLength),
+            effect: {
+              start_scale: sceneNumber % 2 === 0 ? 1.0 : 1.15,
+              end_scale: sceneNumber % 2 === 0 ? 1.15 : 1.0,
+              direction: DIRECTIONS[sceneNumber % DIRECTIONS.length],
+            },
+          };
+          sceneNumber++;
+          return scene;
+        });
+
+        return [`movement_${movementIndex + 1}`, { scenes }];
+      });
+
+      return {
+        video_spec: {
+          fps: 30,
+          duration: movements[movements.length - 1].end_time,
+          resolution: { width: 1280, height: 720 },
+          movements: Object.fromEntries(movementEntries),
+        },
+      };
+    },
+  };
+}
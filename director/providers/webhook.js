@@ -0,0 +1,60 @@
+/**
+ * Webhook Director
+ * Asks the n8n (or any compatible) workflows for the specs over HTTP. The midi
+ * workflow also gets the pattern catalog, so its prompt offers the patterns
+ * (plugins included) and the section fields each one reads.
+ */
+
+import { createHash } from "crypto";
+import { longLivedFetch } from "../../helpers.js";
+import { getPatternCatalog } from "../../midi-generation/index.js";
+
+/**
+ * Create a director backed by the midi and video webhooks.
+ * @param {Object} options - Provider options
+ * @param {string} options.midiWebhookUrl - Midi spec webhook (default MIDI_WEBHOOK_URL)
+ * @param {string} options.videoWebhookUrl - Video spec webhook (default VIDEO_WEBHOOK_URL)
+ * @returns {Object} Director provider
+ */
+export default function createWebhookDirector(options = {}) {
+  const {
+    midiWebhookUrl = process.env.MIDI_WEBHOOK_URL,
+    videoWebhookUrl = process.env.VIDEO_WEBHOOK_URL,
+  } = options;
+
+  const postJson = (url, body) => {
+    if (!url) {
+      throw new Error(
+        "Webhook director needs MIDI_WEBHOOK_URL and VIDEO_WEBHOOK_URL",
+      );
+    }
+    return longLivedFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  };
+
+  return {
+    name: "webhook",
+
+    describe: (stage) => ({
+      provider: "webhook",
+      url: stage === "midi" ? midiWebhookUrl : videoWebhookUrl,
+      ...(stage === "midi" && {
+        patterns: createHash("sha256")
+          .update(JSON.stringify(getPatternCatalog()))
+          .digest("hex"),
+      }),
+    }),
+
+    getMidiSpec: (recipe, context = {}) =>
+      postJson(midiWebhookUrl, {
+        recipe_url: context.recipeUrl,
+        ...(recipe && { recipe }),
+        patterns: getPatternCatalog(),
+      }),
+
+    getVideoSpec: (midiResult) => postJson(videoWebhookUrl, midiResult),
+  };
+}
@@ -1,5 +1,6 @@
 import { Agent } from "undici";
 import path from "path";
+import fs from "fs";
 export async function longLivedFetch(url, options = {}) {
   const longTimeoutAgent = new Agent({
     connectTimeout: 600000, // 10 minutes for connection
@@ -47,3 +48,25 @@ export function sanitizePath(inputPath) {
 
   return normalized.replace(/\\/g, "/");
 }
+
+/**
+ * Reads and parses a JSON file, e.g. a saved webhook response.
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {Object} - The parsed contents.
+ */
+export function readJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(sanitizePath(filePath), "utf8"));
+}
+
+/**
+ * Writes a value as pretty-printed JSON, creating parent folders as needed.
+ * @param {string} filePath - Destination path.
+ * @param {*} data - Any JSON-serializable value.
+ * @returns {string} - The sanitized path that was written.
+ */
+export function writeJsonFile(filePath, data) {
+  const safePath = sanitizePath(filePath);
+  fs.mkdirSync(path.dirname(safePath), { recursive: true });
+  fs.writeFileSync(safePath, JSON.stringify(data, null, 2));
+  return safePath;
+}
@@ -0,0 +1,197 @@
+/**
+ * Composer Rules Configuration
+ * The tables the local composer reads to turn a recipe into a midi_spec.
+ * Edit these to change which ingredients become which instruments and what
+ * each role plays in each act, without touching the composer code.
+ */
+
+export const COMPOSER_RULES = {
+  /**
+   * Ingredient → Instrument Table
+   * Checked top to bottom; an ingredient matches the first row with a keyword
+   * found in its text. Each matching ingredient adds one vote for its row,
+   * and the row with the most votes wins its role.
+   * midi_program is the General MIDI program number (0-based).
+   */
+  ingredients: [
+    // Melody - the "hero" ingredients carry the theme
+    { keywords: ['garlic', 'onion', 'shallot', 'leek'],                 instrument_name: 'Oboe',                  midi_program: 68, role: 'melody' },
+    { keywords: ['tomato', 'pepper', 'chili', 'chile', 'paprika'],      instrument_name: 'Trumpet',               midi_program: 56, role: 'melody' },
+    { keywords: ['lemon', 'lime', 'orange', 'zest', 'vinegar'],         instrument_name: 'Flute',                 midi_program: 73, role: 'melody' },
+    { keywords: ['chocolate', 'vanilla', 'sugar', 'honey', 'maple'],    instrument_name: 'Clarinet',              midi_program: 71, role: 'melody' },
+    { keywords: ['chicken', 'beef', 'pork', 'lamb', 'fish', 'shrimp'],  instrument_name: 'French Horn',           midi_program: 60, role: 'melody' },
+
+    // Harmony - the supporting cast
+    { keywords: ['basil', 'parsley', 'cilantro', 'thyme', 'oregano', 'rosemary', 'mint', 'herb'], instrument_name: 'Acoustic Guitar (nylon)', midi_program: 24, role: 'harmony' },
+    { keywords: ['cheese', 'parmesan', 'cream', 'milk', 'yogurt'],      instrument_name: 'Electric Piano 1',      midi_program: 4,  role: 'harmony' },
+    { keywords: ['egg', 'flour', 'yeast', 'baking'],                    instrument_name: 'Acoustic Grand Piano',  midi_program: 0,  role: 'harmony' },
+
+    // Bass - the base of the dish
+    { keywords: ['pasta', 'spaghetti', 'noodle', 'rice', 'potato', 'bread', 'bean', 'lentil'], instrument_name: 'Acoustic Bass', midi_program: 32, role: 'bass' },
+    { keywords: ['stock', 'broth', 'wine', 'water'],                    instrument_name: 'Cello',                 midi_program: 42, role: 'bass' },
+
+    // Pad - what holds everything together
+    { keywords: ['oil', 'butter', 'lard', 'ghee'],                      instrument_name: 'String Ensemble 1',     midi_program: 48, role: 'pad' },
+
+    // Texture - seasoning
+    { keywords: ['salt', 'nutmeg', 'cinnamon', 'clove', 'cumin', 'spice'], instrument_name: 'Celesta', midi_program: 8, role: 'texture' },
+  ],
+
+  /**
+   * Fallback instruments for roles no ingredient voted for.
+   * Roles without a default (texture) are left out when nothing matches.
+   */
+  defaults: {
+    melody:  { instrument_name: 'Acoustic Grand Piano', midi_program: 0 },
+    harmony: { instrument_name: 'Acoustic Guitar (nylon)', midi_program: 24 },
+    bass:    { instrument_name: 'Acoustic Bass', midi_program: 32 },
+    pad:     { instrument_name: 'String Ensemble 1', midi_program: 48 },
+  },
+
+  /**
+   * Percussion
+   * Added when at least `minMatches` ingredients contain one of the keywords.
+   * Always on General MIDI channel 10 (track_number 10).
+   */
+  percussion: {
+    keywords: ['chili', 'chile', 'cayenne', 'jalapeño', 'jalapeno', 'ginger', 'curry', 'paprika', 'cumin'],
+    minMatches: 1,
+    instrument_name: 'Percussion',
+    track_number: 10
+  },
+
+  /**
+   * Three-Act Structure
+   * Proportions of the piece (must add up to 1.0), the base velocity and the
+   * chord progression (roman numerals in the recipe's key) of each act.
+   * `ritardando` slows the act down to that fraction of the tempo by its end.
+   * `lift` moves the act to the relative major when the piece is in a mode
+   * with a minor third (dorian, phrygian, minor).
+   * Act I introduces the ingredients, Act II is the cooking, Act III the
+   * finished dish.
+   */
+  acts: [
+    { label: 'Act I: Ingredients', proportion: 0.3,  velocity: 64, progression: ['I', 'IV', 'I', 'V'] },
+    { label: 'Act II: Cooking',    proportion: 0.45, velocity: 80, progression: ['vi', 'IV', 'I', 'V'] },
+    { label: 'Act III: Plating',   proportion: 0.25, velocity: 70, progression: ['IV', 'V', { chord: 'I', bars: 2 }], ritardando: 0.85, lift: true }
+  ],
+
+  /**
+   * Role Behaviour
+   * patterns: one entry per act. Melody acts are split into theme-length
+   *   phrases that cycle through the listed thematic patterns.
+   * octave: octave of the section scale root and the bottom of the pitch range
+   * span: pitch range size in octaves
+   * velocityOffset: added to the act velocity
+   * harmonic: follows the act's chord progression
+   */
+  roles: {
+    melody: {
+      patterns: [
+        ['thematic_statement'],
+        ['thematic_fragmented', 'thematic_inverted', 'thematic_extended'],
+        ['thematic_retrograde', 'thematic_statement']
+      ],
+      octave: 4,
+      span: 1,
+      velocityOffset: 0
+    },
+    harmony: {
+      harmonic: true,
+      patterns: ['gentle_breathing', 'harmonic_arpeggio', 'moderate_breathing'],
+      octave: 3,
+      span: 2,
+      velocityOffset: -5
+    },
+    bass: {
+      harmonic: true,
+      patterns: ['foundation_pedal', 'foundation_pedal', 'foundation_pedal'],
+      octave: 2,
+      span: 1,
+      velocityOffset: 0,
+      fadeIn: true                // Enter late in Act I (PATTERN_STRATEGIES.lateEntry.bassFadeIn)
+    },
+    pad: {
+      harmonic: true,
+      patterns: ['sustained_pad', 'sustained_pad', 'sustained_pad'],
+      octave: 3,
+      span: 1,
+      velocityOffset: -10
+    },
+    texture: {
+      patterns: ['very_sparse_breathing', 'decorative_flourish', 'minimal_accents'],
+      octave: 5,
+      span: 1,
+      velocityOffset: -15
+    },
+    percussion: {
+      patterns: ['silence', 'hand_percussion', 'gentle_shaker'],
+      velocityOffset: -10
+    }
+  },
+
+  /**
+   * Moods
+   * The first mood whose keywords appear in the recipe's category, cuisine,
+   * keywords or name sets the scale type. Falls back to the last entry.
+   */
+  moods: [
+    { keywords: ['dessert', 'cake', 'cookie', 'sweet', 'breakfast', 'brunch'], scale: 'major' },
+    { keywords: ['stew', 'braise', 'soup', 'winter', 'comfort'],              scale: 'dorian' },
+    { keywords: ['mexican', 'spanish', 'spicy'],                              scale: 'phrygian' },
+    { keywords: ['italian', 'pasta', 'summer', 'salad'],                      scale: 'mixolydian' },
+    { keywords: [],                                                           scale: 'major' }
+  ],
+
+  /**
+   * Meters
+   * The first meter whose keywords appear in the recipe's category, cuisine,
+   * keywords or name sets the time signature. Falls back to the last entry.
+   */
+  meters: [
+    { keywords: ['tarantella', 'italian', 'sicilian', 'neapolitan'],        time_signature: [6, 8] },
+    { keywords: ['viennese', 'austrian', 'waltz', 'strudel', 'sacher'],     time_signature: [3, 4] },
+    { keywords: ['irish', 'scottish', 'jig'],                               time_signature: [6, 8] },
+    { keywords: ['cajun', 'creole', 'blues', 'barbecue', 'bbq'],            time_signature: [12, 8] },
+    { keywords: [],                                                         time_signature: [4, 4] }
+  ],
+
+  /**
+   * Keys the composer picks from (chosen from the recipe name, so the same
+   * recipe always lands in the same key).
+   */
+  keys: ['C', 'D', 'Eb', 'F', 'G', 'A', 'Bb'],
+
+  /**
+   * Timing
+   * Piece length grows with the number of steps; tempo falls as total time rises.
+   */
+  timing: {
+    baseDuration: 30,             // Seconds before any steps are counted
+    secondsPerStep: 4,
+    minDuration: 30,
+    maxDuration: 90,
+    fastTempo: 112,               // Recipes ready in 15 minutes or less
+    slowTempo: 72,                // Recipes taking 3 hours or more
+    defaultTempo: 96              // No total time in the recipe
+  },
+
+  /**
+   * Theme
+   * One rhythm (in beats) is picked per recipe and sets the theme length.
+   * The melody walks the scale with moves picked from `steps` and lands back
+   * on the tonic. When two or more melody rows get votes, up to `motifs` of
+   * the hero ingredients get a motif of their own and the melody phrases take
+   * turns with them.
+   */
+  theme: {
+    motifs: 3,                      // Most hero ingredients with a motif of their own
+    rhythms: [
+      [1, 1, 1, 1, 1, 1, 2],
+      [1, 0.5, 0.5, 1, 1, 1, 3],
+      [1.5, 0.5, 1, 1, 1.5, 0.5, 2],
+      [0.5, 0.5, 1, 2, 1, 1, 2]
+    ],
+    steps: [-2, -1, 1, 1, 2, 3]     // Scale-degree moves (weighted upward)
+  }
+};
@@ -9,6 +9,7 @@ export const PATTERN_STRATEGIES = {
    * Note Duration Factors
    * Multipliers applied to beat duration to control articulation.
    * Values < 1.0 create space between notes, > 1.0 create overlap.
+   * A section picks one with `articulation` (see getArticulatedDuration).
    */
   durations: {
     staccato: 0.4,        // Very short, detached notes (40% of beat duration)
@@ -93,6 +94,55 @@ export const PATTERN_STRATEGIES = {
                             // Recommended range: 0.6-0.85
   },
 
+  /**
+   * Dynamics
+   * Section `dynamics` envelopes (see lib/dynamics.js).
+   */
+  dynamics: {
+    automationStep: 0.25,       // Beats between controller events along an envelope
+                                // Recommended range: 0.125-1.0
+    controllers: {
+      expression: { number: 11, rest: 127 }, // CC11, back to full after the section
+      volume: { number: 7, rest: 100 }       // CC7, back to the GM default after the section
+    }
+  },
+
+  /**
+   * Mix
+   * Track and section `mix` controllers (see lib/mix.js). Values are MIDI
+   * controller values 0-127; pan 0 is hard left, 64 center, 127 hard right.
+   */
+  mix: {
+    defaults: {                 // What a section's mix returns to when the track sets nothing
+      pan: 64,
+      volume: 100,
+      reverb: 40,
+      chorus: 0
+    },
+    autoPan: {                  // Positions by role for `auto_pan`; tracks sharing a role take turns
+      melody: [64],             // Center
+      harmony: [44, 84],        // Either side of the melody
+      bass: [64],               // Center, like a real mix
+      pad: [20, 108],           // Wide
+      texture: [34, 94],
+      percussion: [72, 56]      // Slightly off-center
+    }
+  },
+
+  /**
+   * Theme Fitting
+   * How single-statement thematic patterns fill their section (see lib/theme-fit.js).
+   * Sections override with `fit` and `end_on_stable`.
+   */
+  themeFit: {
+    mode: 'truncate',           // truncate | repeat | stretch | pad_with_extension
+    endOnStable: false,         // Move each statement's last note to a stable degree
+    stableIntervals: [0, 3, 4, 7], // Semitones above the tonic counted as stable
+                                   // (tonic, minor or major third, fifth)
+    extensionStepSize: 1        // Scale degrees per note when padding with extension
+                                // Recommended: 1 for stepwise, 2 for larger leaps
+  },
+
   /**
    * Pattern-Specific Behaviors
    * Detailed configuration for each pattern type.
@@ -104,6 +154,8 @@ export const PATTERN_STRATEGIES = {
     thematic_statement: {
       durationFactor: 0.95,   // Use normal articulation
                               // Maps to durations.normal
+                              // Recommended range: 0.3-1.0 for every thematic pattern
+                              // (overlap is a section `articulation`, legato or molto_legato)
       velocityModifier: 0     // No velocity adjustment (primary melody)
     },
 
@@ -145,6 +197,66 @@ export const PATTERN_STRATEGIES = {
       velocityModifier: 0
     },
 
+    /**
+     * Thematic Retrograde Inverted - flips intervals of theme, then plays it backwards
+     */
+    thematic_retrograde_inverted: {
+      durationFactor: 0.95,
+      velocityModifier: 0
+    },
+
+    /**
+     * Thematic Augmented - theme in longer note values
+     */
+    thematic_augmented: {
+      factor: 2,                   // Rhythm multiplier (section `factor` overrides)
+                                   // Recommended range: 1.5-4
+      durationFactor: 0.95,
+      velocityModifier: 0
+    },
+
+    /**
+     * Thematic Diminished - theme in shorter note values
+     */
+    thematic_diminished: {
+      factor: 0.5,                 // Rhythm multiplier (section `factor` overrides)
+                                   // Recommended range: 0.25-0.75
+      durationFactor: 0.9,         // Slightly detached so quick notes stay distinct
+      velocityModifier: 0
+    },
+
+    /**
+     * Thematic Transposed - theme moved by a fixed number of semitones
+     */
+    thematic_transposed: {
+      semitones: 5,                // Chromatic shift (section `semitones` overrides)
+                                   // Common values: 5 (up a 4th), 7 (up a 5th), -12 (down an octave)
+      durationFactor: 0.95,
+      velocityModifier: 0
+    },
+
+    /**
+     * Thematic Transposed Diatonic - theme moved along the section scale
+     */
+    thematic_transposed_diatonic: {
+      degrees: 2,                  // Scale degrees to shift (section `degrees` overrides)
+                                   // Recommended range: -4 to 4 (2 = up a third)
+      durationFactor: 0.95,
+      velocityModifier: 0
+    },
+
+    /**
+     * Thematic Sequenced - whole theme repeated, each time a step further along the scale
+     */
+    thematic_sequenced: {
+      degrees: 1,                  // Scale degrees between repetitions (section `degrees` overrides)
+                                   // Recommended range: -2 to 2 (negative descends)
+      maxRepetitions: 4,           // A sequence longer than this stops sounding like one
+                                   // Recommended range: 2-4
+      durationFactor: 0.95,
+      velocityModifier: 0
+    },
+
     /**
      * Gentle Breathing - spacious, meditative single notes
      */
@@ -251,21 +363,22 @@ export const PATTERN_STRATEGIES = {
       velocityMultiplier: 0.3,    // 30% of section velocity (very quiet)
                                   // Recommended range: 0.2-0.4
       pitch: 70                   // MIDI note for shaker (GM: Maracas)
-                                  // Other options: 82 (Shaker)
+                                  // Other options: 69 (Cabasa), 54 (Tambourine)
     },
 
     /**
      * Rhythmic Foundation - basic drum pattern (kick, snare, hi-hat)
-     * Standard 4/4 rock/pop pattern for driving energy
+     * Rock/pop pattern for driving energy, following the time signature:
+     * kick on the accented pulses, snare on the others (see lib/meter.js)
      */
     rhythmic_foundation: {
       kick: {
-        beats: [0, 2],            // Beats 1 and 3 (0-indexed within 4-beat measure)
+        accents: ['strong', 'medium'], // Beats 1 and 3 in 4/4, beat 1 in 3/4 and 6/8
         pitch: 36,                // GM Bass Drum 1
         velocityMultiplier: 0.8   // Strong kick
       },
       snare: {
-        beats: [1, 3],            // Beats 2 and 4
+        accents: ['weak'],        // Beats 2 and 4 in 4/4, 2 and 3 in 3/4, 2 in 6/8
         pitch: 38,                // GM Acoustic Snare
         velocityMultiplier: 0.75  // Slightly softer than kick
       },
@@ -279,6 +392,9 @@ export const PATTERN_STRATEGIES = {
     /**
      * Hand Percussion - syncopated conga/bongo patterns
      * Ethnic/energetic feel with varied pitches
+     * Offsets are in pulses (the beats of the meter: quarter notes in 4/4 and
+     * 3/4, dotted quarters in 6/8 and 12/8). The pattern restarts every bar,
+     * repeats inside longer bars and is cut short in shorter ones.
      */
     hand_percussion: {
       pattern: [
@@ -288,13 +404,24 @@ export const PATTERN_STRATEGIES = {
         { offset: 2, pitch: 62, velocityMultiplier: 0.8 },    // Mute High Conga
         { offset: 3, pitch: 64, velocityMultiplier: 0.6 }     // Low Conga
       ],
-      loopLength: 4.0,            // Pattern repeats every 4 beats
+      loopLength: 4,              // Pulses before the pattern repeats
+      compound: {                 // 6/8, 12/8: each pulse is three eighth notes
+        pattern: [
+          { offset: 0, pitch: 64, velocityMultiplier: 0.8 },      // Low Conga
+          { offset: 2 / 3, pitch: 63, velocityMultiplier: 0.6 },  // Open High Conga
+          { offset: 1, pitch: 62, velocityMultiplier: 0.75 },     // Mute High Conga
+          { offset: 4 / 3, pitch: 63, velocityMultiplier: 0.55 }, // Open High Conga
+          { offset: 5 / 3, pitch: 64, velocityMultiplier: 0.6 }   // Low Conga
+        ],
+        loopLength: 2
+      },
       noteDuration: 0.3           // Duration factor for hits
     },
 
     /**
      * Accent Hits - occasional single hits for structural punctuation
-     * Cymbal crashes or similar at key moments
+     * Cymbal crashes or similar at key moments, each on the bar line
+     * nearest its evenly spaced position
      */
     accent_hits: {
       hitsPerSection: 3,          // Number of accent hits per section
@@ -329,6 +456,91 @@ export const PATTERN_STRATEGIES = {
   }
 };
 
+/**
+ * Strategy Sources
+ * Where a pattern's strategy config comes from when it isn't just its own entry
+ * in `patterns`: the breathing variants share gentle_breathing, and the
+ * breathing and accent patterns take their spacing from rhythmicSpacing.
+ * Later sources are merged over earlier ones.
+ */
+export const STRATEGY_SOURCES = {
+  gentle_breathing: ['patterns.gentle_breathing', 'rhythmicSpacing.breathing'],
+  sparse_breathing: ['patterns.gentle_breathing', 'rhythmicSpacing.breathing'],
+  very_sparse_breathing: ['patterns.gentle_breathing', 'rhythmicSpacing.very_sparse_breathing'],
+  moderate_breathing: ['patterns.gentle_breathing', 'rhythmicSpacing.moderate_breathing'],
+  active_breathing: ['patterns.gentle_breathing', 'rhythmicSpacing.active_breathing'],
+  minimal_accents: ['patterns.minimal_accents', 'rhythmicSpacing.accents']
+};
+
+/**
+ * Recommended Ranges
+ * The "Recommended range" notes above as [min, max], by path. A section's
+ * `pattern_options` are clamped into these (see lib/pattern-options.js).
+ */
+export const RECOMMENDED_RANGES = {
+  'rhythmicSpacing.breathing.interval': [2.0, 4.0],
+  'rhythmicSpacing.breathing.humanize': [0.0, 0.2],
+  'rhythmicSpacing.accents.interval': [3.0, 6.0],
+  'rhythmicSpacing.accents.humanize': [0.1, 0.4],
+  'patterns.thematic_statement.durationFactor': [0.3, 1.0],
+  'patterns.thematic_fragmented.durationFactor': [0.3, 1.0],
+  'patterns.thematic_extended.durationFactor': [0.3, 1.0],
+  'patterns.thematic_inverted.durationFactor': [0.3, 1.0],
+  'patterns.thematic_retrograde.durationFactor': [0.3, 1.0],
+  'patterns.thematic_retrograde_inverted.durationFactor': [0.3, 1.0],
+  'patterns.thematic_augmented.durationFactor': [0.3, 1.0],
+  'patterns.thematic_diminished.durationFactor': [0.3, 1.0],
+  'patterns.thematic_transposed.durationFactor': [0.3, 1.0],
+  'patterns.thematic_transposed_diatonic.durationFactor': [0.3, 1.0],
+  'patterns.thematic_sequenced.durationFactor': [0.3, 1.0],
+  'patterns.thematic_fragmented.fragmentLength': [2, 5],
+  'patterns.thematic_fragmented.sequenceInterval': [1, 4],
+  'patterns.thematic_extended.extensionStepSize': [1, 2],
+  'patterns.thematic_augmented.factor': [1.5, 4],
+  'patterns.thematic_diminished.factor': [0.25, 0.75],
+  'patterns.thematic_transposed_diatonic.degrees': [-4, 4],
+  'patterns.thematic_sequenced.degrees': [-2, 2],
+  'patterns.thematic_sequenced.maxRepetitions': [2, 4],
+  'patterns.gentle_breathing.noteDuration': [1.0, 2.0],
+  'patterns.gentle_breathing.maxInterval': [1, 3],
+  'patterns.melodic_counterpoint.noteInterval': [0.5, 1.0],
+  'patterns.melodic_counterpoint.noteDuration': [0.8, 1.0],
+  'patterns.melodic_counterpoint.stepwiseBias': [0.6, 0.8],
+  'patterns.melodic_counterpoint.leapProbability': [0.1, 0.3],
+  'patterns.melodic_counterpoint.directionChangeEvery': [5, 10],
+  'patterns.melodic_counterpoint.startInRange': [0.3, 0.5],
+  'patterns.foundation_pedal.quartilePosition': [0.0, 1.0],
+  'patterns.foundation_pedal.sustainGap': [0.02, 0.1],
+  'patterns.decorative_flourish.noteCount': [3, 6],
+  'patterns.decorative_flourish.appearTime': [0.5, 0.85],
+  'patterns.decorative_flourish.noteValue': [0.25, 0.5],
+  'patterns.decorative_flourish.durationFactor': [0.7, 0.9],
+  'patterns.minimal_accents.minInterval': [2.0, 4.0],
+  'patterns.minimal_accents.maxInterval': [3.0, 6.0],
+  'patterns.minimal_accents.duration': [0.2, 0.5],
+  'patterns.harmonic_arpeggio.noteValue': [0.25, 1.0],
+  'patterns.harmonic_arpeggio.durationFactor': [0.85, 0.95],
+  'patterns.gentle_shaker.noteValue': [0.0625, 0.25],
+  'patterns.gentle_shaker.velocityMultiplier': [0.2, 0.4],
+  'patterns.accent_hits.hitsPerSection': [2, 4],
+  'patterns.sustained_pad.updateInterval': [2.0, 8.0],
+  'patterns.sustained_pad.velocityMultiplier': [0.3, 0.5],
+  'patterns.sustained_pad.pitchRangePosition': [0.2, 0.4]
+};
+
+/**
+ * Get a pattern's strategy config: its entry in `patterns`, or the merge of
+ * its STRATEGY_SOURCES.
+ * @param {string} patternType - The pattern type name
+ * @returns {Object} Strategy config (empty for patterns without one)
+ */
+export function getPatternStrategy(patternType) {
+  const sources = STRATEGY_SOURCES[patternType] || [`patterns.${patternType}`];
+  return Object.assign({}, ...sources.map((source) =>
+    source.split('.').reduce((node, key) => node?.[key], PATTERN_STRATEGIES)
+  ));
+}
+
 /**
  * Calculate the actual start time for a section, accounting for late entry.
  * @param {Object} section - Section specification with start_time, end_time, and optional late_entry
@@ -362,11 +574,40 @@ export function applyVelocityModifier(baseVelocity, modifier) {
  * Add humanization (random variation) to a timing value.
  * @param {number} value - The base timing value
  * @param {number} humanize - The humanization factor (0.0-1.0)
- * @param {function} randomFn - Optional random function (returns 0.0-1.0)
+ * @param {function} randomFn - Seeded random function (returns 0.0-1.0), usually options.random
  * @returns {number} The humanized value
  */
-export function humanizeValue(value, humanize, randomFn = Math.random) {
+export function humanizeValue(value, humanize, randomFn) {
   if (humanize <= 0) return value;
   const variation = (randomFn() * 2 - 1) * humanize; // -humanize to +humanize
   return value * (1 + variation);
 }
+
+/**
+ * Get how long a note sounds. Without a section `articulation` that is the
+ * pattern's own length; with one, the note's slot (the time until the line's
+ * next note) times its `durations` multiplier. Legato multipliers (> 1)
+ * overlap the next note; see lib/articulation.js for how repeated pitches
+ * and the section end are handled.
+ * @param {Object} section - Section specification with optional articulation
+ * @param {number} slot - Time until the line's next note (beats or seconds)
+ * @param {number} length - The pattern's own note length, in the same unit
+ * @returns {number} Note length, in the unit of slot
+ */
+export function getArticulatedDuration(section, slot, length) {
+  const multiplier = PATTERN_STRATEGIES.durations[section.articulation];
+  return multiplier === undefined ? length : slot * multiplier;
+}
+
+/**
+ * Get how much of a note must fit before the section ends. A legato note
+ * only needs its slot: its overlap is cut at the section end.
+ * @param {Object} section - Section specification with optional articulation
+ * @param {number} slot - Time until the line's next note (beats or seconds)
+ * @param {number} duration - The note's length, from getArticulatedDuration
+ * @returns {number} Length to check against end_time, in the unit of slot
+ */
+export function getFitDuration(section, slot, duration) {
+  const multiplier = PATTERN_STRATEGIES.durations[section.articulation];
+  return multiplier > 1 ? Math.min(duration, slot) : duration;
+}
@@ -4,7 +4,32 @@
  */
 
 import { generateMidi, validateSpec } from "./lib/midi-factory.js";
+import { encodeMidi } from "./lib/smf.js";
+import { findPatternOptionClamps } from "./lib/pattern-options.js";
 export { validateSpec } from "./lib/midi-factory.js";
+export { getMidiSpecSchema } from "./lib/spec-schema.js";
+export { validateAgainstSchema, formatSchemaError } from "./lib/json-schema.js";
+export { composeMidiSpec } from "./lib/composer.js";
+export { encodeMidi, readMidiMarkers } from "./lib/smf.js";
+export { registerPattern } from "./lib/pattern-registry.js";
+export { loadPatternPlugins } from "./lib/pattern-plugins.js";
+export {
+  getPatternCatalog,
+  formatPatternCatalog,
+} from "./lib/pattern-catalog.js";
+
+/**
+ * Validate a specification before generation and print its warnings.
+ * @param {Object} midiSpec - The midi_spec object
+ * @throws {Error} If specification is invalid
+ */
+function checkSpec(midiSpec) {
+  const validation = validateSpec(midiSpec);
+  if (!validation.isValid) {
+    throw new Error(`Invalid specification: ${validation.errors.join("; ")}`);
+  }
+  validation.warnings.forEach((warning) => console.warn(warning));
+}
 
 /**
  * Create a MIDI byte array from a specification object.
@@ -15,17 +40,16 @@ export { validateSpec } from "./lib/midi-factory.js";
 export function createMidiFromSpec(spec) {
   const midiSpec = spec.midi_spec || spec;
 
-  const validation = validateSpec(midiSpec);
-  if (!validation.isValid) {
-    throw new Error(`Invalid specification: ${validation.errors.join("; ")}`);
-  }
+  checkSpec(midiSpec);
 
   const midi = generateMidi(midiSpec);
-  return midi.toArray();
+  return encodeMidi(midi);
 }
 
 /**
  * Create a MIDI object from a specification (for further manipulation).
+ * Write it with encodeMidi(midi) rather than midi.toArray(), which garbles
+ * key signatures.
  * @param {Object} spec - Specification object (with or without midi_spec wrapper)
  * @returns {Midi} Tone.js MIDI object
  * @throws {Error} If specification is invalid
@@ -33,10 +57,38 @@ export function createMidiFromSpec(spec) {
 export function createMidiObjectFromSpec(spec) {
   const midiSpec = spec.midi_spec || spec;
 
-  const validation = validateSpec(midiSpec);
-  if (!validation.isValid) {
-    throw new Error(`Invalid specification: ${validation.errors.join("; ")}`);
-  }
+  checkSpec(midiSpec);
 
   return generateMidi(midiSpec);
 }
+
+/**
+ * Report how each section with `conform_to_scale` adapted its theme.
+ * @param {Object} spec - Specification object (with or without midi_spec wrapper)
+ * @returns {Object[]} One entry per conformed section: { track, section, pattern_type, theme_id, changes }, each change { index, from, to, reason } with reason "scale" or "chord"
+ * @throws {Error} If specification is invalid
+ */
+export function getThemeConformance(spec) {
+  const midiSpec = spec.midi_spec || spec;
+
+  checkSpec(midiSpec);
+
+  const conformance = [];
+  generateMidi(midiSpec, { conformance });
+  return conformance;
+}
+
+/**
+ * Report the `pattern_options` values that were clamped into their recommended
+ * ranges.
+ * @param {Object} spec - Specification object (with or without midi_spec wrapper)
+ * @returns {Object[]} One entry per clamp: { track, section, pattern_type, option, requested, clamped, range }
+ * @throws {Error} If specification is invalid
+ */
+export function getPatternOptionClamps(spec) {
+  const midiSpec = spec.midi_spec || spec;
+
+  checkSpec(midiSpec);
+
+  return findPatternOptionClamps(midiSpec);
+}
@@ -0,0 +1,59 @@
+/**
+ * Articulation
+ * Cleans up the overlaps of legato sections. Patterns lengthen legato and
+ * molto_legato notes past the next note (see getArticulatedDuration in
+ * config/pattern-strategies.js); afterwards:
+ * - In a monophonic line (no two notes start together), each note ends where
+ *   the next note begins, so the line connects without overlapping itself.
+ * - In a polyphonic part (chords, drum kits), notes keep their overlap,
+ *   except that a note overlapping a later note of the same pitch ends where
+ *   that note begins, since the first note-off would otherwise cut the repeat
+ *   short.
+ * - No note sounds past the section's end_time.
+ */
+
+import { PATTERN_STRATEGIES } from "../config/pattern-strategies.js";
+
+/**
+ * Check whether a section's articulation overlaps its notes.
+ * @param {Object} section - Section specification
+ * @returns {boolean} True for legato and molto_legato
+ */
+export function isLegato(section) {
+  return PATTERN_STRATEGIES.durations[section.articulation] > 1;
+}
+
+/**
+ * Check whether notes form a monophonic line: no two start together.
+ * @param {Object[]} notes - Notes sorted by time
+ * @returns {boolean} True for a single line
+ */
+function isMonophonic(notes) {
+  return notes.every(
+    (note, index) => index === 0 || note.time - notes[index - 1].time > 1e-9,
+  );
+}
+
+/**
+ * Trim the overlaps of the notes a legato section played.
+ * @param {Object[]} notes - Notes the section's pattern added
+ * @param {Object} section - Section specification (end_time)
+ */
+export function joinLegatoNotes(notes, section) {
+  const sorted = [...notes].sort((a, b) => a.time - b.time);
+  const monophonic = isMonophonic(sorted);
+  const nextOnsets = new Map(); // Pitch → onset of its next note
+
+  for (let index = sorted.length - 1; index >= 0; index--) {
+    const note = sorted[index];
+    let end = Math.min(note.time + note.duration, section.end_time);
+    const next = monophonic
+      ? sorted[index + 1]?.time
+      : nextOnsets.get(note.midi);
+    if (next > note.time) {
+      end = Math.min(end, next);
+    }
+    note.duration = end - note.time;
+    nextOnsets.set(note.midi, note.time);
+  }
+}
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import { createMidiFromSpec } from "../index.js";
+import {
+  PATTERN_STRATEGIES,
+  getArticulatedDuration,
+  getFitDuration,
+} from "../config/pattern-strategies.js";
+
+const { Midi } = midi;
+
+// Render a spec and read its notes back from the file, [pitch, time, duration]
+// per track in beats (two per second at 120 BPM)
+function renderNotes(sections, options = {}) {
+  const spec = {
+    tempo: 120,
+    themeDefinition: { notes: [60, 62, 62, 65], rhythm: [1, 1, 1, 1] },
+    tracks: sections.map((section, index) => ({
+      track_number: index + 1,
+      sections: [{ start_time: 0, end_time: 8, ...section }],
+    })),
+    ...options,
+  };
+  const { tracks } = new Midi(createMidiFromSpec(spec));
+  return tracks.map((track) =>
+    track.notes
+      .map((note) => [
+        note.midi,
+        Math.round(note.time * 2 * 1000) / 1000,
+        Math.round(note.duration * 2 * 1000) / 1000,
+      ])
+      .sort((a, b) => a[1] - b[1] || a[0] - b[0]),
+  );
+}
+
+test("an articulation scales the slot; without one the pattern's length stays", () => {
+  for (const [articulation, multiplier] of Object.entries(
+    PATTERN_STRATEGIES.durations,
+  )) {
+    assert.equal(
+      getArticulatedDuration({ articulation }, 2, 1.5),
+      2 * multiplier,
+    );
+  }
+  assert.equal(getArticulatedDuration({}, 2, 1.5), 1.5);
+  assert.equal(
+    getArticulatedDuration({ articulation: "spiccato" }, 2, 1.5),
+    1.5,
+  );
+});
+
+test("only legato notes may run past the section end", () => {
+  assert.equal(getFitDuration({ articulation: "legato" }, 1, 1.05), 1);
+  assert.equal(getFitDuration({ articulation: "molto_legato" }, 1, 1.15), 1);
+  assert.equal(getFitDuration({ articulation: "staccato" }, 1, 0.4), 0.4);
+  assert.equal(getFitDuration({}, 1, 0.95), 0.95);
+});
+
+test("detached articulations play part of each note's slot", () => {
+  const durations = (section) =>
+    renderNotes([{ end_time: 2, ...section }])[0]
+      .slice(0, 4)
+      .map(([, , duration]) => duration);
+
+  assert.deepEqual(
+    durations({ pattern_type: "thematic_statement", articulation: "staccato" }),
+    [0.4, 0.4, 0.4, 0.4],
+  );
+  assert.deepEqual(
+    durations({ pattern_type: "thematic_statement", articulation: "portato" }),
+    [0.85, 0.85, 0.85, 0.85],
+  );
+
+  // harmonic_arpeggio plays eighth notes at 90% of their length
+  const arpeggio = { pattern_type: "harmonic_arpeggio", scale: { root: "C4" } };
+  assert.deepEqual(durations(arpeggio), [0.45, 0.45, 0.45, 0.45]);
+  assert.deepEqual(
+    durations({ ...arpeggio, articulation: "staccato" }),
+    [0.2, 0.2, 0.2, 0.2],
+  );
+});
+
+test("legato joins a monophonic line: each note ends where the next begins", () => {
+  for (const articulation of ["legato", "molto_legato"]) {
+    const [notes] = renderNotes([
+      { pattern_type: "thematic_statement", end_time: 2, articulation },
+    ]);
+    assert.deepEqual(notes.slice(0, 3), [
+      [60, 0, 1],
+      [62, 1, 1],
+      [62, 2, 1],
+    ]);
+  }
+});
+
+test("legato notes stop at the section end", () => {
+  const [notes] = renderNotes([
+    {
+      pattern_type: "thematic_statement",
+      end_time: 2,
+      articulation: "molto_legato",
+    },
+  ]);
+  const [pitch, time, duration] = notes[notes.length - 1];
+  assert.equal(pitch, 65);
+  assert.equal(time + duration, 4);
+});
+
+test("legato chords overlap the next chord but not a repeated pitch", () => {
+  const render = (progression) =>
+    renderNotes([
+      {
+        pattern_type: "sustained_pad",
+        scale: { root: "C3" },
+        progression,
+        articulation: "legato",
+      },
+    ])[0];
+
+  // A G chord, then an F chord: nothing repeats, so the G chord overlaps
+  const changing = render(["V", "IV"]);
+  const first = changing.filter(([, time]) => time === 0);
+  assert.ok(first.length >= 3);
+  first.forEach(([, , duration]) => assert.ok(duration > 4));
+
+  // The same chord every bar: each note ends where its repeat begins
+  const repeating = render(["I"]);
+  repeating
+    .filter(([, time]) => time < 12)
+    .forEach(([, time, duration]) => assert.equal(duration, 4));
+});
+
+test("without an articulation, notes keep the pattern's own lengths", () => {
+  const [notes] = renderNotes([
+    { pattern_type: "thematic_statement", end_time: 2 },
+  ]);
+  // thematic_statement plays 95% of each rhythm value
+  assert.deepEqual(notes[0], [60, 0, 0.95]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Channels
+ * MIDI channel allocation. Tracks playing percussion patterns always play on
+ * channel 10 (index 9), where General MIDI synths play drums, and other
+ * tracks never do, whatever their mix `role`. A pitched track keeps the
+ * channel its track_number asks for when it's free, otherwise takes the
+ * lowest free one. Past 15 pitched tracks, a track shares a channel with a
+ * track of the same program, or failing that the same GM instrument family,
+ * since a channel plays one program at a time.
+ */
+
+import { isPercussionPattern } from "./pattern-registry.js";
+
+export const PERCUSSION_CHANNEL = 9;
+
+const PITCHED_CHANNELS = Array.from({ length: 16 }, (_, index) => index).filter(
+  (channel) => channel !== PERCUSSION_CHANNEL,
+);
+
+/**
+ * Get the GM instrument family of a program (piano, chromatic percussion,
+ * organ, guitar, ...: eight programs each).
+ * @param {number} program - MIDI program number
+ * @returns {number} Family index (0-15)
+ */
+function getFamily(program) {
+  return Math.floor(program / 8);
+}
+
+/**
+ * Check whether a track plays percussion patterns, whose notes are GM drums.
+ * @param {Object} trackSpec - Track specification
+ * @returns {boolean} True if any section uses a percussion pattern
+ */
+function playsPercussion(trackSpec) {
+  return (trackSpec.sections || []).some((section) =>
+    isPercussionPattern(section.pattern_type),
+  );
+}
+
+/**
+ * Allocate a channel to every track.
+ * @param {Object[]} tracks - Track specifications
+ * @returns {number[]} Channel index (0-15) per track, in track order
+ */
+export function allocateChannels(tracks) {
+  const channels = new Array(tracks.length);
+  const programs = new Map(); // Channel → program of the first track on it
+  const deferred = [];
+
+  const take = (trackIndex, channel) => {
+    channels[trackIndex] = channel;
+    if (!programs.has(channel)) {
+      programs.set(channel, tracks[trackIndex].midi_program || 0);
+    }
+  };
+
+  // Percussion goes to channel 10, pitched tracks to the channel they ask for
+  tracks.forEach((trackSpec, trackIndex) => {
+    if (playsPercussion(trackSpec)) {
+      take(trackIndex, PERCUSSION_CHANNEL);
+      return;
+    }
+    const wanted = trackSpec.track_number
+      ? (trackSpec.track_number - 1) % 16
+      : trackIndex % 16;
+    if (wanted !== PERCUSSION_CHANNEL && !programs.has(wanted)) {
+      take(trackIndex, wanted);
+    } else {
+      deferred.push(trackIndex);
+    }
+  });
+
+  deferred.forEach((trackIndex) => {
+    const free = PITCHED_CHANNELS.find((channel) => !programs.has(channel));
+    if (free !== undefined) {
+      take(trackIndex, free);
+      return;
+    }
+
+    const program = tracks[trackIndex].midi_program || 0;
+    const shared = [...programs].filter(
+      ([channel]) => channel !== PERCUSSION_CHANNEL,
+    );
+    const match =
+      shared.find(([, other]) => other === program) ||
+      shared.find(([, other]) => getFamily(other) === getFamily(program)) ||
+      shared[0];
+
+    if (match[1] !== program) {
+      console.warn(
+        `Track ${trackIndex + 1} (program ${program}) shares channel ${match[0] + 1} with program ${match[1]}; only one of the two programs will sound`,
+      );
+    }
+    take(trackIndex, match[0]);
+  });
+
+  return channels;
+}
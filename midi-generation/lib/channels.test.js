@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PERCUSSION_CHANNEL, allocateChannels } from "./channels.js";
+
+const pitched = (options = {}) => ({
+  sections: [{ pattern_type: "sustained_pad" }],
+  ...options,
+});
+const drums = (options = {}) => ({
+  sections: [{ pattern_type: "silence" }, { pattern_type: "hand_percussion" }],
+  ...options,
+});
+
+test("keeps the channel a track_number asks for", () => {
+  assert.deepEqual(
+    allocateChannels([
+      pitched({ track_number: 3 }),
+      pitched({ track_number: 1 }),
+      pitched(),
+    ]),
+    [2, 0, 1],
+  );
+});
+
+test("puts tracks playing percussion patterns on channel 10", () => {
+  assert.deepEqual(
+    allocateChannels([
+      pitched({ track_number: 1 }),
+      drums({ track_number: 2 }),
+      drums({ track_number: 3, mix: { role: "pad" } }),
+    ]),
+    [0, PERCUSSION_CHANNEL, PERCUSSION_CHANNEL],
+  );
+});
+
+test("keeps pitched tracks off channel 10, whatever their role", () => {
+  const channels = allocateChannels([
+    pitched({ track_number: 10 }),
+    pitched({ track_number: 11, mix: { role: "percussion" } }),
+  ]);
+  assert.ok(!channels.includes(PERCUSSION_CHANNEL));
+  assert.deepEqual(channels, [0, 10]);
+});
+
+test("moves a track whose channel is taken to the lowest free one", () => {
+  assert.deepEqual(
+    allocateChannels([
+      pitched({ track_number: 1 }),
+      pitched({ track_number: 1 }),
+      pitched({ track_number: 2 }),
+      pitched({ track_number: 17 }),
+    ]),
+    [0, 2, 1, 3],
+  );
+});
+
+test("shares channels by program, then family, past 15 pitched tracks", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  // Channels 1-9 and 11-16, one GM family each
+  const tracks = Array.from({ length: 15 }, (_, index) =>
+    pitched({
+      track_number: index < 9 ? index + 1 : index + 2,
+      midi_program: index * 8,
+    }),
+  );
+  tracks.push(
+    pitched({ midi_program: 40 }), // Same program as track 6
+    pitched({ midi_program: 43 }), // Strings, like track 6
+  );
+
+  const channels = allocateChannels(tracks);
+  assert.equal(channels[15], channels[5]);
+  assert.equal(channels[16], channels[5]);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /^Track 17 \(program 43\)/);
+});
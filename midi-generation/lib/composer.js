@@ -0,0 +1,460 @@
+/**
+ * Local Composer
+ * Rule-based stand-in for the LLM prompt chain. Turns a normalized recipe
+ * into a midi_spec using the tables in config/composer-rules.js: ingredients
+ * pick the instruments, the three acts pick the patterns, and the recipe
+ * name seeds the theme and the render. The same recipe always produces the
+ * same spec.
+ */
+
+import { COMPOSER_RULES } from "../config/composer-rules.js";
+import { PATTERN_STRATEGIES } from "../config/pattern-strategies.js";
+import { isValidPattern, isThematicPattern } from "./pattern-registry.js";
+import { noteToMidi, SCALE_INTERVALS } from "./note-utils.js";
+import { createRandom, hashSeed } from "./random.js";
+import { createTempoMap } from "./tempo-map.js";
+import { getMeter } from "./meter.js";
+import { parseKey, getRelativeMajor } from "./keys.js";
+
+const ROLE_ORDER = ["melody", "harmony", "bass", "pad", "texture"];
+
+// Times are rounded to the millisecond, well inside one tick
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Check that every pattern named in the rules exists in the registry.
+ * @param {Object} rules - Composer rules
+ * @throws {Error} If a role names an unknown pattern or a non-thematic melody pattern
+ */
+function checkRules(rules) {
+  for (const [role, { patterns }] of Object.entries(rules.roles)) {
+    patterns.flat().forEach((patternType) => {
+      if (!isValidPattern(patternType)) {
+        throw new Error(
+          `Composer rules: unknown pattern "${patternType}" for role ${role}`,
+        );
+      }
+      if (role === "melody" && !isThematicPattern(patternType)) {
+        throw new Error(
+          `Composer rules: melody pattern "${patternType}" must be thematic`,
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Get the lowercase text of every ingredient.
+ * @param {Object} recipe - Normalized recipe
+ * @returns {string[]} Ingredient lines
+ */
+function getIngredientLines(recipe) {
+  return (recipe.ingredients || []).map((line) => String(line).toLowerCase());
+}
+
+/**
+ * Count the votes for each row of the ingredient table.
+ * @param {string[]} ingredients - Lowercase ingredient lines
+ * @param {Object} rules - Composer rules
+ * @returns {Map} Row → { count, keywords } for rows with at least one vote
+ */
+function countVotes(ingredients, rules) {
+  const votes = new Map();
+
+  ingredients.forEach((line) => {
+    for (const row of rules.ingredients) {
+      const keyword = row.keywords.find((word) => line.includes(word));
+      if (keyword) {
+        const entry = votes.get(row) || { count: 0, keywords: [] };
+        entry.count++;
+        if (!entry.keywords.includes(keyword)) entry.keywords.push(keyword);
+        votes.set(row, entry);
+        break;
+      }
+    }
+  });
+
+  return votes;
+}
+
+/**
+ * Pick one instrument per role from the ingredient table.
+ * @param {Map} votes - Votes per ingredient row
+ * @param {Object} rules - Composer rules
+ * @returns {Object} Role → { instrument_name, midi_program, component_source? }
+ */
+function castInstruments(votes, rules) {
+  const cast = {};
+  ROLE_ORDER.forEach((role) => {
+    let best = null;
+    for (const row of rules.ingredients) {
+      const entry = votes.get(row);
+      if (row.role === role && entry && entry.count > (best?.count || 0)) {
+        best = { row, ...entry };
+      }
+    }
+
+    if (best) {
+      cast[role] = {
+        instrument_name: best.row.instrument_name,
+        midi_program: best.row.midi_program,
+        component_source: best.keywords.join(", "),
+      };
+    } else if (rules.defaults[role]) {
+      cast[role] = { ...rules.defaults[role] };
+    }
+  });
+
+  return cast;
+}
+
+/**
+ * Pick the hero ingredients that get their own motif: the most-voted melody
+ * rows, named by their first matched keyword.
+ * @param {Map} votes - Votes per ingredient row
+ * @param {Object} rules - Composer rules
+ * @returns {string[]} Theme ids, most-voted first
+ */
+function pickHeroes(votes, rules) {
+  return rules.ingredients
+    .filter((row) => row.role === "melody" && votes.has(row))
+    .sort((a, b) => votes.get(b).count - votes.get(a).count)
+    .slice(0, rules.theme.motifs)
+    .map((row) => votes.get(row).keywords[0]);
+}
+
+/**
+ * Pick the first row whose keywords appear in the recipe's category, cuisine,
+ * keywords or name, falling back to the last row.
+ * @param {Object} recipe - Normalized recipe
+ * @param {Object[]} rows - Rules rows with keywords
+ * @returns {Object} Matching row
+ */
+function pickByRecipeText(recipe, rows) {
+  const text = [recipe.category, recipe.cuisine, recipe.keywords, recipe.name]
+    .flat()
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return (
+    rows.find(({ keywords }) => keywords.some((word) => text.includes(word))) ||
+    rows[rows.length - 1]
+  );
+}
+
+/**
+ * Get the tempo from the recipe's total time: quick recipes are faster.
+ * @param {Object} recipe - Normalized recipe
+ * @param {Object} timing - Timing rules
+ * @returns {number} Tempo in BPM
+ */
+function pickTempo(recipe, timing) {
+  const minutes = recipe.times?.total_minutes;
+  if (!minutes) return timing.defaultTempo;
+
+  // Interpolate on a log scale between 15 minutes and 3 hours
+  const position = Math.min(
+    1,
+    Math.max(0, Math.log(minutes / 15) / Math.log(180 / 15)),
+  );
+  return Math.round(
+    timing.fastTempo - (timing.fastTempo - timing.slowTempo) * position,
+  );
+}
+
+/**
+ * Build the theme by walking the scale from the tonic and back.
+ * @param {number} rootMidi - Tonic MIDI note
+ * @param {string} scaleType - Scale type
+ * @param {function} random - Deterministic random function
+ * @param {Object} themeRules - Theme rules
+ * @returns {Object} Theme definition with notes and rhythm
+ */
+function composeTheme(rootMidi, scaleType, random, themeRules) {
+  const intervals = SCALE_INTERVALS[scaleType];
+  const degreeToMidi = (degree) =>
+    rootMidi +
+    12 * Math.floor(degree / intervals.length) +
+    intervals[
+      ((degree % intervals.length) + intervals.length) % intervals.length
+    ];
+
+  const rhythm =
+    themeRules.rhythms[Math.floor(random() * themeRules.rhythms.length)];
+
+  let degree = 0;
+  const degrees = rhythm.map((_, index) => {
+    if (index === 0) return 0;
+    if (index === rhythm.length - 1) {
+      // Resolve to whichever tonic is closer
+      return degree >= intervals.length / 2 ? intervals.length : 0;
+    }
+    const step =
+      themeRules.steps[Math.floor(random() * themeRules.steps.length)];
+    degree = Math.min(intervals.length + 2, Math.max(-2, degree + step));
+    return degree;
+  });
+
+  return { notes: degrees.map(degreeToMidi), rhythm: [...rhythm] };
+}
+
+/**
+ * Split the piece into acts, each starting on a bar line.
+ * @param {number} duration - Piece length in seconds
+ * @param {Object[]} acts - Act rules
+ * @param {number} barSeconds - Length of one bar in seconds
+ * @returns {Object[]} Acts with label, velocity, start_time and end_time
+ */
+function getActs(duration, acts, barSeconds) {
+  const toBar = (time) => round(Math.round(time / barSeconds) * barSeconds);
+  let start = 0;
+  return acts.map((act, index) => {
+    const end =
+      index === acts.length - 1
+        ? duration
+        : toBar(start + duration * act.proportion);
+    const timed = { ...act, start_time: start, end_time: end };
+    start = end;
+    return timed;
+  });
+}
+
+/**
+ * Build the tempo map points: acts with a `ritardando` slow down to that
+ * fraction of the tempo by their end.
+ * @param {number} tempo - Piece tempo in BPM
+ * @param {Object[]} acts - Timed acts
+ * @returns {Object[]} tempo_map points (empty for a constant tempo)
+ */
+function composeTempoMap(tempo, acts) {
+  return acts
+    .filter((act) => act.ritardando)
+    .flatMap((act) => [
+      { time: act.start_time, tempo },
+      {
+        time: act.end_time,
+        tempo: Math.round(tempo * act.ritardando),
+        curve: "ease_out",
+      },
+    ]);
+}
+
+/**
+ * Build the key changes: acts with `lift` move to the relative major when
+ * the piece is in a mode with a minor third (and stay put otherwise).
+ * @param {string} keySignature - Key of the piece
+ * @param {Object[]} acts - Timed acts
+ * @returns {Object[]} key_changes entries (empty if the key never changes)
+ */
+function composeKeyChanges(keySignature, acts) {
+  const relativeMajor = getRelativeMajor(parseKey(keySignature));
+  if (!relativeMajor) return [];
+
+  return acts
+    .filter((act) => act.lift)
+    .map((act) => ({ time: act.start_time, key: relativeMajor }));
+}
+
+/**
+ * Build the sections for one role across all acts.
+ * @param {string} role - Role name
+ * @param {Object[]} acts - Timed acts
+ * @param {Object} context - Key, scale type, tempo map, theme ids, theme length in beats and rules
+ * @returns {Object[]} Sections
+ */
+function composeSections(role, acts, context) {
+  const { key, scaleType, timing, themeIds, themeBeats, rules } = context;
+  const roleRules = rules.roles[role];
+
+  const tonal = roleRules.octave !== undefined && {
+    scale: { root: `${key}${roleRules.octave}`, type: scaleType },
+    pitch_range: {
+      low: `${key}${roleRules.octave}`,
+      high: `${key}${roleRules.octave + roleRules.span}`,
+    },
+  };
+
+  return acts.flatMap((act, actIndex) => {
+    const velocity_avg = Math.max(
+      1,
+      Math.min(127, act.velocity + roleRules.velocityOffset),
+    );
+    const base = { velocity_avg, ...tonal };
+
+    if (role !== "melody") {
+      const section = {
+        start_time: act.start_time,
+        end_time: act.end_time,
+        pattern_type: roleRules.patterns[actIndex],
+        ...base,
+      };
+      if (roleRules.harmonic && act.progression) {
+        section.progression = act.progression;
+      }
+      if (roleRules.fadeIn && actIndex === 0) {
+        section.late_entry = PATTERN_STRATEGIES.lateEntry.bassFadeIn;
+      }
+      return [section];
+    }
+
+    // Melody: one theme-length phrase after another, cycling the act's
+    // patterns and the hero motifs. Phrases are measured in beats so they
+    // keep their length through a ritardando.
+    const patterns = roleRules.patterns[actIndex];
+    const startBeat = timing.secondsToBeats(act.start_time);
+    const length = timing.secondsToBeats(act.end_time) - startBeat;
+    const phraseCount = Math.max(1, Math.floor(length / themeBeats));
+    const phraseLength = length / phraseCount;
+    const phraseStart = (index) =>
+      round(
+        timing.beatsToSeconds(startBeat + Math.round(index * phraseLength)),
+      );
+
+    return Array.from({ length: phraseCount }, (_, index) => {
+      const pattern_type = patterns[index % patterns.length];
+      return {
+        start_time: phraseStart(index),
+        end_time:
+          index === phraseCount - 1 ? act.end_time : phraseStart(index + 1),
+        pattern_type,
+        ...(themeIds.length > 0 && {
+          theme_id: themeIds[index % themeIds.length],
+        }),
+        ...base,
+        ...(pattern_type === "thematic_fragmented" && { sequence: true }),
+      };
+    });
+  });
+}
+
+/**
+ * Compose a midi_spec from a normalized recipe.
+ * @param {Object} recipe - Normalized recipe (see recipe-extraction)
+ * @param {Object} rules - Composer rules (default config/composer-rules.js)
+ * @returns {Object} midi_spec
+ * @throws {Error} If the recipe has no name or the rules name unknown patterns
+ */
+export function composeMidiSpec(recipe, rules = COMPOSER_RULES) {
+  if (!recipe?.name) {
+    throw new Error("Composer needs a recipe with a name");
+  }
+  checkRules(rules);
+
+  const seed = hashSeed(recipe.name);
+  const random = createRandom(seed);
+  const { timing } = rules;
+
+  const duration = Math.min(
+    timing.maxDuration,
+    Math.max(
+      timing.minDuration,
+      timing.baseDuration + (recipe.steps || []).length * timing.secondsPerStep,
+    ),
+  );
+  const tempo = pickTempo(recipe, timing);
+  const key = rules.keys[seed % rules.keys.length];
+  const scaleType = pickByRecipeText(recipe, rules.moods).scale;
+  const timeSignature = pickByRecipeText(recipe, rules.meters).time_signature;
+  const meter = getMeter(timeSignature);
+
+  const rootMidi = noteToMidi(`${key}${rules.roles.melody.octave}`);
+  const theme = composeTheme(rootMidi, scaleType, random, rules.theme);
+
+  // With two or more hero ingredients each gets a motif, the first one the
+  // main theme
+  const votes = countVotes(getIngredientLines(recipe), rules);
+  const heroes = pickHeroes(votes, rules);
+  const themes =
+    heroes.length > 1
+      ? Object.fromEntries(
+          heroes.map((hero, index) => [
+            hero,
+            {
+              ...(index === 0
+                ? theme
+                : composeTheme(
+                    rootMidi,
+                    scaleType,
+                    random.fork("motif", hero),
+                    rules.theme,
+                  )),
+              character: `${hero} motif`,
+            },
+          ]),
+        )
+      : null;
+  const themeBeats = Math.max(
+    ...[theme, ...Object.values(themes || {})].map(({ rhythm }) =>
+      rhythm.reduce((sum, beats) => sum + beats, 0),
+    ),
+  );
+
+  const acts = getActs(duration, rules.acts, (meter.beatsPerBar * 60) / tempo);
+  const tempoMap = composeTempoMap(tempo, acts);
+  const keySignature = `${key} ${scaleType}`;
+  const keyChanges = composeKeyChanges(keySignature, acts);
+  const beatTiming = createTempoMap({ tempo, tempo_map: tempoMap });
+  const ingredients = getIngredientLines(recipe);
+  const cast = castInstruments(votes, rules);
+  const context = {
+    key,
+    scaleType,
+    timing: beatTiming,
+    themeIds: themes ? heroes : [],
+    themeBeats,
+    rules,
+  };
+
+  const tracks = ROLE_ORDER.filter((role) => cast[role]).map((role, index) => ({
+    track_number: index + 1,
+    role,
+    ...cast[role],
+    sections: composeSections(role, acts, context),
+  }));
+
+  const spicy = ingredients.filter((line) =>
+    rules.percussion.keywords.some((word) => line.includes(word)),
+  );
+  if (spicy.length >= rules.percussion.minMatches) {
+    tracks.push({
+      track_number: rules.percussion.track_number,
+      role: "percussion",
+      instrument_name: rules.percussion.instrument_name,
+      midi_program: 0,
+      sections: composeSections("percussion", acts, context),
+    });
+  }
+
+  // Name the hero whose motif the melody plays at each phrase
+  const melody = tracks.find((track) => track.role === "melody");
+  const lyrics = (melody?.sections || [])
+    .filter((section) => section.theme_id)
+    .map((section) => ({ time: section.start_time, text: section.theme_id }));
+
+  return {
+    tempo,
+    ...(tempoMap.length > 0 && { tempo_map: tempoMap }),
+    time_signature: [...timeSignature],
+    key_signature: keySignature,
+    ...(keyChanges.length > 0 && { key_changes: keyChanges }),
+    seed,
+    auto_pan: true,
+    themeDefinition: {
+      ...theme,
+      character: `${recipe.name} in ${key} ${scaleType.replace(/_/g, " ")}`,
+    },
+    ...(themes && { themes }),
+    tracks,
+    metadata: {
+      recipe_name: recipe.name,
+      structure_markers: acts.map((act) => ({
+        time: act.start_time,
+        label: act.label,
+      })),
+      ...(lyrics.length > 0 && { lyrics }),
+    },
+  };
+}
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { composeMidiSpec } from "./composer.js";
+import { validateSpec } from "./midi-factory.js";
+import { COMPOSER_RULES } from "../config/composer-rules.js";
+
+const soup = {
+  name: "Tomato Soup",
+  ingredients: [
+    "2 tomatoes",
+    "1 red pepper",
+    "1 onion",
+    "basil",
+    "olive oil",
+    "salt",
+  ],
+  steps: ["Roast.", "Blend.", "Serve."],
+  times: { total_minutes: 55 },
+};
+
+test("composes a valid spec, the same one every time", () => {
+  const spec = composeMidiSpec(soup);
+
+  assert.deepEqual(validateSpec(spec).errors, []);
+  assert.deepEqual(composeMidiSpec({ ...soup }), spec);
+  assert.notEqual(
+    composeMidiSpec({ ...soup, name: "Pepper Soup" }).seed,
+    spec.seed,
+  );
+});
+
+test("casts one instrument per role from the ingredients", () => {
+  const { tracks } = composeMidiSpec(soup);
+
+  assert.deepEqual(
+    tracks.map(({ track_number, role, instrument_name, component_source }) => [
+      track_number,
+      role,
+      instrument_name,
+      component_source,
+    ]),
+    [
+      [1, "melody", "Trumpet", "tomato, pepper"],
+      [2, "harmony", "Acoustic Guitar (nylon)", "basil"],
+      [3, "bass", "Acoustic Bass", undefined],
+      [4, "pad", "String Ensemble 1", "oil"],
+      [5, "texture", "Celesta", "salt"],
+    ],
+  );
+});
+
+test("lays the piece out in three acts with a motif per hero ingredient", () => {
+  const spec = composeMidiSpec(soup);
+  const markers = spec.metadata.structure_markers;
+
+  assert.deepEqual(
+    markers.map(({ label }) => label),
+    COMPOSER_RULES.acts.map(({ label }) => label),
+  );
+  assert.equal(markers[0].time, 0);
+  assert.deepEqual(Object.keys(spec.themes), ["tomato", "onion"]);
+  assert.equal(spec.metadata.lyrics[0].text, "tomato");
+
+  const end = Math.max(
+    ...spec.tracks.flatMap(({ sections }) => sections.map((s) => s.end_time)),
+  );
+  for (const { sections } of spec.tracks) {
+    assert.equal(sections[0].start_time, 0);
+    assert.equal(sections.at(-1).end_time, end);
+  }
+});
+
+test("adds percussion for spicy recipes and speeds up quick ones", () => {
+  const chili = composeMidiSpec({ name: "Chili", ingredients: ["1 chili"] });
+  const percussion = chili.tracks.at(-1);
+  assert.equal(percussion.role, "percussion");
+  assert.equal(percussion.track_number, COMPOSER_RULES.percussion.track_number);
+  assert.equal(
+    composeMidiSpec(soup).tracks.some(({ role }) => role === "percussion"),
+    false,
+  );
+
+  const quick = composeMidiSpec({ ...soup, times: { total_minutes: 10 } });
+  const slow = composeMidiSpec({ ...soup, times: { total_minutes: 240 } });
+  assert.ok(quick.tempo > slow.tempo);
+});
+
+test("rejects recipes without a name and rules with unknown patterns", () => {
+  assert.throws(() => composeMidiSpec({}), {
+    message: "Composer needs a recipe with a name",
+  });
+
+  const rules = structuredClone(COMPOSER_RULES);
+  rules.roles.bass.patterns = [["walking_bass"]];
+  assert.throws(() => composeMidiSpec(soup, rules), {
+    message: 'Composer rules: unknown pattern "walking_bass" for role bass',
+  });
+});
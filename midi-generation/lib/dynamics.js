@@ -0,0 +1,125 @@
+/**
+ * Dynamics
+ * Section envelopes for crescendos and fades. A section's `dynamics`
+ * ({ from, to, curve, controller }) moves its loudness from one level to
+ * another between start_time and end_time:
+ * - Without a controller, note velocities follow the envelope. Each note keeps
+ *   its offset from velocity_avg (or its pattern's default), so accents stay
+ *   above the line and harmony below it.
+ * - With `controller` ("expression" for CC11, "volume" for CC7), the envelope
+ *   is written as controller automation instead, so held notes swell and
+ *   decay too. The controller goes back to its resting value (the track's
+ *   mix volume for CC7) at end_time.
+ */
+
+import { PATTERN_STRATEGIES } from "../config/pattern-strategies.js";
+import { getPatternInfo } from "./pattern-registry.js";
+
+// How the level travels from `from` to `to`
+export const DYNAMICS_CURVES = ["linear", "ease_in", "ease_out"];
+
+const clamp = (value) => Math.max(0, Math.min(127, value));
+
+/**
+ * Shape a fraction along a curve.
+ * @param {number} fraction - Progress through the section (0.0-1.0)
+ * @param {string} curve - Curve name
+ * @returns {number} Shaped progress (0.0-1.0)
+ */
+function shape(fraction, curve) {
+  switch (curve) {
+    case "ease_in":
+      return fraction * fraction;
+    case "ease_out":
+      return 1 - (1 - fraction) * (1 - fraction);
+    default:
+      return fraction;
+  }
+}
+
+/**
+ * Create the envelope of a section.
+ * Progress is measured in beats, so it follows the tempo map.
+ * @param {Object} section - Section specification with dynamics
+ * @param {Object} timing - Tempo map (see tempo-map.js)
+ * @returns {function} Returns the level (0-127) at a time in seconds
+ */
+export function createEnvelope(section, timing) {
+  const { from, to, curve = "linear" } = section.dynamics;
+  const startBeat = timing.secondsToBeats(section.start_time);
+  const spanBeats = timing.secondsToBeats(section.end_time) - startBeat;
+
+  return (time) => {
+    // A section without length is already at its target level
+    const fraction =
+      spanBeats > 0
+        ? Math.max(
+            0,
+            Math.min(1, (timing.secondsToBeats(time) - startBeat) / spanBeats),
+          )
+        : 1;
+    return from + (to - from) * shape(fraction, curve);
+  };
+}
+
+/**
+ * Get the velocity a section's pattern played its notes around: the section's
+ * velocity_avg, else the default its pattern declares, else the notes' mean.
+ * @param {Object} section - Section specification
+ * @param {Object[]} notes - Notes the section's pattern added
+ * @returns {number} Velocity (0-127)
+ */
+function getBaseVelocity(section, notes) {
+  if (section.velocity_avg !== undefined) {
+    return section.velocity_avg;
+  }
+  const declared = getPatternInfo(section.pattern_type)?.params.velocity_avg;
+  if (declared?.default !== undefined) {
+    return declared.default;
+  }
+  const total = notes.reduce((sum, note) => sum + note.velocity * 127, 0);
+  return notes.length > 0 ? total / notes.length : 0;
+}
+
+/**
+ * Apply a section's dynamics to the notes its pattern added, or write them as
+ * controller automation.
+ * @param {Object} track - The track the section plays on
+ * @param {Object[]} notes - Notes the section's pattern added
+ * @param {Object} section - Section specification with dynamics
+ * @param {Object} timing - Tempo map (see tempo-map.js)
+ * @param {Object} trackMix - The track's mix (see mix.js)
+ */
+export function applyDynamics(track, notes, section, timing, trackMix = {}) {
+  const envelope = createEnvelope(section, timing);
+  const { controller } = section.dynamics;
+
+  if (!controller) {
+    const base = getBaseVelocity(section, notes);
+    notes.forEach((note) => {
+      const offset = Math.round(note.velocity * 127) - base;
+      note.velocity = Math.max(1, clamp(envelope(note.time) + offset)) / 127;
+    });
+    return;
+  }
+
+  const config = PATTERN_STRATEGIES.dynamics;
+  const { number } = config.controllers[controller];
+  const rest =
+    controller === "volume" && trackMix.volume !== undefined
+      ? trackMix.volume
+      : config.controllers[controller].rest;
+
+  // One event per step, skipping steps where the value doesn't change
+  let last = null;
+  let time = section.start_time;
+  while (time < section.end_time - 1e-9) {
+    const value = Math.round(clamp(envelope(time)));
+    if (value !== last) {
+      track.addCC({ number, time, value: value / 127 });
+      last = value;
+    }
+    time = timing.addBeats(time, config.automationStep);
+  }
+  track.addCC({ number, time: section.end_time, value: rest / 127 });
+}
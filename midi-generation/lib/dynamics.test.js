@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyDynamics, createEnvelope } from "./dynamics.js";
+import { createTempoMap } from "./tempo-map.js";
+
+// Two beats per second
+const timing = createTempoMap({ tempo: 120 });
+
+const section = (options = {}) => ({
+  start_time: 0,
+  end_time: 4,
+  pattern_type: "melodic_counterpoint",
+  ...options,
+  dynamics: { from: 40, to: 100, ...options.dynamics },
+});
+
+const createTrack = () => {
+  const controlChanges = [];
+  return { controlChanges, addCC: (event) => controlChanges.push(event) };
+};
+
+const note = (time, velocity) => ({ time, velocity: velocity / 127 });
+const velocities = (notes) =>
+  notes.map((entry) => Math.round(entry.velocity * 127));
+
+test("moves the level along its curve and holds it outside the section", () => {
+  const levels = (curve) => {
+    const envelope = createEnvelope(section({ dynamics: { curve } }), timing);
+    return [-1, 0, 2, 4, 5].map(envelope);
+  };
+  assert.deepEqual(levels("linear"), [40, 40, 70, 100, 100]);
+  assert.deepEqual(levels("ease_in"), [40, 40, 55, 100, 100]);
+  assert.deepEqual(levels("ease_out"), [40, 40, 85, 100, 100]);
+});
+
+test("follows the tempo map, counting progress in beats", () => {
+  // The first second is two beats, the next three seconds three more
+  const slowing = createTempoMap({
+    tempo: 120,
+    tempo_map: [{ time: 1, tempo: 60 }],
+  });
+  const envelope = createEnvelope(section(), slowing);
+  assert.equal(envelope(1), 40 + 60 * (2 / 5));
+});
+
+test("holds the target level on a section without length", () => {
+  const envelope = createEnvelope(section({ end_time: 0 }), timing);
+  assert.equal(envelope(0), 100);
+  assert.ok(!Number.isNaN(envelope(1)));
+});
+
+test("keeps each note's offset from velocity_avg", () => {
+  const notes = [note(0, 70), note(2, 80), note(4, 60)];
+  applyDynamics(createTrack(), notes, section({ velocity_avg: 70 }), timing);
+  assert.deepEqual(velocities(notes), [40, 80, 90]);
+});
+
+test("measures offsets from the pattern's default velocity_avg", () => {
+  // melodic_counterpoint plays around 70 without a velocity_avg
+  const notes = [note(0, 70), note(2, 75)];
+  applyDynamics(createTrack(), notes, section(), timing);
+  assert.deepEqual(velocities(notes), [40, 75]);
+});
+
+test("keeps velocities between 1 and 127", () => {
+  const notes = [note(0, 20), note(4, 127)];
+  applyDynamics(
+    createTrack(),
+    notes,
+    section({ velocity_avg: 70, dynamics: { from: 10, to: 120 } }),
+    timing,
+  );
+  assert.deepEqual(velocities(notes), [1, 127]);
+});
+
+test("writes controller automation and returns to the resting value", () => {
+  const track = createTrack();
+  const notes = [note(0, 70)];
+  applyDynamics(
+    track,
+    notes,
+    section({
+      end_time: 1,
+      dynamics: { from: 0, to: 127, controller: "expression" },
+    }),
+    timing,
+  );
+
+  // Every quarter beat, then back to full expression at end_time
+  assert.deepEqual(
+    track.controlChanges.map(({ number, time, value }) => [
+      number,
+      time,
+      Math.round(value * 127),
+    ]),
+    [
+      [11, 0, 0],
+      [11, 0.125, 16],
+      [11, 0.25, 32],
+      [11, 0.375, 48],
+      [11, 0.5, 64],
+      [11, 0.625, 79],
+      [11, 0.75, 95],
+      [11, 0.875, 111],
+      [11, 1, 127],
+    ],
+  );
+  assert.deepEqual(velocities(notes), [70]);
+});
+
+test("returns volume automation to the track's mix volume", () => {
+  const track = createTrack();
+  applyDynamics(
+    track,
+    [],
+    section({ dynamics: { from: 90, to: 90, controller: "volume" } }),
+    timing,
+    { volume: 80 },
+  );
+  assert.deepEqual(
+    track.controlChanges.map(({ number, time, value }) => [
+      number,
+      time,
+      Math.round(value * 127),
+    ]),
+    [
+      [7, 0, 90],
+      [7, 4, 80],
+    ],
+  );
+});
@@ -0,0 +1,96 @@
+/**
+ * General MIDI Percussion
+ * The GM Level 1 percussion map (channel 10, notes 35-81) and a check that the
+ * drum pitches configured for the percussion patterns are on it.
+ */
+
+export const GM_PERCUSSION = {
+  35: "Acoustic Bass Drum",
+  36: "Bass Drum 1",
+  37: "Side Stick",
+  38: "Acoustic Snare",
+  39: "Hand Clap",
+  40: "Electric Snare",
+  41: "Low Floor Tom",
+  42: "Closed Hi-Hat",
+  43: "High Floor Tom",
+  44: "Pedal Hi-Hat",
+  45: "Low Tom",
+  46: "Open Hi-Hat",
+  47: "Low-Mid Tom",
+  48: "Hi-Mid Tom",
+  49: "Crash Cymbal 1",
+  50: "High Tom",
+  51: "Ride Cymbal 1",
+  52: "Chinese Cymbal",
+  53: "Ride Bell",
+  54: "Tambourine",
+  55: "Splash Cymbal",
+  56: "Cowbell",
+  57: "Crash Cymbal 2",
+  58: "Vibraslap",
+  59: "Ride Cymbal 2",
+  60: "Hi Bongo",
+  61: "Low Bongo",
+  62: "Mute Hi Conga",
+  63: "Open Hi Conga",
+  64: "Low Conga",
+  65: "High Timbale",
+  66: "Low Timbale",
+  67: "High Agogo",
+  68: "Low Agogo",
+  69: "Cabasa",
+  70: "Maracas",
+  71: "Short Whistle",
+  72: "Long Whistle",
+  73: "Short Guiro",
+  74: "Long Guiro",
+  75: "Claves",
+  76: "Hi Wood Block",
+  77: "Low Wood Block",
+  78: "Mute Cuica",
+  79: "Open Cuica",
+  80: "Mute Triangle",
+  81: "Open Triangle",
+};
+
+/**
+ * Check every `pitch` in the percussion patterns' configuration against the
+ * GM percussion map. A `name` next to a pitch must be that note's GM name.
+ * @param {Object} patterns - PATTERN_STRATEGIES.patterns
+ * @param {string[]} patternTypes - Percussion pattern types to check
+ * @throws {Error} If a pitch isn't a GM percussion note or its name doesn't match
+ */
+export function checkDrumPitches(patterns, patternTypes) {
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}[${index}]`));
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+
+    if (value.pitch !== undefined) {
+      const name = GM_PERCUSSION[value.pitch];
+      if (!name) {
+        throw new Error(
+          `Pattern strategies: ${path}.pitch ${value.pitch} is not a GM percussion note (35-81)`,
+        );
+      }
+      if (
+        value.name !== undefined &&
+        value.name.toLowerCase() !== name.toLowerCase()
+      ) {
+        throw new Error(
+          `Pattern strategies: ${path}.name "${value.name}" doesn't match GM percussion note ${value.pitch} (${name})`,
+        );
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      visit(child, `${path}.${key}`);
+    }
+  };
+
+  patternTypes.forEach((patternType) => {
+    visit(patterns[patternType], patternType);
+  });
+}
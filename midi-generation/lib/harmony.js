@@ -0,0 +1,266 @@
+/**
+ * Harmony
+ * Chord progressions for the supporting patterns. A progression is a list of
+ * roman numerals ("I", "vi", "V7", "bVII") or chord symbols ("C", "Am7",
+ * "F#dim"), each lasting one bar unless written as { chord, bars }. It loops
+ * for as long as the section lasts.
+ */
+
+import {
+  NOTE_NAMES,
+  NOTE_ALIASES,
+  SCALE_INTERVALS,
+  noteToMidi,
+} from "./note-utils.js";
+import { getMeter } from "./meter.js";
+import { parseKey } from "./keys.js";
+
+// Chord qualities (semitones above the root)
+export const CHORD_QUALITIES = {
+  "": [0, 4, 7],
+  m: [0, 3, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  sus2: [0, 2, 7],
+  sus4: [0, 5, 7],
+  6: [0, 4, 7, 9],
+  m6: [0, 3, 7, 9],
+  7: [0, 4, 7, 10],
+  maj7: [0, 4, 7, 11],
+  m7: [0, 3, 7, 10],
+  m7b5: [0, 3, 6, 10],
+  dim7: [0, 3, 6, 9],
+};
+
+// Alternative spellings of the qualities above
+const QUALITY_ALIASES = {
+  M: "",
+  maj: "",
+  min: "m",
+  "-": "m",
+  "°": "dim",
+  o: "dim",
+  "+": "aug",
+  M7: "maj7",
+  min7: "m7",
+  "-7": "m7",
+  ø: "m7b5",
+  ø7: "m7b5",
+  "°7": "dim7",
+  o7: "dim7",
+};
+
+const CHORD_SYMBOL = /^([A-G][#b]?)(.*)$/;
+const ROMAN_NUMERAL =
+  /^([b#]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/;
+const ROMAN_DEGREES = ["i", "ii", "iii", "iv", "v", "vi", "vii"];
+
+/**
+ * Get the pitch class (0-11) of a note name without octave.
+ * @param {string} name - Note name (e.g. 'C', 'F#', 'Bb')
+ * @returns {number} Pitch class, or -1 if not a note name
+ */
+export function getPitchClass(name) {
+  const note = name.charAt(0).toUpperCase() + name.slice(1);
+  return NOTE_NAMES.indexOf(NOTE_ALIASES[note] || note);
+}
+
+/**
+ * Get the tonic and scale type roman numerals are read against: the section
+ * scale if it has one, otherwise the key signature ("Am" is A minor, "D
+ * dorian" D dorian).
+ * @param {string} keySignature - Key signature in force
+ * @param {Object} sectionScale - Section scale ({ root, type })
+ * @returns {Object} Tonic pitch class and scale type
+ */
+export function getKeyContext(keySignature, sectionScale) {
+  if (sectionScale?.root !== undefined) {
+    try {
+      return {
+        tonic: noteToMidi(sectionScale.root) % 12,
+        scaleType: sectionScale.type || "major",
+      };
+    } catch (err) {
+      // Fall through to the key signature
+    }
+  }
+
+  const key = parseKey(keySignature);
+  if (key) {
+    return { tonic: key.pitchClass, scaleType: key.mode };
+  }
+
+  return { tonic: 0, scaleType: "major" };
+}
+
+/**
+ * Parse a chord symbol or roman numeral.
+ * Roman numerals are read against the tonic and scale: upper case is major,
+ * lower case minor, "7" adds the matching seventh (V7 dominant, ii7 minor).
+ * @param {string} symbol - Chord symbol ("Am7") or roman numeral ("vi")
+ * @param {Object} context - Key context for roman numerals
+ * @param {number} context.tonic - Tonic pitch class (default 0 = C)
+ * @param {string} context.scaleType - Scale type the degrees come from (default major)
+ * @returns {Object|null} Chord with symbol, root pitch class, intervals and tones, or null if not a chord
+ */
+export function parseChord(symbol, context = {}) {
+  const { tonic = 0, scaleType = "major" } = context;
+  if (typeof symbol !== "string") return null;
+
+  let root;
+  let quality;
+
+  const letter = symbol.match(CHORD_SYMBOL);
+  const roman = symbol.match(ROMAN_NUMERAL);
+
+  if (letter) {
+    root = getPitchClass(letter[1]);
+    quality = QUALITY_ALIASES[letter[2]] ?? letter[2];
+  } else if (roman) {
+    const [, accidental, numeral, suffix] = roman;
+    const minor = numeral === numeral.toLowerCase();
+
+    // Degrees follow the key's scale; pentatonic and chromatic fall back to major
+    const scale =
+      SCALE_INTERVALS[scaleType]?.length === 7
+        ? SCALE_INTERVALS[scaleType]
+        : SCALE_INTERVALS.major;
+    const offset = accidental === "b" ? -1 : accidental === "#" ? 1 : 0;
+    root =
+      (tonic +
+        scale[ROMAN_DEGREES.indexOf(numeral.toLowerCase())] +
+        offset +
+        12) %
+      12;
+
+    if (suffix === "" || suffix === "7" || suffix === "6") {
+      quality = (minor ? "m" : "") + suffix;
+    } else {
+      quality = QUALITY_ALIASES[suffix] ?? suffix;
+    }
+  } else {
+    return null;
+  }
+
+  const intervals = CHORD_QUALITIES[quality];
+  if (root === -1 || !intervals) return null;
+
+  return {
+    symbol,
+    root,
+    intervals,
+    tones: intervals.map((interval) => (root + interval) % 12),
+  };
+}
+
+/**
+ * Voice a chord in close position with its root as near as possible to a pitch.
+ * @param {Object} chord - Parsed chord
+ * @param {number} nearPitch - MIDI note the root should sit near
+ * @returns {number[]} Ascending MIDI notes
+ */
+export function voiceChord(chord, nearPitch) {
+  const octaveBase = nearPitch - ((((nearPitch - chord.root) % 12) + 12) % 12);
+  const root = nearPitch - octaveBase > 6 ? octaveBase + 12 : octaveBase;
+  return chord.intervals
+    .map((interval) => root + interval)
+    .filter((pitch) => pitch >= 0 && pitch <= 127);
+}
+
+/**
+ * Check whether a MIDI note belongs to a chord.
+ * @param {Object} chord - Parsed chord
+ * @param {number} pitch - MIDI note
+ * @returns {boolean} True if the pitch class is a chord tone
+ */
+export function isChordTone(chord, pitch) {
+  return chord.tones.includes(((pitch % 12) + 12) % 12);
+}
+
+/**
+ * Create the harmony timeline for a progression.
+ * @param {Array} progression - Chords (strings or { chord, bars })
+ * @param {Object} context - Timing and key context
+ * @param {number} context.startTime - When the first chord starts (seconds)
+ * @param {Object} context.timing - Tempo map (see tempo-map.js)
+ * @param {number[]} context.timeSignature - [beats, beat unit]
+ * @param {number} context.tonic - Tonic pitch class for roman numerals
+ * @param {string} context.scaleType - Scale type for roman numerals
+ * @returns {Object|null} Harmony with chordAt(), segments() and isStrongBeat(), or null without a progression
+ * @throws {Error} If a chord can't be parsed
+ */
+export function createHarmony(progression, context) {
+  if (!Array.isArray(progression) || progression.length === 0) return null;
+
+  const { startTime = 0, timing, timeSignature = [4, 4] } = context;
+
+  // Chords are laid out in beats so they stay on the bar lines through tempo
+  // changes
+  const meter = getMeter(timeSignature);
+  const startBeat = timing.secondsToBeats(startTime);
+
+  let offset = 0;
+  const entries = progression.map((entry) => {
+    const symbol = typeof entry === "string" ? entry : entry.chord;
+    const chord = parseChord(symbol, context);
+    if (!chord) {
+      throw new Error(`Unknown chord "${symbol}"`);
+    }
+    const bars = typeof entry === "string" ? 1 : (entry.bars ?? 1);
+    const start = offset;
+    offset += bars * meter.beatsPerBar;
+    return { chord, start, end: offset };
+  });
+  const cycle = offset;
+
+  const locate = (time) => {
+    const relative = timing.secondsToBeats(time) - startBeat;
+    const loop = Math.floor((relative + 1e-9) / cycle);
+    const position = relative - loop * cycle;
+    const entry =
+      entries.find((candidate) => position < candidate.end - 1e-9) ||
+      entries[entries.length - 1];
+    return {
+      entry,
+      changeTime: timing.beatsToSeconds(startBeat + loop * cycle + entry.end),
+    };
+  };
+
+  return {
+    /**
+     * Get the chord sounding at a time.
+     * @param {number} time - Time in seconds
+     * @returns {Object} Parsed chord
+     */
+    chordAt: (time) => locate(time).entry.chord,
+
+    /**
+     * Split a time span into one segment per chord.
+     * @param {number} start - Span start (seconds)
+     * @param {number} end - Span end (seconds)
+     * @returns {Object[]} Segments with start, end and chord
+     */
+    segments: (start, end) => {
+      const segments = [];
+      let time = start;
+      while (time < end - 1e-9) {
+        const { entry, changeTime } = locate(time);
+        const segmentEnd = Math.min(changeTime, end);
+        segments.push({ start: time, end: segmentEnd, chord: entry.chord });
+        time = segmentEnd;
+      }
+      return segments;
+    },
+
+    /**
+     * Check whether a time falls on a strong beat (the downbeat, or the
+     * secondary accent of a long bar, see meter.js).
+     * @param {number} time - Time in seconds
+     * @returns {boolean} True on a strong beat
+     */
+    isStrongBeat: (time) => {
+      const accent = meter.accentAt(timing.secondsToBeats(time) - startBeat);
+      return accent === "strong" || accent === "medium";
+    },
+  };
+}
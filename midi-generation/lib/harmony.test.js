@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createHarmony,
+  getKeyContext,
+  isChordTone,
+  parseChord,
+  voiceChord,
+} from "./harmony.js";
+import { createTempoMap } from "./tempo-map.js";
+
+const tonesOf = (symbol, context) => parseChord(symbol, context)?.tones;
+
+test("parses chord symbols and their alternative spellings", () => {
+  assert.deepEqual(tonesOf("C"), [0, 4, 7]);
+  assert.deepEqual(tonesOf("Am7"), [9, 0, 4, 7]);
+  assert.deepEqual(tonesOf("F#dim"), [6, 9, 0]);
+  assert.deepEqual(tonesOf("Bbmaj7"), [10, 2, 5, 9]);
+  assert.deepEqual(tonesOf("Dsus4"), [2, 7, 9]);
+  assert.deepEqual(tonesOf("E+"), tonesOf("Eaug"));
+  assert.deepEqual(tonesOf("Cø"), tonesOf("Cm7b5"));
+  assert.deepEqual(tonesOf("GM7"), tonesOf("Gmaj7"));
+  assert.deepEqual(tonesOf("D-7"), tonesOf("Dm7"));
+});
+
+test("reads roman numerals against the key", () => {
+  assert.deepEqual(parseChord("vi"), {
+    symbol: "vi",
+    root: 9,
+    intervals: [0, 3, 7],
+    tones: [9, 0, 4],
+  });
+  assert.deepEqual(tonesOf("V7"), [7, 11, 2, 5]);
+  assert.deepEqual(tonesOf("ii7"), [2, 5, 9, 0]);
+  assert.deepEqual(tonesOf("bVII"), [10, 2, 5]);
+  assert.deepEqual(tonesOf("viio"), [11, 2, 5]);
+
+  // In A minor, III is C major and V follows the case, not the scale
+  const aMinor = { tonic: 9, scaleType: "minor" };
+  assert.deepEqual(tonesOf("III", aMinor), [0, 4, 7]);
+  assert.deepEqual(tonesOf("V", aMinor), [4, 8, 11]);
+});
+
+test("rejects what isn't a chord", () => {
+  assert.equal(parseChord("H"), null);
+  assert.equal(parseChord("Cfoo"), null);
+  assert.equal(parseChord("viii"), null);
+  assert.equal(parseChord(7), null);
+});
+
+test("takes the key context from the section scale, else the key signature", () => {
+  assert.deepEqual(getKeyContext("Am"), { tonic: 9, scaleType: "minor" });
+  assert.deepEqual(getKeyContext("C", { root: "D4", type: "dorian" }), {
+    tonic: 2,
+    scaleType: "dorian",
+  });
+  assert.deepEqual(getKeyContext("F", { root: "nope" }), {
+    tonic: 5,
+    scaleType: "major",
+  });
+  assert.deepEqual(getKeyContext(undefined), { tonic: 0, scaleType: "major" });
+});
+
+test("voices chords in close position near a pitch", () => {
+  assert.deepEqual(voiceChord(parseChord("G"), 60), [55, 59, 62]);
+  assert.deepEqual(voiceChord(parseChord("F"), 60), [65, 69, 72]);
+  assert.ok(isChordTone(parseChord("Am"), 76));
+  assert.ok(!isChordTone(parseChord("Am"), 77));
+});
+
+test("lays a progression out in bars and loops it", () => {
+  const harmony = createHarmony(["I", { chord: "IV", bars: 2 }, "V7"], {
+    startTime: 1,
+    timing: createTempoMap({ tempo: 120 }),
+  });
+
+  assert.deepEqual(
+    [1, 2.9, 3, 6.9, 7, 9].map((time) => harmony.chordAt(time).symbol),
+    ["I", "I", "IV", "IV", "V7", "I"],
+  );
+  assert.deepEqual(
+    harmony
+      .segments(1, 12)
+      .map(({ start, end, chord }) => [start, end, chord.symbol]),
+    [
+      [1, 3, "I"],
+      [3, 7, "IV"],
+      [7, 9, "V7"],
+      [9, 11, "I"],
+      [11, 12, "IV"],
+    ],
+  );
+  // Beats 1 and 3 of 4/4, from the section start
+  assert.deepEqual(
+    [1, 1.5, 2, 2.5].map((time) => harmony.isStrongBeat(time)),
+    [true, false, true, false],
+  );
+});
+
+test("throws on an unknown chord and returns null without a progression", () => {
+  const timing = createTempoMap({});
+  assert.throws(
+    () => createHarmony(["I", "Xyz"], { timing }),
+    /Unknown chord "Xyz"/,
+  );
+  assert.equal(createHarmony([], { timing }), null);
+});
@@ -0,0 +1,215 @@
+/**
+ * JSON Schema Validator
+ * Dependency-free validator for the subset of JSON Schema (draft-07) used by
+ * the spec schemas. Collects every problem instead of stopping at the first,
+ * and reports each one with a readable path like `tracks[2].sections[1].scale`.
+ *
+ * Supported keywords: $ref (local), type, enum, const, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, minLength, pattern, minItems, maxItems,
+ * items, required, properties, additionalProperties, minProperties, anyOf.
+ * The non-standard `errorMessage` keyword replaces the message for a failed
+ * anyOf, pattern or enum.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Only local $ref values are supported, got ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node?.[key], rootSchema);
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+function validateNode(value, schema, path, rootSchema, errors) {
+  if (schema.$ref) {
+    schema = resolveRef(rootSchema, schema.$ref);
+  }
+
+  const push = (message) => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      validateNode(value, option, path, rootSchema, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      push(schema.errorMessage || "does not match any allowed form");
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      push(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    push(`must be ${formatValue(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    push(
+      schema.errorMessage ||
+        `unknown value ${formatValue(value)}, expected one of: ${schema.enum.join(", ")}`,
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      push(`must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      push(`must be <= ${schema.maximum}, got ${value}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      push(`must be > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      push(`must be < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      push(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      push(
+        schema.errorMessage ||
+          `${formatValue(value)} does not match ${schema.pattern}`,
+      );
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      push(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      push(`must have at most ${schema.maxItems} items`);
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          validateNode(
+            value[index],
+            itemSchema,
+            joinPath(path, index),
+            rootSchema,
+            errors,
+          );
+        }
+      });
+    } else if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(
+          item,
+          schema.items,
+          joinPath(path, index),
+          rootSchema,
+          errors,
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      push(`must have at least ${schema.minProperties} entries`);
+    }
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      const childPath = joinPath(path, key);
+      if (properties[key]) {
+        validateNode(
+          value[key],
+          properties[key],
+          childPath,
+          rootSchema,
+          errors,
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: "is not an allowed property" });
+      } else if (typeof schema.additionalProperties === "object") {
+        validateNode(
+          value[key],
+          schema.additionalProperties,
+          childPath,
+          rootSchema,
+          errors,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (draft-07 subset, see module comment)
+ * @returns {Object[]} Errors as { path, message }; empty when valid
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, "", schema, errors);
+  return errors;
+}
+
+/**
+ * Format a schema error as "path: message".
+ * @param {Object} error - Error from validateAgainstSchema
+ * @returns {string} Formatted error
+ */
+export function formatSchemaError(error) {
+  return `${error.path || "(root)"}: ${error.message}`;
+}
@@ -0,0 +1,275 @@
+/**
+ * Keys
+ * Key signatures with modes ("A minor", "D dorian", "Ebm") and mid-piece key
+ * changes. A key change writes a MIDI key-signature event and, unless told
+ * otherwise, moves the sections and theme that follow it from the spec's
+ * key_signature into the new key, degree by degree.
+ */
+
+import { SCALE_INTERVALS, midiToNote, noteToMidi } from "./note-utils.js";
+
+// Major keys by the number of sharps (positive) or flats (negative)
+const MAJOR_KEY_NAMES = {
+  "-7": "Cb",
+  "-6": "Gb",
+  "-5": "Db",
+  "-4": "Ab",
+  "-3": "Eb",
+  "-2": "Bb",
+  "-1": "F",
+  0: "C",
+  1: "G",
+  2: "D",
+  3: "A",
+  4: "E",
+  5: "B",
+  6: "F#",
+  7: "C#",
+};
+
+// Short spellings of modes in key names
+const MODE_ALIASES = {
+  m: "minor",
+  min: "minor",
+  maj: "major",
+  aeolian: "minor",
+  ionian: "major",
+};
+
+// Semitones from the parent major's tonic up to each mode's tonic; D dorian
+// uses the notes (and key signature) of C major. Other scales are treated as
+// major or minor by their flag below.
+const PARENT_MAJOR_OFFSETS = {
+  major: 0,
+  dorian: 2,
+  phrygian: 4,
+  lydian: 5,
+  mixolydian: 7,
+  minor: 9,
+  natural_minor: 9,
+  harmonic_minor: 9,
+  melodic_minor: 9,
+  pentatonic: 0,
+  pentatonic_minor: 9,
+  locrian: 11,
+};
+
+// Modes written with the major key signature flag; every other mode is minor
+const MAJOR_MODES = [
+  "major",
+  "lydian",
+  "mixolydian",
+  "pentatonic",
+  "chromatic",
+];
+
+const KEY_PATTERN = /^([A-G][#b]?)\s*([a-z_]*)$/i;
+
+/**
+ * Parse a key name.
+ * The mode is any scale type from note-utils (or m, min, maj, aeolian,
+ * ionian) and defaults to major: "C", "Am", "A minor", "D dorian".
+ * @param {string} name - Key name
+ * @returns {Object|null} Key with name, tonic (spelled), pitch class and mode, or null if not a key
+ */
+export function parseKey(name) {
+  const match = typeof name === "string" && name.trim().match(KEY_PATTERN);
+  if (!match) return null;
+
+  const tonic = match[1].charAt(0).toUpperCase() + match[1].slice(1);
+  const suffix = match[2].toLowerCase();
+  const mode = suffix === "" ? "major" : MODE_ALIASES[suffix] || suffix;
+  if (!SCALE_INTERVALS[mode]) return null;
+
+  return {
+    name: name.trim(),
+    tonic,
+    pitchClass: noteToMidi(`${tonic}4`) % 12,
+    mode,
+  };
+}
+
+/**
+ * Count the sharps (positive) or flats (negative) of a major key.
+ * @param {number} pitchClass - Tonic pitch class of the major key
+ * @param {string} spelling - "#" or "b" to prefer sharps or flats, or "" for the fewest accidentals
+ * @returns {number} Accidentals (-7 to 7)
+ */
+function countAccidentals(pitchClass, spelling) {
+  const sharps = (pitchClass * 7) % 12;
+  const flats = sharps - 12;
+  if (spelling === "#" && sharps <= 7) return sharps;
+  if (spelling === "b" && flats >= -7) return flats;
+  return -flats < sharps ? flats : sharps;
+}
+
+/**
+ * Get the MIDI key signature of a key: the accidentals of its parent major
+ * scale and the major/minor flag. Spelling follows the tonic, so F# major has
+ * six sharps and Gb major six flats.
+ * @param {Object} key - Parsed key
+ * @returns {Object} { key, scale, accidentals }, with key named as @tonejs/midi names it (the major key with those accidentals)
+ */
+export function getMidiKeySignature(key) {
+  const scale = MAJOR_MODES.includes(key.mode) ? "major" : "minor";
+  const offset = PARENT_MAJOR_OFFSETS[key.mode] ?? (scale === "major" ? 0 : 9);
+  const accidentals = countAccidentals(
+    (key.pitchClass - offset + 12) % 12,
+    key.tonic.slice(1),
+  );
+
+  return { key: MAJOR_KEY_NAMES[accidentals], scale, accidentals };
+}
+
+/**
+ * Get the relative major of a key with a minor third (A minor → C major,
+ * C dorian → Eb major).
+ * @param {Object} key - Parsed key
+ * @returns {string|null} Key name, or null if the key already has a major third
+ */
+export function getRelativeMajor(key) {
+  if (SCALE_INTERVALS[key.mode][2] !== 3) return null;
+
+  const { accidentals } = getMidiKeySignature(key);
+  const pitchClass = (key.pitchClass + 3) % 12;
+  const spelling = accidentals < 0 ? "b" : accidentals > 0 ? "#" : "";
+  return `${MAJOR_KEY_NAMES[countAccidentals(pitchClass, spelling)]} major`;
+}
+
+/**
+ * Get the nearest tonic movement between two keys, in semitones (-5 to +6).
+ * @param {Object} from - Parsed key
+ * @param {Object} to - Parsed key
+ * @returns {number} Semitones
+ */
+function getShift(from, to) {
+  const up = (to.pitchClass - from.pitchClass + 12) % 12;
+  return up > 6 ? up - 12 : up;
+}
+
+/**
+ * Move a pitch from one key into another by scale degree: the tonic goes to
+ * the new tonic, the third to the new third and so on, so A minor's C becomes
+ * C major's E. Notes outside the scale (or between scales of different
+ * sizes) keep their distance from the tonic.
+ * @param {number} pitch - MIDI note
+ * @param {Object} from - Parsed key the pitch is written in
+ * @param {Object} to - Parsed key to move it into
+ * @returns {number} MIDI note (not clamped)
+ */
+export function transposePitch(pitch, from, to) {
+  const fromIntervals = SCALE_INTERVALS[from.mode];
+  const toIntervals = SCALE_INTERVALS[to.mode];
+
+  const octave = Math.floor((pitch - from.pitchClass) / 12);
+  const offset = pitch - from.pitchClass - 12 * octave;
+  const degree = fromIntervals.indexOf(offset);
+  const moved =
+    degree !== -1 && fromIntervals.length === toIntervals.length
+      ? toIntervals[degree]
+      : offset;
+
+  return from.pitchClass + 12 * octave + getShift(from, to) + moved;
+}
+
+/**
+ * Create the key plan for a spec.
+ * Sections and the theme are written in key_signature; after a key change
+ * with `transpose` (the default) they're moved into the new key.
+ * @param {Object} spec - midi_spec (key_signature, key_changes)
+ * @returns {Object} Key plan with home key, changes, keyAt(), transposeSection() and transposeTheme()
+ */
+export function createKeyPlan(spec) {
+  const home = parseKey(spec.key_signature) || parseKey("C");
+
+  // Later entries at the same time win, so a change at 0 replaces the home key
+  const changes = [{ time: 0, key: home, transpose: false }];
+  [...(spec.key_changes || [])]
+    .sort((a, b) => a.time - b.time)
+    .forEach(({ time, key, transpose = true }) => {
+      const parsed = parseKey(key);
+      if (!parsed) return;
+      if (changes[changes.length - 1].time === time) changes.pop();
+      changes.push({ time, key: parsed, transpose });
+    });
+
+  const changeAt = (time) =>
+    changes.findLast((change) => change.time <= time + 1e-9) || changes[0];
+
+  const moves = (change) =>
+    change.transpose &&
+    (change.key.pitchClass !== home.pitchClass ||
+      change.key.mode !== home.mode);
+
+  const clamp = (pitch) => Math.max(0, Math.min(127, pitch));
+
+  return {
+    home,
+    changes,
+
+    /**
+     * Get the key at a time.
+     * @param {number} time - Time in seconds
+     * @returns {Object} Parsed key
+     */
+    keyAt: (time) => changeAt(time).key,
+
+    /**
+     * Move a section's scale and pitch range into the key at its start.
+     * A scale in the home mode takes the new mode.
+     * @param {Object} section - Section specification
+     * @returns {Object} The section, or a moved copy
+     */
+    transposeSection: (section) => {
+      const change = changeAt(section.start_time);
+      if (!moves(change)) return section;
+
+      const { key } = change;
+      const moved = { ...section };
+      try {
+        if (section.scale?.root !== undefined) {
+          const type = section.scale.type || "major";
+          moved.scale = {
+            ...section.scale,
+            root: midiToNote(
+              clamp(transposePitch(noteToMidi(section.scale.root), home, key)),
+            ),
+            type: type === home.mode ? key.mode : type,
+          };
+        }
+        if (section.pitch_range) {
+          const shift = getShift(home, key);
+          moved.pitch_range = {
+            low: midiToNote(clamp(noteToMidi(section.pitch_range.low) + shift)),
+            high: midiToNote(
+              clamp(noteToMidi(section.pitch_range.high) + shift),
+            ),
+          };
+        }
+      } catch (err) {
+        // Malformed notes are reported by validateSpec; play the section as written
+        return section;
+      }
+      return moved;
+    },
+
+    /**
+     * Move the theme into the key at a time.
+     * @param {Object} theme - Theme definition
+     * @param {number} time - Time in seconds
+     * @returns {Object} The theme, or a moved copy
+     */
+    transposeTheme: (theme, time) => {
+      const change = changeAt(time);
+      if (!theme || !Array.isArray(theme.notes) || !moves(change)) {
+        return theme;
+      }
+      return {
+        ...theme,
+        notes: theme.notes.map((pitch) =>
+          clamp(transposePitch(pitch, home, change.key)),
+        ),
+      };
+    },
+  };
+}
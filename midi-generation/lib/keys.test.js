@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createKeyPlan,
+  getMidiKeySignature,
+  getRelativeMajor,
+  parseKey,
+  transposePitch,
+} from "./keys.js";
+
+test("parses key names and mode aliases", () => {
+  assert.deepEqual(parseKey(" A minor "), {
+    name: "A minor",
+    tonic: "A",
+    pitchClass: 9,
+    mode: "minor",
+  });
+  assert.equal(parseKey("Cm").mode, "minor");
+  assert.equal(parseKey("D aeolian").mode, "minor");
+  assert.equal(parseKey("Bb").mode, "major");
+  assert.equal(parseKey("F# dorian").pitchClass, 6);
+  assert.equal(parseKey("H"), null);
+  assert.equal(parseKey("C blues"), null);
+  assert.equal(parseKey(undefined), null);
+});
+
+test("gets the MIDI key signature of the parent major scale", () => {
+  const signature = (name) => getMidiKeySignature(parseKey(name));
+  assert.deepEqual(signature("D"), {
+    key: "D",
+    scale: "major",
+    accidentals: 2,
+  });
+  assert.deepEqual(signature("Bb minor"), {
+    key: "Db",
+    scale: "minor",
+    accidentals: -5,
+  });
+  assert.equal(signature("C").accidentals, 0);
+  assert.equal(signature("A dorian").accidentals, 1);
+});
+
+test("spells enharmonic keys after their tonic", () => {
+  assert.equal(getMidiKeySignature(parseKey("F#")).accidentals, 6);
+  assert.equal(getMidiKeySignature(parseKey("Gb")).accidentals, -6);
+});
+
+test("finds the relative major of keys with a minor third", () => {
+  assert.equal(getRelativeMajor(parseKey("Am")), "C major");
+  assert.equal(getRelativeMajor(parseKey("F# minor")), "A major");
+  assert.equal(getRelativeMajor(parseKey("C dorian")), "Eb major");
+  assert.equal(getRelativeMajor(parseKey("C")), null);
+});
+
+test("transposes by scale degree", () => {
+  // A minor's C is the third, so it becomes C major's E
+  assert.equal(transposePitch(72, parseKey("Am"), parseKey("C")), 76);
+  // The nearest way: C to G moves down a fourth
+  assert.equal(transposePitch(60, parseKey("C"), parseKey("G")), 55);
+  // C major's E becomes C minor's Eb
+  assert.equal(transposePitch(64, parseKey("C"), parseKey("Cm")), 63);
+  // Notes outside the scale keep their distance from the tonic
+  assert.equal(transposePitch(61, parseKey("C"), parseKey("D")), 63);
+});
+
+test("plans key changes and moves sections and themes into them", () => {
+  const plan = createKeyPlan({
+    key_signature: "C",
+    key_changes: [
+      { time: 16, key: "Am", transpose: false },
+      { time: 8, key: "G" },
+      { time: 20, key: "bogus" },
+    ],
+  });
+
+  assert.deepEqual(
+    plan.changes.map(({ time, key, transpose }) => [time, key.name, transpose]),
+    [
+      [0, "C", false],
+      [8, "G", true],
+      [16, "Am", false],
+    ],
+  );
+  assert.deepEqual(
+    [7.99, 8, 30].map((time) => plan.keyAt(time).name),
+    ["C", "G", "Am"],
+  );
+
+  assert.deepEqual(
+    plan.transposeSection({
+      start_time: 8,
+      scale: { root: "C4" },
+      pitch_range: { low: "C3", high: "C5" },
+    }),
+    {
+      start_time: 8,
+      scale: { root: "G3", type: "major" },
+      pitch_range: { low: "G2", high: "G4" },
+    },
+  );
+  const untransposed = { start_time: 16, scale: { root: "C4" } };
+  assert.equal(plan.transposeSection(untransposed), untransposed);
+
+  assert.deepEqual(
+    plan.transposeTheme({ notes: [60, 62, 64] }, 9).notes,
+    [55, 57, 59],
+  );
+  const theme = { notes: [60] };
+  assert.equal(plan.transposeTheme(theme, 1), theme);
+});
+
+test("lets a key change at 0 replace the home key", () => {
+  const plan = createKeyPlan({
+    key_signature: "C",
+    key_changes: [{ time: 0, key: "D" }],
+  });
+  assert.deepEqual(
+    plan.changes.map((change) => change.key.name),
+    ["D"],
+  );
+  assert.equal(createKeyPlan({}).home.name, "C");
+});
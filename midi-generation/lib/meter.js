@@ -0,0 +1,66 @@
+/**
+ * Meter
+ * Bar length and beat strength from the spec's time signature. Beats are
+ * counted in quarter notes (as in the tempo map); the meter groups them into
+ * pulses, the beats a listener taps: quarter notes in 2/4, 3/4 and 4/4,
+ * dotted quarters in compound meters like 6/8 and 12/8.
+ */
+
+// Tolerance (in beats) when deciding whether a time falls on a pulse
+const PULSE_TOLERANCE = 0.05;
+
+/**
+ * Get the accent of each pulse in a bar. The downbeat is strong; bars of four
+ * or more pulses get a secondary accent halfway (beat 3 of 4/4, beat 4 of
+ * 12/8, 3+2 in 5/4). Everything else is weak, so 3/4 is strong-weak-weak.
+ * @param {number} pulsesPerBar - Pulses in one bar
+ * @returns {string[]} "strong", "medium" or "weak" per pulse
+ */
+function getAccents(pulsesPerBar) {
+  const medium = pulsesPerBar >= 4 ? Math.ceil(pulsesPerBar / 2) : -1;
+  return Array.from({ length: pulsesPerBar }, (_, pulse) => {
+    if (pulse === 0) return "strong";
+    return pulse === medium ? "medium" : "weak";
+  });
+}
+
+/**
+ * Describe the meter of a time signature.
+ * Compound meters (6/8, 9/8, 12/8) group eighth notes in threes.
+ * @param {number[]} timeSignature - [beats, beat unit] (default [4, 4])
+ * @returns {Object} Meter with bar and pulse lengths in beats, accents and accentAt()
+ */
+export function getMeter(timeSignature = [4, 4]) {
+  const [numerator, denominator] = timeSignature;
+  const compound = denominator >= 8 && numerator > 3 && numerator % 3 === 0;
+
+  // Lengths in quarter notes, e.g. 6/8 = 3 beats in two pulses of 1.5
+  const unitBeats = 4 / denominator;
+  const beatsPerBar = numerator * unitBeats;
+  const pulseBeats = compound ? unitBeats * 3 : unitBeats;
+  const pulsesPerBar = compound ? numerator / 3 : numerator;
+  const accents = getAccents(pulsesPerBar);
+
+  return {
+    timeSignature: [numerator, denominator],
+    compound,
+    beatsPerBar,
+    pulseBeats,
+    pulsesPerBar,
+    accents,
+
+    /**
+     * Get the accent at a position.
+     * @param {number} beat - Position in beats from the first bar line
+     * @returns {string|null} "strong", "medium" or "weak", or null between pulses
+     */
+    accentAt: (beat) => {
+      const pulse = beat / pulseBeats;
+      const nearest = Math.round(pulse);
+      if (Math.abs(pulse - nearest) * pulseBeats >= PULSE_TOLERANCE) {
+        return null;
+      }
+      return accents[((nearest % pulsesPerBar) + pulsesPerBar) % pulsesPerBar];
+    },
+  };
+}
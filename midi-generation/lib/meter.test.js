@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getMeter } from "./meter.js";
+
+const meterOf = (timeSignature) => {
+  const { compound, beatsPerBar, pulseBeats, pulsesPerBar, accents } =
+    getMeter(timeSignature);
+  return { compound, beatsPerBar, pulseBeats, pulsesPerBar, accents };
+};
+
+test("counts simple meters in quarter notes", () => {
+  assert.deepEqual(meterOf(), meterOf([4, 4]));
+  assert.deepEqual(meterOf([4, 4]), {
+    compound: false,
+    beatsPerBar: 4,
+    pulseBeats: 1,
+    pulsesPerBar: 4,
+    accents: ["strong", "weak", "medium", "weak"],
+  });
+  assert.deepEqual(meterOf([3, 4]).accents, ["strong", "weak", "weak"]);
+  assert.deepEqual(meterOf([2, 2]), {
+    compound: false,
+    beatsPerBar: 4,
+    pulseBeats: 2,
+    pulsesPerBar: 2,
+    accents: ["strong", "weak"],
+  });
+  assert.equal(meterOf([3, 8]).compound, false);
+});
+
+test("groups compound meters in dotted quarters", () => {
+  assert.deepEqual(meterOf([6, 8]), {
+    compound: true,
+    beatsPerBar: 3,
+    pulseBeats: 1.5,
+    pulsesPerBar: 2,
+    accents: ["strong", "weak"],
+  });
+  assert.deepEqual(meterOf([12, 8]).accents, [
+    "strong",
+    "weak",
+    "medium",
+    "weak",
+  ]);
+});
+
+test("accents 5/4 as 3+2", () => {
+  assert.deepEqual(meterOf([5, 4]).accents, [
+    "strong",
+    "weak",
+    "weak",
+    "medium",
+    "weak",
+  ]);
+});
+
+test("finds the accent at a position, only on the pulse", () => {
+  const meter = getMeter([6, 8]);
+  assert.deepEqual(
+    [0, 1.5, 3, 4.5, -1.5].map((beat) => meter.accentAt(beat)),
+    ["strong", "weak", "strong", "weak", "weak"],
+  );
+  assert.equal(meter.accentAt(0.04), "strong");
+  assert.equal(meter.accentAt(0.06), null);
+  assert.equal(meter.accentAt(0.5), null);
+});
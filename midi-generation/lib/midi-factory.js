@@ -6,24 +6,65 @@
 
 import midi from "@tonejs/midi";
 import {
+  getAllPatternNames,
   getPattern,
+  getPatternSchema,
+  isPercussionPattern,
   isThematicPattern,
   isValidPattern,
+  patternRequiresTheme,
 } from "./pattern-registry.js";
 import { noteToMidi, getScale, getPitchesInRange } from "./note-utils.js";
+import { validateAgainstSchema, formatSchemaError } from "./json-schema.js";
+import { getMidiSpecSchema } from "./spec-schema.js";
+import { createRandom, DEFAULT_SEED } from "./random.js";
+import { createHarmony, getKeyContext, parseChord } from "./harmony.js";
+import { createTempoMap } from "./tempo-map.js";
+import { getMeter } from "./meter.js";
+import { createKeyPlan, getMidiKeySignature, parseKey } from "./keys.js";
+import { conformTheme } from "./theme-conform.js";
+import { applyDynamics } from "./dynamics.js";
+import { isLegato, joinLegatoNotes } from "./articulation.js";
+import { getTrackMixes, writeMix, writeSectionMix } from "./mix.js";
+import {
+  PATTERN_STRATEGIES,
+  calculateLateEntryStart,
+} from "../config/pattern-strategies.js";
+import { allocateChannels } from "./channels.js";
+import { checkDrumPitches } from "./gm-percussion.js";
+import { checkSectionParams } from "./pattern-catalog.js";
+import {
+  checkPatternOptions,
+  resolvePatternOptions,
+} from "./pattern-options.js";
 
 const Midi = midi.Midi;
 /**
  * Generate a MIDI object from a specification.
  * @param {Object} spec - The midi_spec object from input
+ * @param {Object} options - Options
+ * @param {Object[]} options.conformance - If given, receives one entry per section with `conform_to_scale` (see theme-conform.js)
  * @returns {Midi} The generated MIDI object
+ * @throws {Error} If a percussion pattern is configured with a pitch outside the GM percussion map
  */
-export function generateMidi(spec) {
+export function generateMidi(spec, options = {}) {
+  const { conformance = null } = options;
+  checkDrumPitches(
+    PATTERN_STRATEGIES.patterns,
+    getAllPatternNames().filter(isPercussionPattern),
+  );
+
   const midi = new Midi();
 
-  // Set global header properties
+  // Set global header properties. Tempo events go in before any notes:
+  // notes are placed in seconds and converted to ticks through them.
   const tempo = spec.tempo || 120;
-  midi.header.setTempo(tempo);
+  const timing = createTempoMap(spec, { ppq: midi.header.ppq });
+  midi.header.tempos = timing.segments.map(({ ticks, bpm }) => ({
+    ticks,
+    bpm,
+  }));
+  midi.header.update();
 
   // Set time signature
   const timeSignature = spec.time_signature || [4, 4];
@@ -35,24 +76,40 @@ export function generateMidi(spec) {
     },
   ];
 
-  // Set key signature if provided
-  if (spec.key_signature) {
-    midi.header.keySignatures = [
-      {
-        key: spec.key_signature,
-        scale: "major",
-        ticks: 0,
-      },
-    ];
+  // Set the key signature and any key changes, with their modes
+  const keys = createKeyPlan(spec);
+  if (spec.key_signature || spec.key_changes?.length) {
+    midi.header.keySignatures = keys.changes.map(({ time, key }) => {
+      const { key: name, scale } = getMidiKeySignature(key);
+      return { key: name, scale, ticks: midi.header.secondsToTicks(time) };
+    });
   }
 
   // Extract shared constants
   const theme = spec.themeDefinition || null;
+  const themes = spec.themes || {};
+  const meter = getMeter(timeSignature);
+  const random = createRandom(spec.seed ?? DEFAULT_SEED);
+  const mixes = getTrackMixes(spec);
+  const channels = allocateChannels(spec.tracks || []);
 
   // Process each track
   if (spec.tracks && Array.isArray(spec.tracks)) {
     spec.tracks.forEach((trackSpec, trackIndex) => {
-      processTrack(midi, trackSpec, trackIndex, { theme, tempo });
+      processTrack(midi, trackSpec, trackIndex, {
+        theme,
+        themes,
+        tempo,
+        timing,
+        meter,
+        timeSignature,
+        keys,
+        progression: spec.progression,
+        conformance,
+        mix: mixes[trackIndex],
+        channel: channels[trackIndex],
+        random: random.fork("track", trackIndex),
+      });
     });
   }
 
@@ -68,11 +125,11 @@ export function generateMidi(spec) {
  * Process a single track specification.
  * @param {Midi} midi - The MIDI object
  * @param {Object} trackSpec - Track specification
- * @param {number} trackIndex - Track index (for channel assignment)
- * @param {Object} sharedOptions - Shared options (theme, tempo)
+ * @param {number} trackIndex - Track index (for the default name)
+ * @param {Object} sharedOptions - Shared options (themes, tempo map, meter, key plan, progression, conformance report, track mix, channel and random stream)
  */
 function processTrack(midi, trackSpec, trackIndex, sharedOptions) {
-  const { theme, tempo } = sharedOptions;
+  const { mix, channel, random } = sharedOptions;
 
   // Create the track
   const track = midi.addTrack();
@@ -83,14 +140,19 @@ function processTrack(midi, trackSpec, trackIndex, sharedOptions) {
     trackSpec.instrument_name ||
     `Track ${trackIndex + 1}`;
   track.instrument.number = trackSpec.midi_program || 0;
-  track.channel = trackSpec.track_number
-    ? (trackSpec.track_number - 1) % 16
-    : trackIndex % 16;
+  track.channel = channel;
+
+  // Place the track and set its effect sends before any notes
+  writeMix(track, mix, 0);
 
   // Process each section in the track
   if (trackSpec.sections && Array.isArray(trackSpec.sections)) {
-    trackSpec.sections.forEach((section) => {
-      processSection(midi, track, section, { theme, tempo });
+    trackSpec.sections.forEach((section, sectionIndex) => {
+      processSection(midi, track, section, {
+        ...sharedOptions,
+        location: { track: trackIndex, section: sectionIndex },
+        random: random.fork("section", sectionIndex),
+      });
     });
   }
 }
@@ -99,11 +161,28 @@ function processTrack(midi, trackSpec, trackIndex, sharedOptions) {
  * Process a single section within a track.
  * @param {Midi} midi - The MIDI object
  * @param {Object} track - The track to add notes to
- * @param {Object} section - Section specification
- * @param {Object} sharedOptions - Shared options (theme, tempo)
+ * @param {Object} writtenSection - Section specification, in the spec's key_signature
+ * @param {Object} sharedOptions - Shared options (themes, tempo map, meter, key plan, progression, conformance report, track mix, section location and random stream)
  */
-function processSection(midi, track, section, sharedOptions) {
-  const { theme, tempo } = sharedOptions;
+function processSection(midi, track, writtenSection, sharedOptions) {
+  const {
+    tempo,
+    timing,
+    meter,
+    timeSignature,
+    keys,
+    conformance,
+    mix,
+    random,
+  } = sharedOptions;
+
+  // Move the section and its theme into the key in force where it starts
+  const section = keys.transposeSection(writtenSection);
+  const writtenTheme =
+    section.theme_id !== undefined
+      ? sharedOptions.themes[section.theme_id]
+      : sharedOptions.theme;
+  let theme = keys.transposeTheme(writtenTheme || null, section.start_time);
   const { pattern_type } = section;
 
   // Validate pattern type
@@ -125,7 +204,7 @@ function processSection(midi, track, section, sharedOptions) {
   }
 
   // Validate theme requirement for thematic patterns
-  if (isThematicPattern(pattern_type) && !theme) {
+  if (patternRequiresTheme(pattern_type) && !theme) {
     console.warn(
       `Pattern ${pattern_type} requires a theme, but none provided. Skipping.`,
     );
@@ -156,26 +235,97 @@ function processSection(midi, track, section, sharedOptions) {
     }
   }
 
+  // Follow the section's own progression, or the spec-wide one from time 0
+  let harmony = null;
+  const progression = section.progression || sharedOptions.progression;
+  if (progression) {
+    try {
+      harmony = createHarmony(progression, {
+        startTime: section.progression ? section.start_time : 0,
+        timing,
+        timeSignature,
+        ...getKeyContext(keys.keyAt(section.start_time).name, section.scale),
+      });
+    } catch (err) {
+      console.warn(`Failed to build progression: ${err.message}`);
+    }
+  }
+
+  // Fit the theme to the section's scale and chords, and report what moved
+  if (section.conform_to_scale && isThematicPattern(pattern_type)) {
+    const conformed = conformTheme(theme, {
+      key: keys.keyAt(section.start_time),
+      sectionScale: section.scale,
+      harmony,
+      startTime: calculateLateEntryStart(section),
+      timing,
+    });
+    theme = conformed.theme;
+    conformance?.push({
+      ...sharedOptions.location,
+      pattern_type,
+      theme_id: section.theme_id ?? null,
+      changes: conformed.changes,
+    });
+  }
+
+  // Merge the section's pattern_options over the pattern's strategy
+  const { strategy, clamps } = resolvePatternOptions(
+    pattern_type,
+    section.pattern_options,
+  );
+  clamps.forEach((clamp) => {
+    const { track: trackIndex, section: sectionIndex } = sharedOptions.location;
+    console.warn(
+      `tracks[${trackIndex}].sections[${sectionIndex}].pattern_options.${clamp.option}: ${clamp.requested} clamped to ${clamp.clamped}, the recommended range is ${clamp.range[0]} to ${clamp.range[1]}`,
+    );
+  });
+
   // Build options object with everything the pattern needs
   const options = {
     track,
     section,
+    strategy,
     theme,
     tempo,
+    timing,
+    meter,
+    key: keys.keyAt(section.start_time),
     scale,
     pitches,
+    harmony,
+    random,
   };
 
-  // Apply the pattern
+  // Apply the pattern, then join its legato notes and shape what it played
+  // with the section dynamics
   try {
+    const legato = isLegato(section);
+    const existing = section.dynamics || legato ? new Set(track.notes) : null;
     patternHandler.apply(midi, options);
+    const added = existing
+      ? track.notes.filter((note) => !existing.has(note))
+      : [];
+    if (legato) {
+      joinLegatoNotes(added, section);
+    }
+    if (section.dynamics) {
+      applyDynamics(track, added, section, timing, mix);
+    }
+    if (section.mix) {
+      writeSectionMix(track, section, mix);
+    }
   } catch (err) {
     console.error(`Error applying pattern ${pattern_type}: ${err.message}`);
   }
 }
 
 /**
- * Add a metadata track with recipe information and structure markers.
+ * Add a metadata track with recipe information, and write the structure
+ * markers and lyrics as meta events: markers (FF 06) for acts and movements,
+ * cue points (FF 07) for scene changes and lyrics (FF 05) naming what's
+ * featured. @tonejs/midi writes them into the first track, where SMF readers
+ * look for them; read them back with readMidiMarkers (see smf.js).
  * @param {Midi} midi - The MIDI object
  * @param {Object} metadata - Metadata specification
  */
@@ -185,73 +335,194 @@ function addMetadataTrack(midi, metadata) {
     ? `Recipe: ${metadata.recipe_name}`
     : "Metadata";
 
-  // Add structure markers as text events if supported
-  if (metadata.structure_markers && Array.isArray(metadata.structure_markers)) {
-    metadata.structure_markers.forEach((marker) => {
-      // Note: @tonejs/midi doesn't directly support text markers,
-      // but we can add a very quiet note as a placeholder
-      // Or we could use track.addText() if available in newer versions
-      if (typeof markerTrack.addText === "function") {
-        markerTrack.addText(marker.label, marker.time);
-      }
+  const events = [
+    ...(metadata.structure_markers || []).map((marker) => ({
+      type: marker.type === "cue" ? "cuePoint" : "marker",
+      text: marker.label,
+      time: marker.time,
+    })),
+    ...(metadata.lyrics || []).map((lyric) => ({
+      type: "lyrics",
+      text: lyric.text,
+      time: lyric.time,
+    })),
+  ];
+
+  events
+    .sort((a, b) => a.time - b.time)
+    .forEach(({ type, text, time }) => {
+      midi.header.meta.push({
+        type,
+        text,
+        ticks: midi.header.secondsToTicks(time),
+      });
     });
-  }
 }
 
 /**
  * Validate a specification before generation.
+ * Checks the spec against the midi_spec JSON Schema and each section against
+ * the parameters of its pattern, then the rules a schema can't express
+ * (section timing, pitch range order, theme shape, chord names). Fields only
+ * other patterns read don't invalidate a section; they are reported as
+ * warnings, since generation ignores them.
+ * Every error and warning is prefixed with its path, e.g. `tracks[2].sections[1].pitch_range.low`.
  * @param {Object} spec - The midi_spec object
- * @returns {Object} Validation result with isValid boolean and errors array
+ * @returns {Object} Validation result with isValid boolean, errors array and warnings array
  */
 export function validateSpec(spec) {
-  const errors = [];
-
   if (!spec) {
-    errors.push("Specification is null or undefined");
-    return { isValid: false, errors };
+    return {
+      isValid: false,
+      errors: ["Specification is null or undefined"],
+      warnings: [],
+    };
   }
 
-  if (!spec.tempo || spec.tempo < 20 || spec.tempo > 300) {
-    errors.push("Invalid or missing tempo (must be 20-300 BPM)");
+  const errors = validateAgainstSchema(spec, getMidiSpecSchema()).map(
+    formatSchemaError,
+  );
+  const warnings = [];
+
+  // Semantic checks only run on the parts that passed the schema
+  const checkProgression = (progression, path) => {
+    if (!Array.isArray(progression)) return;
+    progression.forEach((entry, index) => {
+      const symbol = typeof entry === "string" ? entry : entry?.chord;
+      if (typeof symbol === "string" && !parseChord(symbol)) {
+        errors.push(
+          `${path}[${index}]: unknown chord "${symbol}", expected a roman numeral ("I", "vi", "V7", "bVII") or chord symbol ("C", "Am7", "F#dim")`,
+        );
+      }
+    });
+  };
+  checkProgression(spec.progression, "progression");
+
+  const checkKey = (name, path) => {
+    if (typeof name === "string" && !parseKey(name)) {
+      errors.push(
+        `${path}: unknown key "${name}", expected a tonic and optional mode ("C", "Am", "F# minor", "D dorian")`,
+      );
+    }
+  };
+  checkKey(spec.key_signature, "key_signature");
+
+  if (Array.isArray(spec.key_changes)) {
+    spec.key_changes.forEach((change, index) => {
+      checkKey(change?.key, `key_changes[${index}].key`);
+    });
   }
 
-  if (!spec.tracks || !Array.isArray(spec.tracks) || spec.tracks.length === 0) {
-    errors.push("Missing or empty tracks array");
+  if (Array.isArray(spec.tempo_map)) {
+    const seen = new Set();
+    spec.tempo_map.forEach((point, index) => {
+      if (typeof point?.time !== "number") return;
+      if (seen.has(point.time)) {
+        errors.push(
+          `tempo_map[${index}].time: another tempo point is already at ${point.time} seconds`,
+        );
+      }
+      seen.add(point.time);
+    });
   }
 
-  // Check for thematic patterns without theme
-  const hasThematicPatterns = spec.tracks?.some((track) =>
-    track.sections?.some((section) => isThematicPattern(section.pattern_type)),
-  );
+  const tracks = Array.isArray(spec.tracks) ? spec.tracks : [];
+  const themes =
+    spec.themes && typeof spec.themes === "object" ? spec.themes : {};
+  const themeIds = Object.keys(themes);
+  let usesThemeDefinition = false;
+
+  tracks.forEach((track, trackIndex) => {
+    const sections = Array.isArray(track?.sections) ? track.sections : [];
+
+    sections.forEach((section, sectionIndex) => {
+      const path = `tracks[${trackIndex}].sections[${sectionIndex}]`;
+
+      if (
+        patternRequiresTheme(section?.pattern_type) &&
+        section.theme_id === undefined
+      ) {
+        usesThemeDefinition = true;
+      }
+
+      // Each pattern checks the fields it reads, and flags the ones other
+      // patterns read
+      warnings.push(...checkSectionParams(section, path));
+      errors.push(...checkPatternOptions(section, path));
+      const patternSchema = getPatternSchema(section?.pattern_type);
+      if (patternSchema) {
+        validateAgainstSchema(section, patternSchema).forEach((error) => {
+          errors.push(
+            formatSchemaError({
+              ...error,
+              path: error.path ? `${path}.${error.path}` : path,
+            }),
+          );
+        });
+      }
+
+      if (
+        typeof section?.theme_id === "string" &&
+        !Object.hasOwn(themes, section.theme_id)
+      ) {
+        errors.push(
+          themeIds.length > 0
+            ? `${path}.theme_id: unknown theme "${section.theme_id}", expected one of: ${themeIds.join(", ")}`
+            : `${path}.theme_id: unknown theme "${section.theme_id}", the spec has no themes`,
+        );
+      }
+
+      checkProgression(section?.progression, `${path}.progression`);
+
+      if (
+        typeof section?.start_time === "number" &&
+        typeof section?.end_time === "number" &&
+        section.end_time <= section.start_time
+      ) {
+        errors.push(
+          `${path}.end_time: must be greater than start_time (${section.start_time})`,
+        );
+      }
 
-  if (hasThematicPatterns && !spec.themeDefinition) {
-    errors.push("Spec contains thematic patterns but no themeDefinition");
+      if (section?.pitch_range) {
+        try {
+          const low = noteToMidi(section.pitch_range.low);
+          const high = noteToMidi(section.pitch_range.high);
+          if (low > high) {
+            errors.push(
+              `${path}.pitch_range: low (${section.pitch_range.low}) is higher than high (${section.pitch_range.high})`,
+            );
+          }
+        } catch (err) {
+          // Malformed notes are already reported by the schema
+        }
+      }
+    });
+  });
+
+  if (usesThemeDefinition && !spec.themeDefinition) {
+    errors.push(
+      "themeDefinition: is required because the spec contains thematic patterns without a theme_id",
+    );
   }
 
-  if (spec.themeDefinition) {
+  const checkTheme = (theme, path) => {
     if (
-      !spec.themeDefinition.notes ||
-      !Array.isArray(spec.themeDefinition.notes)
-    ) {
-      errors.push("themeDefinition.notes must be an array");
-    }
-    if (
-      !spec.themeDefinition.rhythm ||
-      !Array.isArray(spec.themeDefinition.rhythm)
-    ) {
-      errors.push("themeDefinition.rhythm must be an array");
-    }
-    if (
-      spec.themeDefinition.notes?.length !== spec.themeDefinition.rhythm?.length
+      Array.isArray(theme?.notes) &&
+      Array.isArray(theme?.rhythm) &&
+      theme.notes.length !== theme.rhythm.length
     ) {
       errors.push(
-        "themeDefinition.notes and themeDefinition.rhythm must have same length",
+        `${path}.rhythm: must have the same length as ${path}.notes (${theme.notes.length}), got ${theme.rhythm.length}`,
       );
     }
-  }
+  };
+  checkTheme(spec.themeDefinition, "themeDefinition");
+  themeIds.forEach((id) => checkTheme(themes[id], `themes.${id}`));
 
   return {
     isValid: errors.length === 0,
     errors,
+    warnings,
   };
 }
@@ -0,0 +1,95 @@
+/**
+ * Mix
+ * Track placement and effect sends. A track's `mix` ({ pan, volume, reverb,
+ * chorus }, MIDI values 0-127) is written as controller events at time 0; a
+ * section's `mix` changes them at its start_time and hands back to the track
+ * at its end_time. With the spec's `auto_pan`, tracks without a pan of their
+ * own are spread by role.
+ */
+
+import { isPercussionPattern, isThematicPattern } from "./pattern-registry.js";
+import { PATTERN_STRATEGIES } from "../config/pattern-strategies.js";
+
+// Controller numbers of the mix fields
+export const MIX_CONTROLLERS = {
+  pan: 10,
+  volume: 7,
+  reverb: 91,
+  chorus: 93,
+};
+
+export const TRACK_ROLES = Object.keys(PATTERN_STRATEGIES.mix.autoPan);
+
+/**
+ * Get a track's role: its `role` if set, otherwise a guess from its patterns
+ * (percussion patterns → percussion, thematic → melody, sustained_pad → pad,
+ * foundation_pedal → bass, anything else → harmony).
+ * @param {Object} trackSpec - Track specification
+ * @returns {string} Role name
+ */
+export function getTrackRole(trackSpec) {
+  if (trackSpec.role) return trackSpec.role;
+
+  const patterns = (trackSpec.sections || []).map(
+    (section) => section.pattern_type,
+  );
+  if (patterns.some(isPercussionPattern)) return "percussion";
+  if (patterns.some(isThematicPattern)) return "melody";
+  if (patterns.includes("sustained_pad")) return "pad";
+  if (patterns.includes("foundation_pedal")) return "bass";
+  return "harmony";
+}
+
+/**
+ * Get every track's mix, with auto-pan positions filled in.
+ * @param {Object} spec - midi_spec (tracks, auto_pan)
+ * @returns {Object[]} One mix per track, in track order
+ */
+export function getTrackMixes(spec) {
+  const { autoPan } = PATTERN_STRATEGIES.mix;
+  const tracks = Array.isArray(spec.tracks) ? spec.tracks : [];
+  const taken = {};
+
+  return tracks.map((trackSpec) => {
+    const mix = { ...trackSpec.mix };
+    if (spec.auto_pan && mix.pan === undefined) {
+      const role = getTrackRole(trackSpec);
+      const positions = autoPan[role] || autoPan.harmony;
+      taken[role] = (taken[role] ?? -1) + 1;
+      mix.pan = positions[taken[role] % positions.length];
+    }
+    return mix;
+  });
+}
+
+/**
+ * Write mix levels as controller events.
+ * @param {Object} track - The track to write to
+ * @param {Object} mix - Levels by field; fields left out aren't written
+ * @param {number} time - Time in seconds
+ */
+export function writeMix(track, mix, time) {
+  for (const [field, number] of Object.entries(MIX_CONTROLLERS)) {
+    if (mix[field] !== undefined) {
+      track.addCC({ number, time, value: mix[field] / 127 });
+    }
+  }
+}
+
+/**
+ * Write a section's mix at its start and return to the track's levels (or
+ * the defaults) at its end.
+ * @param {Object} track - The track the section plays on
+ * @param {Object} section - Section specification with mix
+ * @param {Object} trackMix - The track's mix
+ */
+export function writeSectionMix(track, section, trackMix) {
+  const resting = { ...PATTERN_STRATEGIES.mix.defaults, ...trackMix };
+  const restore = {};
+  Object.keys(section.mix).forEach((field) => {
+    restore[field] = resting[field];
+  });
+
+  writeMix(track, section.mix, section.start_time);
+  writeMix(track, restore, section.end_time);
+}
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import { getTrackMixes, getTrackRole } from "./mix.js";
+import { createMidiFromSpec } from "../index.js";
+
+const { Midi } = midi;
+
+const track = (track_number, pattern_type, fields = {}) => ({
+  track_number,
+  sections: [
+    { start_time: 0, end_time: 4, pattern_type, scale: { root: "C3" } },
+  ],
+  ...fields,
+});
+
+// Controller events of a rendered track as { number: [[time, value]] }
+const controllers = (bytes, index) =>
+  Object.fromEntries(
+    Object.entries(new Midi(bytes).tracks[index].controlChanges).map(
+      ([number, events]) => [
+        number,
+        events.map(({ time, value }) => [time, Math.round(value * 127)]),
+      ],
+    ),
+  );
+
+test("guesses a track's role from its patterns", () => {
+  assert.equal(getTrackRole(track(1, "thematic_statement")), "melody");
+  assert.equal(getTrackRole(track(2, "sustained_pad")), "pad");
+  assert.equal(getTrackRole(track(3, "foundation_pedal")), "bass");
+  assert.equal(getTrackRole(track(10, "rhythmic_foundation")), "percussion");
+  assert.equal(getTrackRole(track(4, "harmonic_arpeggio")), "harmony");
+  assert.equal(
+    getTrackRole(track(5, "sustained_pad", { role: "texture" })),
+    "texture",
+  );
+});
+
+test("auto_pan spreads tracks by role and keeps explicit pans", () => {
+  const tracks = [
+    track(1, "thematic_statement"),
+    track(2, "sustained_pad"),
+    track(3, "sustained_pad"),
+    track(4, "sustained_pad", { mix: { pan: 10, reverb: 60 } }),
+    track(10, "rhythmic_foundation"),
+  ];
+
+  assert.deepEqual(getTrackMixes({ auto_pan: true, tracks }), [
+    { pan: 64 },
+    { pan: 20 },
+    { pan: 108 },
+    { pan: 10, reverb: 60 },
+    { pan: 72 },
+  ]);
+  assert.deepEqual(getTrackMixes({ tracks }), [
+    {},
+    {},
+    {},
+    { pan: 10, reverb: 60 },
+    {},
+  ]);
+});
+
+test("writes the track mix at time 0 and section mixes over their span", () => {
+  const bytes = createMidiFromSpec({
+    tempo: 120,
+    tracks: [
+      track(1, "sustained_pad", { mix: { volume: 90, reverb: 60 } }),
+      {
+        track_number: 2,
+        mix: { pan: 30 },
+        sections: [
+          {
+            start_time: 0,
+            end_time: 2,
+            pattern_type: "sustained_pad",
+            scale: { root: "C3" },
+          },
+          {
+            start_time: 2,
+            end_time: 4,
+            pattern_type: "sustained_pad",
+            scale: { root: "C3" },
+            mix: { pan: 100, chorus: 50 },
+          },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(controllers(bytes, 0), { 7: [[0, 90]], 91: [[0, 60]] });
+  assert.deepEqual(controllers(bytes, 1), {
+    10: [
+      [0, 30],
+      [2, 100],
+      [4, 30],
+    ],
+    93: [
+      [2, 50],
+      [4, 0],
+    ],
+  });
+});
@@ -30,7 +30,7 @@ export const NOTE_ALIASES = {
 };
 
 // Scale intervals (semitones from root)
-const SCALE_INTERVALS = {
+export const SCALE_INTERVALS = {
   major: [0, 2, 4, 5, 7, 9, 11],
   minor: [0, 2, 3, 5, 7, 8, 10],
   natural_minor: [0, 2, 3, 5, 7, 8, 10],
@@ -0,0 +1,185 @@
+/**
+ * Pattern Catalog
+ * Describes every registered pattern in a machine-readable way: its family,
+ * whether it needs a theme, the section fields it reads with their defaults,
+ * and the strategy config `pattern_options` can override with its recommended
+ * ranges. Used to document the patterns, to build director prompts and to
+ * check each section against the pattern it uses.
+ */
+
+import {
+  PATTERN_FAMILIES,
+  getAllPatternNames,
+  getPatternFamily,
+  getPatternInfo,
+  patternRequiresTheme,
+} from "./pattern-registry.js";
+import { getMidiSpecSchema } from "./spec-schema.js";
+import { getStrategyRanges } from "./pattern-options.js";
+import { getPatternStrategy } from "../config/pattern-strategies.js";
+
+// Section fields generation handles for every pattern, whichever reads them
+const SECTION_FIELDS = [
+  "start_time",
+  "end_time",
+  "pattern_type",
+  "theme_id",
+  "velocity_avg",
+  "late_entry",
+  "scale",
+  "pitch_range",
+  "progression",
+  "conform_to_scale",
+  "articulation",
+  "pattern_options",
+  "dynamics",
+  "mix",
+];
+
+// Schema keywords worth showing for a parameter
+const PARAM_KEYWORDS = [
+  "type",
+  "enum",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "default",
+  "description",
+];
+
+const pick = (object, keys) =>
+  Object.fromEntries(
+    keys
+      .filter((key) => object?.[key] !== undefined)
+      .map((key) => [key, object[key]]),
+  );
+
+/**
+ * Get the catalog of every registered pattern, built-ins first.
+ * Parameter types, ranges and descriptions come from the midi_spec section
+ * schema unless the pattern declares its own.
+ * @returns {Object[]} One entry per pattern: { name, family, requiresTheme, description, params, strategy, strategyRanges }, with params { field: { type, enum, minimum, maximum, default, description, ... } }, strategy what `pattern_options` can override (see getPatternStrategy) and strategyRanges its recommended ranges by option path
+ */
+export function getPatternCatalog() {
+  const { definitions } = getMidiSpecSchema();
+  const sectionFields = definitions.section.properties;
+  const resolve = (schema) =>
+    schema?.$ref ? definitions[schema.$ref.split("/").pop()] : schema;
+
+  return getAllPatternNames().map((name) => {
+    const { description, params } = getPatternInfo(name);
+    return {
+      name,
+      family: getPatternFamily(name),
+      requiresTheme: patternRequiresTheme(name),
+      description,
+      params: Object.fromEntries(
+        Object.entries(params).map(([field, declared]) => [
+          field,
+          {
+            ...pick(resolve(sectionFields[field]), PARAM_KEYWORDS),
+            ...pick(declared, PARAM_KEYWORDS),
+          },
+        ]),
+      ),
+      strategy: getPatternStrategy(name),
+      strategyRanges: getStrategyRanges(name),
+    };
+  });
+}
+
+/**
+ * Format a parameter's type and range for a table cell.
+ * @param {Object} param - Catalog parameter
+ * @returns {string} e.g. "number 0 to 127", "number > 0", "truncate, repeat"
+ */
+function formatType(param) {
+  if (param.enum) return param.enum.join(", ");
+  const low = param.minimum ?? param.exclusiveMinimum;
+  const high = param.maximum ?? param.exclusiveMaximum;
+  if (low === undefined && high === undefined) return param.type ?? "";
+  if (high === undefined) {
+    return `${param.type} ${param.exclusiveMinimum !== undefined ? ">" : ">="} ${low}`;
+  }
+  if (low === undefined) return `${param.type} <= ${high}`;
+  return `${param.type} ${low} to ${high}`;
+}
+
+/**
+ * Format a catalog as Markdown: a section per family, a parameter table per
+ * pattern.
+ * @param {Object[]} catalog - Result of getPatternCatalog
+ * @returns {string} Markdown
+ */
+export function formatPatternCatalog(catalog) {
+  const lines = ["# Pattern Catalog", ""];
+
+  for (const family of PATTERN_FAMILIES) {
+    const entries = catalog.filter((entry) => entry.family === family);
+    if (entries.length === 0) continue;
+
+    lines.push(`## ${family[0].toUpperCase()}${family.slice(1)} Patterns`, "");
+    entries.forEach((entry) => {
+      lines.push(`### \`${entry.name}\``, "");
+      const description = (entry.description || "No description").replace(
+        /\.?$/,
+        ".",
+      );
+      lines.push(
+        `${description}${entry.requiresTheme ? " Needs a theme." : ""}`,
+        "",
+      );
+
+      const params = Object.entries(entry.params);
+      if (params.length === 0) {
+        lines.push("Takes no parameters.", "");
+        return;
+      }
+      lines.push(
+        "| Parameter | Type | Default | Description |",
+        "|-----------|------|---------|-------------|",
+      );
+      params.forEach(([field, param]) => {
+        const fallback =
+          param.default === undefined
+            ? ""
+            : `\`${JSON.stringify(param.default)}\``;
+        lines.push(
+          `| \`${field}\` | ${formatType(param)} | ${fallback} | ${param.description ?? ""} |`,
+        );
+      });
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Find the pattern-specific fields a section sets that its own pattern doesn't
+ * read, e.g. a `factor` on a thematic_statement. Generation ignores them.
+ * @param {Object} section - Section specification
+ * @param {string} path - Path of the section, for warning messages
+ * @returns {string[]} Warnings, empty when the section is fine
+ */
+export function checkSectionParams(section, path) {
+  const own = getPatternInfo(section?.pattern_type)?.params;
+  if (!own) return [];
+
+  const owners = {};
+  getAllPatternNames().forEach((name) => {
+    Object.keys(getPatternInfo(name).params).forEach((field) => {
+      if (!SECTION_FIELDS.includes(field)) {
+        (owners[field] ||= []).push(name);
+      }
+    });
+  });
+
+  return Object.keys(section)
+    .filter((field) => owners[field] && !Object.hasOwn(own, field))
+    .map(
+      (field) =>
+        `${path}.${field}: not a parameter of ${section.pattern_type}, only of ${owners[field].join(", ")}; ignored`,
+    );
+}
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkSectionParams,
+  formatPatternCatalog,
+  getPatternCatalog,
+} from "./pattern-catalog.js";
+import { registerPattern } from "./pattern-registry.js";
+
+registerPattern(
+  "mandolin_tremolo",
+  {
+    apply: () => {},
+    description: "Fast repeated notes",
+    params: {
+      velocity_avg: { default: 64 },
+      strokes_per_beat: {
+        type: "integer",
+        minimum: 1,
+        maximum: 8,
+        default: 4,
+        description: "Repeats per beat",
+      },
+    },
+  },
+  { family: "supporting" },
+);
+
+const entryOf = (name) =>
+  getPatternCatalog().find((entry) => entry.name === name);
+
+test("lists every pattern, built-ins in family order, then registered ones", () => {
+  const families = getPatternCatalog().map((entry) => entry.family);
+  const firstSupporting = families.indexOf("supporting");
+  const firstPercussion = families.indexOf("percussion");
+  assert.equal(families[0], "thematic");
+  assert.ok(0 < firstSupporting && firstSupporting < firstPercussion);
+  assert.equal(getPatternCatalog().at(-1).name, "mandolin_tremolo");
+});
+
+test("describes params from the section schema and the pattern's defaults", () => {
+  const entry = entryOf("thematic_augmented");
+  assert.equal(entry.requiresTheme, true);
+  assert.deepEqual(entry.params.factor, {
+    type: "number",
+    exclusiveMinimum: 0,
+    description: "Multiplies the theme's rhythm (2 = twice as slow)",
+    default: 2,
+  });
+  assert.deepEqual(entry.params.velocity_avg, {
+    type: "number",
+    minimum: 0,
+    maximum: 127,
+    description: "Average note velocity",
+    default: 80,
+  });
+  assert.equal(entry.strategy.factor, 2);
+  assert.deepEqual(entry.strategyRanges.factor, [1.5, 4]);
+  assert.deepEqual(entryOf("silence").params, {});
+});
+
+test("uses the schema a registered pattern declares", () => {
+  const entry = entryOf("mandolin_tremolo");
+  assert.equal(entry.family, "supporting");
+  assert.equal(entry.params.velocity_avg.default, 64);
+  assert.equal(entry.params.velocity_avg.maximum, 127);
+  assert.deepEqual(entry.params.strokes_per_beat, {
+    type: "integer",
+    minimum: 1,
+    maximum: 8,
+    default: 4,
+    description: "Repeats per beat",
+  });
+  assert.deepEqual(entry.strategy, {});
+});
+
+test("formats the catalog as Markdown", () => {
+  const markdown = formatPatternCatalog([
+    entryOf("silence"),
+    entryOf("mandolin_tremolo"),
+  ]);
+  assert.equal(
+    markdown,
+    [
+      "# Pattern Catalog",
+      "",
+      "## Supporting Patterns",
+      "",
+      "### `silence`",
+      "",
+      "No notes (track silent for this section).",
+      "",
+      "Takes no parameters.",
+      "",
+      "### `mandolin_tremolo`",
+      "",
+      "Fast repeated notes.",
+      "",
+      "| Parameter | Type | Default | Description |",
+      "|-----------|------|---------|-------------|",
+      "| `velocity_avg` | number 0 to 127 | `64` | Average note velocity |",
+      "| `strokes_per_beat` | integer 1 to 8 | `4` | Repeats per beat |",
+      "",
+    ].join("\n"),
+  );
+  assert.match(
+    formatPatternCatalog([entryOf("thematic_statement")]),
+    /Needs a theme\./,
+  );
+});
+
+test("warns about fields only other patterns read", () => {
+  assert.deepEqual(
+    checkSectionParams(
+      {
+        pattern_type: "thematic_statement",
+        factor: 2,
+        sequence: true,
+        fit: "repeat",
+        velocity_avg: 70,
+      },
+      "tracks[0].sections[0]",
+    ),
+    [
+      "tracks[0].sections[0].factor: not a parameter of thematic_statement, only of thematic_augmented, thematic_diminished; ignored",
+      "tracks[0].sections[0].sequence: not a parameter of thematic_statement, only of thematic_fragmented; ignored",
+    ],
+  );
+  assert.deepEqual(
+    checkSectionParams(
+      { pattern_type: "silence", strokes_per_beat: 4 },
+      "tracks[1].sections[2]",
+    ),
+    [
+      "tracks[1].sections[2].strokes_per_beat: not a parameter of silence, only of mandolin_tremolo; ignored",
+    ],
+  );
+  assert.deepEqual(checkSectionParams({ pattern_type: "nope", factor: 2 }), []);
+});
@@ -0,0 +1,184 @@
+/**
+ * Pattern Options
+ * Per-section overrides of a pattern's strategy config. A section's
+ * `pattern_options` is deep-merged over the pattern's strategy (see
+ * getPatternStrategy in config/pattern-strategies.js) for that section only:
+ * objects merge key by key, anything else replaces. Overridden numbers
+ * outside their recommended range are clamped into it, and every clamp is
+ * reported.
+ */
+
+import {
+  RECOMMENDED_RANGES,
+  STRATEGY_SOURCES,
+  getPatternStrategy,
+} from "../config/pattern-strategies.js";
+
+function kindOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+const isObject = (value) => kindOf(value) === "object";
+
+/**
+ * Get the recommended ranges of a pattern's strategy values.
+ * @param {string} patternType - The pattern type name
+ * @returns {Object} [min, max] by option path, e.g. { noteValue: [0.25, 1] }
+ */
+export function getStrategyRanges(patternType) {
+  const sources = STRATEGY_SOURCES[patternType] || [`patterns.${patternType}`];
+  const ranges = {};
+  for (const [path, range] of Object.entries(RECOMMENDED_RANGES)) {
+    const source = sources.find((prefix) => path.startsWith(`${prefix}.`));
+    if (source) {
+      ranges[path.slice(source.length + 1)] = range;
+    }
+  }
+  return ranges;
+}
+
+const article = (kind) => (kind === "array" ? "an array" : `a ${kind}`);
+
+/**
+ * Check a section's pattern_options against its pattern's strategy: every
+ * option must exist there and have the same kind of value. Arrays replace
+ * the strategy's, so they can't be empty and their items must look like the
+ * strategy's items: the same kind, whole numbers where those are whole
+ * numbers (indices, steps, pitches), and objects with every field the
+ * strategy's items all have.
+ * @param {Object} section - Section specification
+ * @param {string} path - Path of the section, for error messages
+ * @returns {string[]} Errors, empty when the options are fine
+ */
+export function checkPatternOptions(section, path) {
+  if (!isObject(section?.pattern_options)) return [];
+
+  const errors = [];
+  const visitItems = (items, strategyItems, itemsPath) => {
+    if (items.length === 0 && strategyItems.length > 0) {
+      errors.push(
+        `${itemsPath}: must not be empty, like the strategy's ${JSON.stringify(strategyItems)}`,
+      );
+      return;
+    }
+    const kinds = [...new Set(strategyItems.map(kindOf))];
+    const whole =
+      kinds.length === 1 && kinds[0] === "number"
+        ? strategyItems.every(Number.isInteger)
+        : false;
+    const fields = kinds.includes("object")
+      ? Object.assign({}, ...strategyItems.filter(isObject))
+      : {};
+    const required = Object.keys(fields).filter((field) =>
+      strategyItems.every((item) => Object.hasOwn(item, field)),
+    );
+
+    items.forEach((item, index) => {
+      const itemPath = `${itemsPath}[${index}]`;
+      if (kinds.length > 0 && !kinds.includes(kindOf(item))) {
+        errors.push(
+          `${itemPath}: must be ${kinds.map(article).join(" or ")} like the strategy's items`,
+        );
+      } else if (whole && !(Number.isInteger(item) && item >= 0)) {
+        errors.push(`${itemPath}: must be a whole number 0 or more`);
+      } else if (isObject(item)) {
+        required
+          .filter((field) => !Object.hasOwn(item, field))
+          .forEach((field) => errors.push(`${itemPath}.${field}: is required`));
+        visit(item, fields, itemPath);
+      }
+    });
+  };
+
+  const visit = (options, strategy, optionPath) => {
+    const known = Object.keys(strategy);
+    for (const [key, value] of Object.entries(options)) {
+      const keyPath = `${optionPath}.${key}`;
+      if (!Object.hasOwn(strategy, key)) {
+        errors.push(
+          known.length > 0
+            ? `${keyPath}: unknown option for ${section.pattern_type}, expected one of: ${known.join(", ")}`
+            : `${keyPath}: ${section.pattern_type} has no options`,
+        );
+      } else if (kindOf(value) !== kindOf(strategy[key])) {
+        errors.push(
+          `${keyPath}: must be ${article(kindOf(strategy[key]))} like the strategy's ${JSON.stringify(strategy[key])}`,
+        );
+      } else if (Array.isArray(value)) {
+        visitItems(value, strategy[key], keyPath);
+      } else if (isObject(value)) {
+        visit(value, strategy[key], keyPath);
+      }
+    }
+  };
+
+  visit(
+    section.pattern_options,
+    getPatternStrategy(section.pattern_type),
+    `${path}.pattern_options`,
+  );
+  return errors;
+}
+
+/**
+ * Merge a section's pattern_options over its pattern's strategy.
+ * @param {string} patternType - The pattern type name
+ * @param {Object} patternOptions - The section's pattern_options, if any
+ * @returns {Object} { strategy, clamps }, each clamp { option, requested, clamped, range }
+ */
+export function resolvePatternOptions(patternType, patternOptions) {
+  const strategy = getPatternStrategy(patternType);
+  const clamps = [];
+  if (!isObject(patternOptions)) return { strategy, clamps };
+
+  const ranges = getStrategyRanges(patternType);
+  const merge = (base, options, prefix) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(options)) {
+      const option = prefix ? `${prefix}.${key}` : key;
+      if (isObject(value) && isObject(base[key])) {
+        merged[key] = merge(base[key], value, option);
+        continue;
+      }
+
+      const range = ranges[option];
+      if (range && typeof value === "number") {
+        const clamped = Math.max(range[0], Math.min(range[1], value));
+        if (clamped !== value) {
+          clamps.push({ option, requested: value, clamped, range });
+        }
+        merged[key] = clamped;
+      } else {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  };
+
+  return { strategy: merge(strategy, patternOptions, ""), clamps };
+}
+
+/**
+ * Find the pattern_options values a spec's sections would have clamped,
+ * without generating anything.
+ * @param {Object} spec - midi_spec object
+ * @returns {Object[]} One entry per clamp: { track, section, pattern_type, option, requested, clamped, range }
+ */
+export function findPatternOptionClamps(spec) {
+  const tracks = Array.isArray(spec.tracks) ? spec.tracks : [];
+  return tracks.flatMap((trackSpec, trackIndex) =>
+    (trackSpec.sections || []).flatMap((section, sectionIndex) =>
+      resolvePatternOptions(
+        section.pattern_type,
+        section.pattern_options,
+      ).clamps.map((clamp) => ({
+        track: trackIndex,
+        section: sectionIndex,
+        pattern_type: section.pattern_type,
+        ...clamp,
+      })),
+    ),
+  );
+}
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkPatternOptions,
+  findPatternOptionClamps,
+  getStrategyRanges,
+  resolvePatternOptions,
+} from "./pattern-options.js";
+import { getPatternStrategy } from "../config/pattern-strategies.js";
+
+const check = (pattern_type, pattern_options) =>
+  checkPatternOptions({ pattern_type, pattern_options }, "s");
+
+test("gets recommended ranges by option path, from every strategy source", () => {
+  assert.deepEqual(getStrategyRanges("harmonic_arpeggio"), {
+    noteValue: [0.25, 1],
+    durationFactor: [0.85, 0.95],
+  });
+  assert.deepEqual(getStrategyRanges("gentle_breathing").interval, [2, 4]);
+  assert.deepEqual(getStrategyRanges("hand_percussion"), {});
+});
+
+test("accepts options shaped like the strategy", () => {
+  assert.deepEqual(check("harmonic_arpeggio", undefined), []);
+  assert.deepEqual(
+    check("harmonic_arpeggio", { noteValue: 0.25, pattern: [0, 1] }),
+    [],
+  );
+  assert.deepEqual(
+    check("hand_percussion", { compound: { loopLength: 3 } }),
+    [],
+  );
+});
+
+test("rejects unknown options and values of the wrong kind", () => {
+  assert.deepEqual(check("harmonic_arpeggio", { noteValue: "x", bogus: 1 }), [
+    "s.pattern_options.noteValue: must be a number like the strategy's 0.5",
+    "s.pattern_options.bogus: unknown option for harmonic_arpeggio, expected one of: noteValue, pattern, durationFactor, velocityModifier",
+  ]);
+});
+
+test("checks array options item by item", () => {
+  assert.deepEqual(check("harmonic_arpeggio", { pattern: [] }), [
+    "s.pattern_options.pattern: must not be empty, like the strategy's [0,2,1,2]",
+  ]);
+  assert.deepEqual(check("harmonic_arpeggio", { pattern: [0, 1.5, -1, "a"] }), [
+    "s.pattern_options.pattern[1]: must be a whole number 0 or more",
+    "s.pattern_options.pattern[2]: must be a whole number 0 or more",
+    "s.pattern_options.pattern[3]: must be a number like the strategy's items",
+  ]);
+  assert.deepEqual(
+    check("hand_percussion", {
+      pattern: [
+        { offset: 0, pitch: 60 },
+        { offset: 1, pitch: 61, velocityMultiplier: 1, foo: 2 },
+      ],
+    }),
+    [
+      "s.pattern_options.pattern[0].velocityMultiplier: is required",
+      "s.pattern_options.pattern[1].foo: unknown option for hand_percussion, expected one of: offset, pitch, velocityMultiplier",
+    ],
+  );
+});
+
+test("merges objects key by key and replaces everything else", () => {
+  const { strategy } = resolvePatternOptions("hand_percussion", {
+    compound: { loopLength: 3 },
+    pattern: [{ offset: 0, pitch: 60, velocityMultiplier: 1 }],
+  });
+  const base = getPatternStrategy("hand_percussion");
+  assert.equal(strategy.compound.loopLength, 3);
+  assert.deepEqual(strategy.compound.pattern, base.compound.pattern);
+  assert.equal(strategy.pattern.length, 1);
+  assert.equal(strategy.loopLength, base.loopLength);
+
+  // The shared strategy is left alone
+  assert.notEqual(getPatternStrategy("hand_percussion").compound.loopLength, 3);
+});
+
+test("clamps numbers into their recommended range and reports it", () => {
+  assert.deepEqual(
+    resolvePatternOptions("harmonic_arpeggio", { noteValue: 0.1 }),
+    {
+      strategy: { ...getPatternStrategy("harmonic_arpeggio"), noteValue: 0.25 },
+      clamps: [
+        {
+          option: "noteValue",
+          requested: 0.1,
+          clamped: 0.25,
+          range: [0.25, 1],
+        },
+      ],
+    },
+  );
+  assert.deepEqual(
+    resolvePatternOptions("thematic_augmented", { durationFactor: 1.1 })
+      .strategy.durationFactor,
+    1,
+  );
+});
+
+test("finds the clamps of a spec without generating it", () => {
+  assert.deepEqual(
+    findPatternOptionClamps({
+      tracks: [
+        {
+          sections: [
+            { pattern_type: "harmonic_arpeggio" },
+            {
+              pattern_type: "harmonic_arpeggio",
+              pattern_options: { noteValue: 4, durationFactor: 0.9 },
+            },
+          ],
+        },
+      ],
+    }),
+    [
+      {
+        track: 0,
+        section: 1,
+        pattern_type: "harmonic_arpeggio",
+        option: "noteValue",
+        requested: 4,
+        clamped: 1,
+        range: [0.25, 1],
+      },
+    ],
+  );
+});
@@ -0,0 +1,81 @@
+/**
+ * Pattern Plugins
+ * Loads house patterns from a directory, so they can ship without editing the
+ * registry. Each .js/.mjs file default-exports a pattern module:
+ * { apply(midi, options), name?, family?, requiresTheme?, schema? }, with the
+ * options of registerPattern (see pattern-registry.js). Without a `name` the
+ * file name is used, dashes turned to underscores (mandolin-tremolo.js →
+ * mandolin_tremolo).
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { registerPattern } from "./pattern-registry.js";
+
+// Directories whose plugins all registered, so repeated calls don't load
+// them again
+const loadedDirectories = new Set();
+
+// Plugin files already registered, so a call retrying a directory that failed
+// partway skips the plugins it did register
+const registeredFiles = new Set();
+
+/**
+ * Load and register every pattern plugin in a directory.
+ * Files are loaded in name order. A directory is only loaded once all its
+ * plugins registered; after a failure, calling again retries the rest.
+ * @param {string} directory - Plugin directory (default: MIDI_PATTERN_PLUGINS); nothing is loaded without one
+ * @returns {Promise<string[]>} Names of the patterns registered
+ * @throws {Error} If the directory doesn't exist or a plugin can't be loaded or registered
+ */
+export async function loadPatternPlugins(
+  directory = process.env.MIDI_PATTERN_PLUGINS,
+) {
+  if (!directory) return [];
+
+  const resolved = path.resolve(directory);
+  if (loadedDirectories.has(resolved)) return [];
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Pattern plugin directory not found: ${resolved}`);
+  }
+
+  const files = fs
+    .readdirSync(resolved)
+    .filter((file) => /\.m?js$/.test(file))
+    .sort();
+
+  const names = [];
+  for (const file of files) {
+    const filePath = path.join(resolved, file);
+    if (registeredFiles.has(filePath)) continue;
+
+    let plugin;
+    try {
+      ({ default: plugin } = await import(pathToFileURL(filePath).href));
+    } catch (err) {
+      throw new Error(`Pattern plugin ${file}: ${err.message}`);
+    }
+    if (!plugin) {
+      throw new Error(`Pattern plugin ${file}: no default export`);
+    }
+
+    const name =
+      (typeof plugin === "object" && plugin.name) ||
+      path.parse(file).name.replace(/-/g, "_");
+    try {
+      registerPattern(name, plugin, {
+        family: plugin.family,
+        requiresTheme: plugin.requiresTheme,
+        schema: plugin.schema ?? null,
+      });
+    } catch (err) {
+      throw new Error(`Pattern plugin ${file}: ${err.message}`);
+    }
+    registeredFiles.add(filePath);
+    names.push(name);
+  }
+
+  loadedDirectories.add(resolved);
+  return names;
+}
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadPatternPlugins } from "./pattern-plugins.js";
+import { getPatternFamily, isValidPattern } from "./pattern-registry.js";
+
+const plugin = (fields = "") =>
+  `export default { ${fields} apply: (midi) => midi };\n`;
+
+function pluginDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pattern-plugins-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), source);
+  }
+  return dir;
+}
+
+test("registers every plugin in a directory once", async (t) => {
+  const dir = pluginDir(t, {
+    "mandolin-tremolo.js": plugin(),
+    "knock.mjs": plugin('name: "house_knock", family: "percussion",'),
+    "notes.txt": "not a plugin",
+  });
+
+  assert.deepEqual(await loadPatternPlugins(dir), [
+    "house_knock",
+    "mandolin_tremolo",
+  ]);
+  assert.equal(isValidPattern("mandolin_tremolo"), true);
+  assert.equal(getPatternFamily("house_knock"), "percussion");
+  assert.deepEqual(await loadPatternPlugins(dir), []);
+});
+
+test("loads nothing without a directory and rejects a missing one", async () => {
+  assert.deepEqual(await loadPatternPlugins(undefined), []);
+  await assert.rejects(
+    loadPatternPlugins("/no/such/plugins"),
+    /^Error: Pattern plugin directory not found: \/no\/such\/plugins$/,
+  );
+});
+
+test("names the plugin that fails and retries the rest", async (t) => {
+  const dir = pluginDir(t, {
+    "a-good.js": plugin(),
+    "b-broken.js": 'throw new Error("boom");\n',
+    "c-later.js": plugin(),
+  });
+
+  await assert.rejects(loadPatternPlugins(dir), {
+    message: "Pattern plugin b-broken.js: boom",
+  });
+  assert.equal(isValidPattern("a_good"), true);
+  assert.equal(isValidPattern("c_later"), false);
+
+  fs.rmSync(path.join(dir, "b-broken.js"));
+  assert.deepEqual(await loadPatternPlugins(dir), ["c_later"]);
+});
+
+test("rejects plugins that can't be registered", async (t) => {
+  const rejects = (files, message) =>
+    assert.rejects(loadPatternPlugins(pluginDir(t, files)), { message });
+
+  await rejects(
+    { "empty.js": "export const apply = () => {};\n" },
+    "Pattern plugin empty.js: no default export",
+  );
+  await rejects(
+    { "statement.js": plugin('name: "thematic_statement",') },
+    'Pattern plugin statement.js: Pattern "thematic_statement" is already registered',
+  );
+  await rejects(
+    { "drums.js": plugin('family: "drums",') },
+    'Pattern plugin drums.js: Pattern "drums" has unknown family "drums", expected one of: thematic, supporting, percussion',
+  );
+});
@@ -1,6 +1,7 @@
 /**
  * Pattern Registry
- * Single source of truth for all pattern handlers.
+ * Single source of truth for all pattern handlers: the built-ins below and
+ * any registered at runtime with registerPattern (see pattern-plugins.js).
  * Provides lookup and validation for pattern types.
  */
 
@@ -9,6 +10,14 @@ import thematicFragmented from "./patterns/thematic/fragmented.js";
 import thematicExtended from "./patterns/thematic/extended.js";
 import thematicInverted from "./patterns/thematic/inverted.js";
 import thematicRetrograde from "./patterns/thematic/retrograde.js";
+import thematicRetrogradeInverted from "./patterns/thematic/retrograde-inverted.js";
+import {
+  augmented as thematicAugmented,
+  diminished as thematicDiminished,
+} from "./patterns/thematic/rhythm-scaled.js";
+import thematicTransposed from "./patterns/thematic/transposed.js";
+import thematicTransposedDiatonic from "./patterns/thematic/transposed-diatonic.js";
+import thematicSequenced from "./patterns/thematic/sequenced.js";
 
 import harmonicArpeggio from "./patterns/supporting/arpeggio.js";
 import melodicCounterpoint from "./patterns/supporting/counterpoint.js";
@@ -28,24 +37,36 @@ import rhythmicFoundation from "./patterns/percussion/rhythmic-foundation.js";
 import handPercussion from "./patterns/percussion/hand-percussion.js";
 import accentHits from "./patterns/percussion/accent-hits.js";
 
-// Lazy-load pattern modules to avoid circular dependencies
-let thematicPatterns = null;
-let supportingPatterns = null;
-let percussionPatterns = null;
+const PATTERN_FAMILIES = ["thematic", "supporting", "percussion"];
+
+const PATTERN_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Pattern name → { handler, family, requiresTheme, schema, description,
+// params }, built-ins first
+// in family order, then registered patterns in registration order. Built-ins
+// are registered lazily to avoid circular dependencies.
+const patterns = new Map();
+let builtInsLoaded = false;
 
 function loadPatterns() {
-  if (thematicPatterns === null) {
-    thematicPatterns = {
+  if (builtInsLoaded) return;
+  builtInsLoaded = true;
+
+  const builtIns = {
+    thematic: {
       thematic_statement: thematicStatement,
       thematic_fragmented: thematicFragmented,
       thematic_extended: thematicExtended,
       thematic_inverted: thematicInverted,
       thematic_retrograde: thematicRetrograde,
-    };
-  }
-
-  if (supportingPatterns === null) {
-    supportingPatterns = {
+      thematic_retrograde_inverted: thematicRetrogradeInverted,
+      thematic_augmented: thematicAugmented,
+      thematic_diminished: thematicDiminished,
+      thematic_transposed: thematicTransposed,
+      thematic_transposed_diatonic: thematicTransposedDiatonic,
+      thematic_sequenced: thematicSequenced,
+    },
+    supporting: {
       harmonic_arpeggio: harmonicArpeggio,
       melodic_counterpoint: melodicCounterpoint,
       gentle_breathing: gentleBreathing,
@@ -58,19 +79,93 @@ function loadPatterns() {
       minimal_accents: minimalAccents,
       silence: silence,
       sustained_pad: sustainedPad,
-    };
-  }
-
-  if (percussionPatterns === null) {
-    percussionPatterns = {
+    },
+    percussion: {
       gentle_shaker: gentleShaker,
       rhythmic_foundation: rhythmicFoundation,
       hand_percussion: handPercussion,
       accent_hits: accentHits,
-    };
+    },
+  };
+
+  for (const [family, handlers] of Object.entries(builtIns)) {
+    for (const [name, handler] of Object.entries(handlers)) {
+      patterns.set(name, {
+        handler,
+        family,
+        requiresTheme: family === "thematic",
+        schema: null,
+        description: handler.description,
+        params: handler.params,
+      });
+    }
   }
 }
 
+/**
+ * Register a pattern handler, so specs can name it in `pattern_type`.
+ * Registered patterns are validated and generated like the built-ins.
+ * `params` declares the section fields the pattern reads, each a JSON Schema
+ * for the field plus its `default` and `description`; fields the midi_spec
+ * schema already defines only need `default` (see getPatternCatalog).
+ * @param {string} name - Pattern type name (snake_case)
+ * @param {Object|function} handler - Pattern module with apply(midi, options), or the apply function itself
+ * @param {Object} options - Options
+ * @param {string} options.family - "thematic", "supporting" (default) or "percussion"; percussion patterns play on channel 10
+ * @param {boolean} options.requiresTheme - Skip sections without a theme (default: true for thematic patterns)
+ * @param {Object} options.schema - JSON Schema the pattern's sections must also match (see json-schema.js)
+ * @param {Object} options.params - Section fields the pattern reads (default: handler.params)
+ * @param {string} options.description - One-line description (default: handler.description)
+ * @throws {Error} If the name is taken or malformed, or the handler or options are invalid
+ */
+function registerPattern(name, handler, options = {}) {
+  loadPatterns();
+  const { family = "supporting", schema = null } = options;
+  const {
+    requiresTheme = family === "thematic",
+    params = handler?.params || {},
+    description = handler?.description || "",
+  } = options;
+
+  if (typeof name !== "string" || !PATTERN_NAME.test(name)) {
+    throw new Error(
+      `Pattern name ${JSON.stringify(name)} must be snake_case, e.g. "mandolin_tremolo"`,
+    );
+  }
+  if (patterns.has(name)) {
+    throw new Error(`Pattern "${name}" is already registered`);
+  }
+  const apply = typeof handler === "function" ? handler : handler?.apply;
+  if (typeof apply !== "function") {
+    throw new Error(`Pattern "${name}" needs an apply(midi, options) function`);
+  }
+  if (!PATTERN_FAMILIES.includes(family)) {
+    throw new Error(
+      `Pattern "${name}" has unknown family "${family}", expected one of: ${PATTERN_FAMILIES.join(", ")}`,
+    );
+  }
+  if (
+    schema !== null &&
+    (typeof schema !== "object" || Array.isArray(schema))
+  ) {
+    throw new Error(`Pattern "${name}" schema must be a JSON Schema object`);
+  }
+  if (typeof params !== "object" || params === null || Array.isArray(params)) {
+    throw new Error(
+      `Pattern "${name}" params must map section fields to their schemas`,
+    );
+  }
+
+  patterns.set(name, {
+    handler: typeof handler === "function" ? { apply } : handler,
+    family,
+    requiresTheme: Boolean(requiresTheme),
+    schema,
+    description,
+    params: { ...schema?.properties, ...params },
+  });
+}
+
 /**
  * Get a pattern handler by type.
  * @param {string} patternType - The pattern type name
@@ -78,12 +173,17 @@ function loadPatterns() {
  */
 function getPattern(patternType) {
   loadPatterns();
-  return (
-    thematicPatterns[patternType] ||
-    supportingPatterns[patternType] ||
-    percussionPatterns[patternType] ||
-    null
-  );
+  return patterns.get(patternType)?.handler || null;
+}
+
+/**
+ * Get the family a pattern type belongs to.
+ * @param {string} patternType - The pattern type name
+ * @returns {string|null} "thematic", "supporting" or "percussion", or null if not found
+ */
+function getPatternFamily(patternType) {
+  loadPatterns();
+  return patterns.get(patternType)?.family || null;
 }
 
 /**
@@ -92,8 +192,7 @@ function getPattern(patternType) {
  * @returns {boolean} True if thematic pattern
  */
 function isThematicPattern(patternType) {
-  loadPatterns();
-  return patternType in thematicPatterns;
+  return getPatternFamily(patternType) === "thematic";
 }
 
 /**
@@ -102,8 +201,7 @@ function isThematicPattern(patternType) {
  * @returns {boolean} True if supporting pattern
  */
 function isSupportingPattern(patternType) {
-  loadPatterns();
-  return patternType in supportingPatterns;
+  return getPatternFamily(patternType) === "supporting";
 }
 
 /**
@@ -112,8 +210,46 @@ function isSupportingPattern(patternType) {
  * @returns {boolean} True if percussion pattern
  */
 function isPercussionPattern(patternType) {
+  return getPatternFamily(patternType) === "percussion";
+}
+
+/**
+ * Check if a pattern type can't play without a theme.
+ * @param {string} patternType - The pattern type name
+ * @returns {boolean} True if the pattern needs a theme
+ */
+function patternRequiresTheme(patternType) {
+  loadPatterns();
+  return patterns.get(patternType)?.requiresTheme || false;
+}
+
+/**
+ * Get the JSON Schema a pattern's sections must match, beyond the midi_spec
+ * schema: its `schema` with its params as properties.
+ * @param {string} patternType - The pattern type name
+ * @returns {Object|null} JSON Schema, or null if not found
+ */
+function getPatternSchema(patternType) {
+  loadPatterns();
+  const entry = patterns.get(patternType);
+  if (!entry) return null;
+  return {
+    ...entry.schema,
+    properties: { ...entry.params, ...entry.schema?.properties },
+  };
+}
+
+/**
+ * Get a pattern's description and the section fields it reads.
+ * @param {string} patternType - The pattern type name
+ * @returns {Object|null} { description, params }, or null if not found
+ */
+function getPatternInfo(patternType) {
   loadPatterns();
-  return patternType in percussionPatterns;
+  const entry = patterns.get(patternType);
+  return entry
+    ? { description: entry.description, params: entry.params }
+    : null;
 }
 
 /**
@@ -122,11 +258,7 @@ function isPercussionPattern(patternType) {
  */
 function getAllPatternNames() {
   loadPatterns();
-  return [
-    ...Object.keys(thematicPatterns),
-    ...Object.keys(supportingPatterns),
-    ...Object.keys(percussionPatterns),
-  ];
+  return [...patterns.keys()];
 }
 
 /**
@@ -136,18 +268,20 @@ function getAllPatternNames() {
  */
 function isValidPattern(patternType) {
   loadPatterns();
-  return (
-    patternType in thematicPatterns ||
-    patternType in supportingPatterns ||
-    patternType in percussionPatterns
-  );
+  return patterns.has(patternType);
 }
 
 export {
+  PATTERN_FAMILIES,
+  registerPattern,
   getPattern,
+  getPatternFamily,
   isThematicPattern,
   isSupportingPattern,
   isPercussionPattern,
+  patternRequiresTheme,
+  getPatternSchema,
+  getPatternInfo,
   getAllPatternNames,
   isValidPattern,
 };
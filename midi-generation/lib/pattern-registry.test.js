@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import {
+  getPatternFamily,
+  isPercussionPattern,
+  isValidPattern,
+  patternRequiresTheme,
+  registerPattern,
+} from "./pattern-registry.js";
+import { createMidiFromSpec, validateSpec } from "../index.js";
+
+const { Midi } = midi;
+
+const knock = (_, { track, section }) =>
+  track.addNote({ midi: 37, time: section.start_time, duration: 0.1 });
+
+test("registered patterns validate and render like the built-ins", () => {
+  registerPattern("test_knock", knock, { family: "percussion" });
+  registerPattern(
+    "test_drone",
+    {
+      apply: (_, { track, section }) =>
+        track.addNote({
+          midi: section.drone_pitch,
+          time: section.start_time,
+          duration: section.end_time - section.start_time,
+        }),
+    },
+    {
+      schema: {
+        required: ["drone_pitch"],
+        properties: { drone_pitch: { type: "integer", minimum: 0 } },
+      },
+    },
+  );
+
+  assert.equal(isValidPattern("test_knock"), true);
+  assert.equal(isPercussionPattern("test_knock"), true);
+  assert.equal(getPatternFamily("test_drone"), "supporting");
+  assert.equal(patternRequiresTheme("test_drone"), false);
+
+  const spec = {
+    tempo: 120,
+    tracks: [
+      {
+        track_number: 1,
+        sections: [
+          {
+            start_time: 0,
+            end_time: 2,
+            pattern_type: "test_drone",
+            drone_pitch: 48,
+          },
+        ],
+      },
+      {
+        track_number: 2,
+        sections: [{ start_time: 0, end_time: 2, pattern_type: "test_knock" }],
+      },
+    ],
+  };
+  assert.deepEqual(validateSpec(spec).errors, []);
+
+  const tracks = new Midi(createMidiFromSpec(spec)).tracks;
+  assert.deepEqual(
+    tracks.map(({ channel, notes }) => [channel, notes.map((n) => n.midi)]),
+    [
+      [0, [48]],
+      [9, [37]],
+    ],
+  );
+
+  spec.tracks[0].sections[0].drone_pitch = -1;
+  assert.deepEqual(validateSpec(spec).errors, [
+    "tracks[0].sections[0].drone_pitch: must be >= 0, got -1",
+  ]);
+});
+
+test("rejects malformed registrations", () => {
+  const rejects = (args, message) =>
+    assert.throws(() => registerPattern(...args), { message });
+
+  rejects(
+    ["Bad-Name", knock],
+    'Pattern name "Bad-Name" must be snake_case, e.g. "mandolin_tremolo"',
+  );
+  rejects(
+    ["thematic_statement", knock],
+    'Pattern "thematic_statement" is already registered',
+  );
+  rejects(
+    ["test_no_apply", {}],
+    'Pattern "test_no_apply" needs an apply(midi, options) function',
+  );
+  rejects(
+    ["test_drums", knock, { family: "drums" }],
+    'Pattern "test_drums" has unknown family "drums", expected one of: thematic, supporting, percussion',
+  );
+  rejects(
+    ["test_schema", knock, { schema: [] }],
+    'Pattern "test_schema" schema must be a JSON Schema object',
+  );
+  assert.equal(isValidPattern("test_drums"), false);
+});
@@ -2,13 +2,17 @@
  * Accent Hits Pattern
  * Occasional single hits for structural punctuation.
  * Cymbal crashes or similar at key moments.
- * Evenly spaced through section with long sustain.
+ * Evenly spaced through section with long sustain, each moved to the
+ * nearest bar line.
  */
 
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { getMeter } from "../../meter.js";
 
 /**
  * Apply accent hits pattern to a track.
@@ -16,16 +20,25 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {Object} options.meter - Meter from the time signature (see meter.js)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section } = options;
+  const {
+    track,
+    section,
+    tempo,
+    timing = createTempoMap({ tempo }),
+    meter = getMeter(),
+  } = options;
 
   const { end_time, velocity_avg = 70 } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.accent_hits;
+  const config = options.strategy || getPatternStrategy("accent_hits");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
@@ -33,18 +46,28 @@ function apply(midi, options) {
   // Calculate timing
   const duration = end_time - startTime;
   const hitCount = config.hitsPerSection;
+  const hitSpacing = duration / (hitCount + 1);
   const baseVelocity = (velocity_avg / 127) * config.velocityMultiplier;
 
   // Place hits evenly spaced through section
+  const used = new Set();
   for (let i = 0; i < hitCount; i++) {
     // Distribute hits evenly, avoiding very start and very end
-    const hitTime = startTime + (duration * (i + 1)) / (hitCount + 1);
+    let hitTime = startTime + (duration * (i + 1)) / (hitCount + 1);
     const instrument = config.instruments[i % config.instruments.length];
 
+    // Land on the nearest bar line inside the section, unless another hit has it
+    const bar = Math.round(timing.secondsToBeats(hitTime) / meter.beatsPerBar);
+    const barTime = timing.beatsToSeconds(bar * meter.beatsPerBar);
+    if (barTime >= startTime && barTime < end_time && !used.has(bar)) {
+      hitTime = barTime;
+      used.add(bar);
+    }
+
     track.addNote({
       midi: instrument.pitch,
       time: hitTime,
-      duration: config.duration,
+      duration: getArticulatedDuration(section, hitSpacing, config.duration),
       velocity: baseVelocity,
     });
   }
@@ -52,4 +75,11 @@ function apply(midi, options) {
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "Occasional crashes, evenly spaced on bar lines",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+  },
+};
@@ -6,9 +6,11 @@
  */
 
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply gentle shaker pattern to a track.
@@ -16,23 +18,24 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo } = options;
+  const { track, section, tempo, timing = createTempoMap({ tempo }) } = options;
 
   const { end_time, velocity_avg = 70 } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.gentle_shaker;
+  const config = options.strategy || getPatternStrategy("gentle_shaker");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
   // Calculate timing from config
-  const quarterNote = 60 / tempo;
-  const noteValue = quarterNote * config.noteValue; // 32nd note duration
+  const noteValue = config.noteValue; // 32nd note, in beats
   const velocity = (velocity_avg / 127) * config.velocityMultiplier;
 
   let currentTime = startTime;
@@ -44,16 +47,26 @@ function apply(midi, options) {
       track.addNote({
         midi: config.pitch,
         time: currentTime,
-        duration: noteValue * 0.8, // Slightly shorter than note value
+        duration: timing.beatsDuration(
+          currentTime,
+          getArticulatedDuration(section, noteValue, noteValue * 0.8),
+        ), // Slightly shorter than note value
         velocity: velocity,
       });
     }
 
-    currentTime += noteValue;
+    currentTime = timing.addBeats(currentTime, noteValue);
     patternIndex++;
   }
 
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "Continuous quiet shaker in 32nd notes",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+  },
+};
@@ -2,13 +2,17 @@
  * Hand Percussion Pattern
  * Syncopated conga/bongo patterns for ethnic/energetic feel.
  * Uses different pitches for different drum tones.
- * Pattern repeats every 4 beats.
+ * Pattern restarts on every bar line, with a lilting variant for compound
+ * meters (6/8, 12/8).
  */
 
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { getMeter } from "../../meter.js";
 
 /**
  * Apply hand percussion pattern to a track.
@@ -16,46 +20,78 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {Object} options.meter - Meter from the time signature (see meter.js)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo } = options;
+  const {
+    track,
+    section,
+    tempo,
+    timing = createTempoMap({ tempo }),
+    meter = getMeter(),
+  } = options;
 
   const { end_time, velocity_avg = 70 } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.hand_percussion;
+  const config = options.strategy || getPatternStrategy("hand_percussion");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
-  // Calculate timing
-  const quarterNote = 60 / tempo;
-  const loopDuration = quarterNote * config.loopLength;
   const baseVelocity = velocity_avg / 127;
+  const { pattern, loopLength } = meter.compound ? config.compound : config;
 
-  let currentLoopStart = startTime;
+  // Walk the piece's bar lines, playing only the hits inside the section
+  const startBeat = timing.secondsToBeats(startTime) - 1e-9;
+  const endBeat = timing.secondsToBeats(end_time);
+  let barStart = Math.floor(startBeat / meter.beatsPerBar) * meter.beatsPerBar;
 
-  while (currentLoopStart < end_time) {
-    // Play each note in the pattern
-    for (const note of config.pattern) {
-      const noteTime = currentLoopStart + quarterNote * note.offset;
+  while (barStart < endBeat) {
+    for (
+      let loopStart = 0;
+      loopStart < meter.pulsesPerBar;
+      loopStart += loopLength
+    ) {
+      // Play each note in the pattern
+      for (const note of pattern) {
+        const pulse = loopStart + note.offset;
+        const beat = barStart + pulse * meter.pulseBeats;
+        if (pulse >= meter.pulsesPerBar || beat < startBeat || beat >= endBeat)
+          continue;
 
-      if (noteTime < end_time) {
+        const noteTime = timing.beatsToSeconds(beat);
         track.addNote({
           midi: note.pitch,
           time: noteTime,
-          duration: quarterNote * config.noteDuration,
+          duration: timing.beatsDuration(
+            noteTime,
+            getArticulatedDuration(
+              section,
+              meter.pulseBeats,
+              config.noteDuration,
+            ),
+          ),
           velocity: baseVelocity * note.velocityMultiplier,
         });
       }
     }
 
-    currentLoopStart += loopDuration;
+    barStart += meter.beatsPerBar;
   }
 
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "Syncopated conga and bongo pattern restarting each bar",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+  },
+};
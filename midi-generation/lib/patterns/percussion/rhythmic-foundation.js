@@ -1,14 +1,19 @@
 /**
  * Rhythmic Foundation Pattern
  * Basic drum pattern (kick, snare, hi-hat) for driving energy.
- * Standard 4/4 rock/pop pattern.
- * Kick on beats 1 and 3, snare on 2 and 4, hi-hat on eighth notes.
+ * Rock/pop pattern in the spec's time signature: kick on the accented
+ * pulses, snare on the others, hi-hat on eighth notes. In 4/4 that is kick on
+ * beats 1 and 3 and snare on 2 and 4; in 3/4 an oom-pah-pah; in 6/8 kick and
+ * snare on the two dotted quarters.
  */
 
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { getMeter } from "../../meter.js";
 
 /**
  * Apply rhythmic foundation pattern to a track.
@@ -16,65 +21,93 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {Object} options.meter - Meter from the time signature (see meter.js)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo } = options;
+  const {
+    track,
+    section,
+    tempo,
+    timing = createTempoMap({ tempo }),
+    meter = getMeter(),
+  } = options;
 
   const { end_time, velocity_avg = 70 } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.rhythmic_foundation;
+  const config = options.strategy || getPatternStrategy("rhythmic_foundation");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
-  // Calculate timing
-  const quarterNote = 60 / tempo;
-  const duration = end_time - startTime;
-  const numBeats = Math.floor(duration / quarterNote);
+  // Calculate timing on the piece's pulse grid
+  const startBeat = timing.secondsToBeats(startTime) - 1e-9;
+  const endBeat = timing.secondsToBeats(end_time);
+  const firstPulse = Math.ceil(startBeat / meter.pulseBeats);
 
   const baseVelocity = velocity_avg / 127;
 
-  // Add kicks (beats 1 and 3 in each measure)
-  for (let beat = 0; beat < numBeats; beat++) {
-    if (config.kick.beats.includes(beat % 4)) {
+  // Add kicks and snares by the accent of each pulse in the bar
+  for (let pulse = firstPulse; pulse * meter.pulseBeats < endBeat; pulse++) {
+    const accent = meter.accents[pulse % meter.pulsesPerBar];
+    const time = timing.beatsToSeconds(pulse * meter.pulseBeats);
+
+    if (config.kick.accents.includes(accent)) {
       track.addNote({
         midi: config.kick.pitch,
-        time: startTime + beat * quarterNote,
-        duration: quarterNote * 0.3,
+        time,
+        duration: timing.beatsDuration(
+          time,
+          getArticulatedDuration(section, meter.pulseBeats, 0.3),
+        ),
         velocity: baseVelocity * config.kick.velocityMultiplier,
       });
     }
-  }
 
-  // Add snares (beats 2 and 4 in each measure)
-  for (let beat = 0; beat < numBeats; beat++) {
-    if (config.snare.beats.includes(beat % 4)) {
+    if (config.snare.accents.includes(accent)) {
       track.addNote({
         midi: config.snare.pitch,
-        time: startTime + beat * quarterNote,
-        duration: quarterNote * 0.2,
+        time,
+        duration: timing.beatsDuration(
+          time,
+          getArticulatedDuration(section, meter.pulseBeats, 0.2),
+        ),
         velocity: baseVelocity * config.snare.velocityMultiplier,
       });
     }
   }
 
   // Add hi-hats (eighth notes throughout)
-  const hihatValue = quarterNote * config.hihat.noteValue;
-  let currentTime = startTime;
-  while (currentTime < end_time) {
+  const hihatValue = config.hihat.noteValue;
+  for (
+    let beat = Math.ceil(startBeat / hihatValue) * hihatValue;
+    beat < endBeat;
+    beat += hihatValue
+  ) {
+    const time = timing.beatsToSeconds(beat);
     track.addNote({
       midi: config.hihat.pitch,
-      time: currentTime,
-      duration: hihatValue * 0.8,
+      time,
+      duration: timing.beatsDuration(
+        time,
+        getArticulatedDuration(section, hihatValue, hihatValue * 0.8),
+      ),
       velocity: baseVelocity * config.hihat.velocityMultiplier,
     });
-    currentTime += hihatValue;
   }
 
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "Kick, snare and hi-hat following the time signature",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+  },
+};
@@ -8,11 +8,14 @@
 
 import { noteToMidi } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
   humanizeValue,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createRandom } from "../../random.js";
 
 /**
  * Apply minimal accents pattern to a track.
@@ -20,26 +23,30 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {function} options.random - Seeded random function for this section (returns 0.0-1.0)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, pitches = [] } = options;
+  const { track, section, pitches = [], random = createRandom() } = options;
 
   const { end_time, velocity_avg = 70, pitch_range } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.minimal_accents;
-  const spacingConfig = PATTERN_STRATEGIES.rhythmicSpacing.accents;
+  const config = options.strategy || getPatternStrategy("minimal_accents");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
   // Calculate note duration from config
-  const noteDuration = config.duration * config.durationFactor;
+  const accentDuration = config.duration * config.durationFactor;
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   // Determine available pitches
   let availablePitches = [...pitches];
@@ -55,20 +62,31 @@ function apply(midi, options) {
     availablePitches = [60, 62, 64, 65, 67, 69, 71, 72];
   }
 
-  // Simple seeded random for reproducible results
-  let seed = (Math.floor(startTime * 1000) % 1000) + 42;
-  const pseudoRandom = () => {
-    seed = (seed * 1103515245 + 12345) % 2147483648;
-    return seed / 2147483648;
-  };
-
   let currentTime = startTime;
 
-  while (currentTime + noteDuration <= end_time) {
+  while (currentTime < end_time) {
     // Pick random pitch
-    const pitchIndex = Math.floor(pseudoRandom() * availablePitches.length);
+    const pitchIndex = Math.floor(random() * availablePitches.length);
     const pitch = availablePitches[pitchIndex];
 
+    // Random interval until next accent from config range
+    const baseInterval =
+      config.minInterval + random() * (config.maxInterval - config.minInterval);
+
+    // Apply humanization
+    const interval = humanizeValue(baseInterval, config.humanize, random);
+
+    const noteDuration = getArticulatedDuration(
+      section,
+      interval,
+      accentDuration,
+    );
+    if (
+      currentTime + getFitDuration(section, interval, noteDuration) >
+      end_time
+    )
+      break;
+
     track.addNote({
       midi: pitch,
       time: currentTime,
@@ -76,16 +94,19 @@ function apply(midi, options) {
       velocity: adjustedVelocity / 127,
     });
 
-    // Random interval until next accent from config range
-    const baseInterval = config.minInterval +
-      pseudoRandom() * (config.maxInterval - config.minInterval);
-
-    // Apply humanization
-    const interval = humanizeValue(baseInterval, spacingConfig.humanize, pseudoRandom);
     currentTime += interval;
   }
 
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "Sparse notes every 3-4 seconds",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+  },
+};
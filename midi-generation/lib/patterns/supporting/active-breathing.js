@@ -8,11 +8,15 @@
 
 import { getScaleStep, noteToMidi } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
   humanizeValue,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createRandom } from "../../random.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply active breathing pattern to a track.
@@ -20,30 +24,41 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {function} options.random - Seeded random function for this section (returns 0.0-1.0)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo, scale = [], pitches = [] } = options;
+  const {
+    track,
+    section,
+    tempo,
+    scale = [],
+    pitches = [],
+    random = createRandom(),
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   const { end_time, velocity_avg = 70, pitch_range } = section;
 
   // Get configuration - use base breathing pattern config for note duration
-  const config = PATTERN_STRATEGIES.patterns.gentle_breathing;
-  const spacingConfig = PATTERN_STRATEGIES.rhythmicSpacing.active_breathing;
+  const config = options.strategy || getPatternStrategy("active_breathing");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
-  // Calculate timing from config
-  const quarterNote = 60 / tempo;
-  const baseNoteInterval = spacingConfig.interval * quarterNote; // 1 beat
-  const noteDuration = quarterNote * config.noteDuration;
+  // Calculate timing from config (in beats, converted through the tempo map)
+  const baseNoteInterval = config.interval; // 1 beat
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   // Determine available pitches
   let availablePitches = pitches.length > 0 ? pitches : scale;
@@ -61,16 +76,27 @@ function apply(midi, options) {
   let currentPitch = availablePitches[Math.floor(availablePitches.length / 2)];
   let currentTime = startTime;
 
-  // Simple seeded random for consistent results
-  let seed = Math.floor(startTime * 1000) % 1000;
-  const pseudoRandom = () => {
-    seed = (seed * 1103515245 + 12345) % 2147483648;
-    return seed / 2147483648;
-  };
-
-  while (currentTime + noteDuration <= end_time) {
+  while (true) {
     // Apply humanization to timing
-    const humanizedInterval = humanizeValue(baseNoteInterval, spacingConfig.humanize, pseudoRandom);
+    const humanizedInterval = humanizeValue(
+      baseNoteInterval,
+      config.humanize,
+      random,
+    );
+
+    const noteBeats = getArticulatedDuration(
+      section,
+      humanizedInterval,
+      config.noteDuration,
+    );
+    if (
+      timing.addBeats(
+        currentTime,
+        getFitDuration(section, humanizedInterval, noteBeats),
+      ) > end_time
+    )
+      break;
+    const noteDuration = timing.beatsDuration(currentTime, noteBeats);
 
     track.addNote({
       midi: currentPitch,
@@ -79,19 +105,21 @@ function apply(midi, options) {
       velocity: adjustedVelocity / 127,
     });
 
-    currentTime += humanizedInterval;
+    currentTime = timing.addBeats(currentTime, humanizedInterval);
 
     // Move stepwise for next note based on config
     if (config.stepwise && scale.length > 0) {
       const maxStep = config.maxInterval;
-      const step = Math.floor(pseudoRandom() * (maxStep * 2 + 1)) - maxStep;
+      const step = Math.floor(random() * (maxStep * 2 + 1)) - maxStep;
       currentPitch = getScaleStep(currentPitch, scale, step);
     } else if (scale.length > 0) {
-      const step = Math.floor(pseudoRandom() * (config.maxInterval * 2 + 1)) - config.maxInterval;
+      const step =
+        Math.floor(random() * (config.maxInterval * 2 + 1)) -
+        config.maxInterval;
       currentPitch = getScaleStep(currentPitch, scale, step);
     } else {
       // Chromatic stepwise
-      const step = Math.floor(pseudoRandom() * 5) - 2; // -2 to +2
+      const step = Math.floor(random() * 5) - 2; // -2 to +2
       currentPitch = Math.max(
         availablePitches[0],
         Math.min(
@@ -105,4 +133,13 @@ function apply(midi, options) {
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description: "One note per beat, stepwise motion",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+  },
+};
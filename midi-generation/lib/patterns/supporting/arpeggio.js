@@ -1,16 +1,20 @@
 /**
  * Harmonic Arpeggio Pattern
- * Builds triad from scale (root, third, fifth).
+ * Builds triad from scale (root, third, fifth), or voices the current chord
+ * when the section follows a progression.
  * Arpeggiates pattern based on config.
  * Velocity below melody.
  */
 
 import { buildChord, noteToMidi } from "../../note-utils.js";
+import { voiceChord } from "../../harmony.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply harmonic arpeggio pattern to a track.
@@ -18,26 +22,40 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {Object} options.harmony - Chord progression timeline, or null
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo, scale = [], pitches = [] } = options;
+  const {
+    track,
+    section,
+    tempo,
+    scale = [],
+    pitches = [],
+    harmony = null,
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   const { end_time, velocity_avg = 80 } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.harmonic_arpeggio;
+  const config = options.strategy || getPatternStrategy("harmonic_arpeggio");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
   // Calculate timing from config
-  const quarterNote = 60 / tempo;
-  const noteValue = quarterNote * config.noteValue;
-  const noteDuration = noteValue * config.durationFactor;
+  const noteValue = config.noteValue;
+  const noteBeats = getArticulatedDuration(
+    section,
+    noteValue,
+    noteValue * config.durationFactor,
+  );
 
   // Determine root note from scale or section
   let root;
@@ -60,33 +78,54 @@ function apply(midi, options) {
   }
 
   // Build arpeggio pattern from config indices
-  const arpeggioPattern = config.pattern.map((index) => {
-    // Clamp index to valid chord range
-    const clampedIndex = Math.min(index, chord.length - 1);
-    return chord[clampedIndex];
-  });
+  const toPattern = (chordTones) =>
+    config.pattern.map((index) => {
+      // Clamp index to valid chord range
+      const clampedIndex = Math.min(index, chordTones.length - 1);
+      return chordTones[clampedIndex];
+    });
+  const arpeggioPattern = toPattern(chord);
 
   // Apply velocity modifier from config
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   let currentTime = startTime;
   let patternIndex = 0;
 
   // Fill section with arpeggio
-  while (currentTime + noteValue <= end_time) {
-    const pitch = arpeggioPattern[patternIndex % arpeggioPattern.length];
+  while (timing.addBeats(currentTime, noteValue) <= end_time) {
+    // Follow the progression: voice the current chord around the section root
+    const currentPattern = harmony
+      ? toPattern(voiceChord(harmony.chordAt(currentTime), root))
+      : arpeggioPattern;
+    const pitch = currentPattern[patternIndex % currentPattern.length];
 
     track.addNote({
       midi: pitch,
       time: currentTime,
-      duration: noteDuration,
+      duration: timing.beatsDuration(currentTime, noteBeats),
       velocity: adjustedVelocity / 127,
     });
 
-    currentTime += noteValue;
+    currentTime = timing.addBeats(currentTime, noteValue);
     patternIndex++;
   }
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description:
+    "Triadic arpeggiation in eighth notes, or the current chord with a progression",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+    progression: {},
+  },
+};
@@ -3,14 +3,20 @@
  * Active melodic line that complements primary melody without competing.
  * More melodic than arpeggio, smoother than breathing patterns.
  * Creates gentle arch or wave contours with mostly stepwise motion.
+ * With a progression, strong beats land on the nearest chord tone.
  */
 
 import { noteToMidi } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createRandom } from "../../random.js";
+import { isChordTone } from "../../harmony.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply melodic counterpoint pattern to a track.
@@ -18,29 +24,48 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {Object} options.harmony - Chord progression timeline, or null
+ * @param {function} options.random - Seeded random function for this section (returns 0.0-1.0)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo, scale = [], pitches = [] } = options;
+  const {
+    track,
+    section,
+    tempo,
+    scale = [],
+    pitches = [],
+    harmony = null,
+    random = createRandom(),
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   const { end_time, velocity_avg = 70, pitch_range } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.melodic_counterpoint;
+  const config = options.strategy || getPatternStrategy("melodic_counterpoint");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
   // Calculate timing from config
-  const quarterNote = 60 / tempo;
-  const noteInterval = quarterNote * config.noteInterval;
-  const noteDuration = noteInterval * config.noteDuration;
+  const noteInterval = config.noteInterval;
+  const noteBeats = getArticulatedDuration(
+    section,
+    noteInterval,
+    noteInterval * config.noteDuration,
+  );
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   // Determine available pitches
   let availablePitches = pitches.length > 0 ? pitches : scale;
@@ -59,38 +84,54 @@ function apply(midi, options) {
   let ascending = true;
   let notesSinceDirectionChange = 0;
 
-  // Simple seeded random for consistent results
-  let seed = Math.floor(startTime * 1000) % 1000;
-  const pseudoRandom = () => {
-    seed = (seed * 1103515245 + 12345) % 2147483648;
-    return seed / 2147483648;
-  };
-
   let currentTime = startTime;
 
-  while (currentTime + noteDuration <= end_time) {
+  while (
+    timing.addBeats(
+      currentTime,
+      getFitDuration(section, noteInterval, noteBeats),
+    ) <= end_time
+  ) {
+    // Favor chord tones on strong beats: move to the nearest one in range
+    if (harmony && harmony.isStrongBeat(currentTime)) {
+      const chord = harmony.chordAt(currentTime);
+      for (let distance = 0; distance < availablePitches.length; distance++) {
+        const candidates = [pitchIndex - distance, pitchIndex + distance];
+        const found = candidates.find(
+          (index) =>
+            index >= 0 &&
+            index < availablePitches.length &&
+            isChordTone(chord, availablePitches[index]),
+        );
+        if (found !== undefined) {
+          pitchIndex = found;
+          break;
+        }
+      }
+    }
+
     // Add note
     track.addNote({
       midi: availablePitches[pitchIndex],
       time: currentTime,
-      duration: noteDuration,
+      duration: timing.beatsDuration(currentTime, noteBeats),
       velocity: adjustedVelocity / 127,
     });
 
     // Determine next pitch movement
-    const motion = pseudoRandom();
+    const motion = random();
     let pitchMove = 0;
 
     if (motion < config.stepwiseBias) {
       // Stepwise motion (70%): move 1-2 semitones/scale degrees
       pitchMove = ascending ? 1 : -1;
       // Occasionally move by 2 for variety
-      if (pseudoRandom() < 0.3) {
+      if (random() < 0.3) {
         pitchMove *= 2;
       }
     } else if (motion < config.stepwiseBias + config.leapProbability) {
       // Small leap (20%): move 3-5 semitones/scale degrees
-      const leapSize = 2 + Math.floor(pseudoRandom() * 2); // 2-3 scale steps
+      const leapSize = 2 + Math.floor(random() * 2); // 2-3 scale steps
       pitchMove = ascending ? leapSize : -leapSize;
     } else {
       // Direction change (10%): reverse and move
@@ -116,10 +157,21 @@ function apply(midi, options) {
       ascending = false; // Bounce back down
     }
 
-    currentTime += noteInterval;
+    currentTime = timing.addBeats(currentTime, noteInterval);
   }
 
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description:
+    "Stepwise line in arch or wave contours that complements the melody; strong beats land on chord tones with a progression",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+    progression: {},
+  },
+};
@@ -8,10 +8,14 @@
 
 import { noteToMidi } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createRandom } from "../../random.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply decorative flourish pattern to a track.
@@ -19,18 +23,29 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {function} options.random - Seeded random function for this section (returns 0.0-1.0)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo, scale = [], pitches = [] } = options;
+  const {
+    track,
+    section,
+    tempo,
+    scale = [],
+    pitches = [],
+    random = createRandom(),
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   const { end_time, velocity_avg = 80, pitch_range } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.decorative_flourish;
+  const config = options.strategy || getPatternStrategy("decorative_flourish");
 
   // Handle late entry - use section late_entry if provided, otherwise use config appearTime
   // Section late_entry takes precedence
@@ -44,9 +59,12 @@ function apply(midi, options) {
   }
 
   // Calculate timing
-  const quarterNote = 60 / tempo;
-  const noteValue = quarterNote * config.noteValue;
-  const noteDuration = noteValue * config.durationFactor;
+  const noteValue = config.noteValue;
+  const noteBeats = getArticulatedDuration(
+    section,
+    noteValue,
+    noteValue * config.durationFactor,
+  );
 
   // Determine pitches for flourish (upper register)
   let flourishPitches = [];
@@ -81,29 +99,33 @@ function apply(midi, options) {
   flourishPitches.sort((a, b) => a - b);
   flourishPitches = flourishPitches.slice(0, noteCount);
 
-  if (config.direction === 'descending') {
+  if (config.direction === "descending") {
     flourishPitches.reverse();
-  } else if (config.direction === 'random') {
-    // Shuffle using seeded random
-    let seed = Math.floor(flourishStart * 1000) % 1000;
-    const pseudoRandom = () => {
-      seed = (seed * 1103515245 + 12345) % 2147483648;
-      return seed / 2147483648;
-    };
+  } else if (config.direction === "random") {
+    // Shuffle using the section's random stream
     for (let i = flourishPitches.length - 1; i > 0; i--) {
-      const j = Math.floor(pseudoRandom() * (i + 1));
-      [flourishPitches[i], flourishPitches[j]] = [flourishPitches[j], flourishPitches[i]];
+      const j = Math.floor(random() * (i + 1));
+      [flourishPitches[i], flourishPitches[j]] = [
+        flourishPitches[j],
+        flourishPitches[i],
+      ];
     }
   }
   // 'ascending' is default (already sorted ascending)
 
   // Apply velocity modifier from config
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   // Add flourish notes - ensure we don't exceed end_time
   let currentTime = flourishStart;
   flourishPitches.forEach((pitch) => {
-    if (currentTime + noteDuration > end_time) return;
+    const noteDuration = timing.beatsDuration(currentTime, noteBeats);
+    const slot = timing.beatsDuration(currentTime, noteValue);
+    if (currentTime + getFitDuration(section, slot, noteDuration) > end_time)
+      return;
 
     track.addNote({
       midi: Math.min(127, Math.max(0, pitch)),
@@ -111,9 +133,19 @@ function apply(midi, options) {
       duration: noteDuration,
       velocity: adjustedVelocity / 127,
     });
-    currentTime += noteValue;
+    currentTime = timing.addBeats(currentTime, noteValue);
   });
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "4 quick ascending notes at 65% through section",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+  },
+};
@@ -2,14 +2,17 @@
  * Foundation Pedal Pattern
  * Single sustained note for entire section duration.
  * Uses low note from pitch range (bottom quartile).
+ * With a progression, restrikes on each chord change using the chord root.
  * Quiet, provides harmonic grounding.
  */
 
 import { noteToMidi } from "../../note-utils.js";
+import { voiceChord } from "../../harmony.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
 
 /**
@@ -18,17 +21,19 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {Object} options.harmony - Chord progression timeline, or null
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, scale = [], pitches = [] } = options;
+  const { track, section, scale = [], pitches = [], harmony = null } = options;
 
   const { end_time, velocity_avg = 80, pitch_range } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.foundation_pedal;
+  const config = options.strategy || getPatternStrategy("foundation_pedal");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
@@ -51,11 +56,36 @@ function apply(midi, options) {
     pedalNote = 36;
   }
 
-  // Calculate duration (from start to end minus small gap from config)
-  const duration = end_time - startTime - config.sustainGap;
-
   // Apply velocity modifier from config
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
+
+  // Follow the progression: one pedal per chord on its root, near the chosen register
+  if (harmony) {
+    for (const segment of harmony.segments(startTime, end_time)) {
+      const length = segment.end - segment.start;
+      track.addNote({
+        midi: voiceChord(segment.chord, pedalNote)[0],
+        time: segment.start,
+        duration: Math.max(
+          0.1,
+          getArticulatedDuration(section, length, length - config.sustainGap),
+        ),
+        velocity: adjustedVelocity / 127,
+      });
+    }
+    return midi;
+  }
+
+  // Calculate duration (from start to end minus small gap from config)
+  const length = end_time - startTime;
+  const duration = getArticulatedDuration(
+    section,
+    length,
+    length - config.sustainGap,
+  );
 
   track.addNote({
     midi: pedalNote,
@@ -66,4 +96,16 @@ function apply(midi, options) {
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description:
+    "Single sustained bass note for entire section, restruck on each chord root with a progression",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+    progression: {},
+  },
+};
@@ -15,4 +15,9 @@ function apply(midi, options) {
   // Note: late_entry is supported but has no effect since no notes are generated
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "No notes (track silent for this section)",
+  params: {},
+};
@@ -2,14 +2,19 @@
  * Sustained Pad Pattern
  * Continuous harmonic wash for atmospheric depth.
  * Slow-changing chords that overlap for smooth transitions.
+ * With a progression, voices the current chord instead of the fixed spread.
  * Very quiet throughout - background texture only.
  */
 
 import { noteToMidi } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createRandom } from "../../random.js";
+import { voiceChord } from "../../harmony.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply sustained pad pattern to a track.
@@ -17,25 +22,37 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches
  * @param {number[]} options.pitches - Available pitches in range
+ * @param {Object} options.harmony - Chord progression timeline, or null
+ * @param {function} options.random - Seeded random function for this section (returns 0.0-1.0)
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, tempo, scale = [], pitches = [] } = options;
+  const {
+    track,
+    section,
+    tempo,
+    scale = [],
+    pitches = [],
+    harmony = null,
+    random = createRandom(),
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   const { end_time, velocity_avg = 70, pitch_range } = section;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.sustained_pad;
+  const config = options.strategy || getPatternStrategy("sustained_pad");
 
   // Handle late entry
   const startTime = calculateLateEntryStart(section);
 
   // Calculate timing
-  const quarterNote = 60 / tempo;
-  const chordDuration = quarterNote * config.updateInterval;
+  const chordBeats = config.updateInterval;
   const baseVelocity = (velocity_avg / 127) * config.velocityMultiplier;
 
   // Determine available pitches for root selection
@@ -51,15 +68,41 @@ function apply(midi, options) {
   }
 
   // Select root note from lower portion of pitch range
-  const rootIndex = Math.floor(availablePitches.length * config.pitchRangePosition);
+  const rootIndex = Math.floor(
+    availablePitches.length * config.pitchRangePosition,
+  );
   const baseRoot = availablePitches[rootIndex];
 
-  // Simple seeded random for consistent chord variations
-  let seed = Math.floor(startTime * 1000) % 1000;
-  const pseudoRandom = () => {
-    seed = (seed * 1103515245 + 12345) % 2147483648;
-    return seed / 2147483648;
-  };
+  // Follow the progression: voice each chord around the base root
+  if (harmony) {
+    for (const segment of harmony.segments(startTime, end_time)) {
+      const voicing = voiceChord(segment.chord, baseRoot);
+      let strikeTime = segment.start;
+
+      while (strikeTime < segment.end) {
+        const chordDuration = timing.beatsDuration(strikeTime, chordBeats);
+        const slot = Math.min(chordDuration, segment.end - strikeTime);
+        const noteDuration = getArticulatedDuration(
+          section,
+          slot,
+          slot + config.releaseOverlap,
+        );
+
+        for (const pitch of voicing) {
+          track.addNote({
+            midi: pitch,
+            time: strikeTime,
+            duration: noteDuration,
+            velocity: baseVelocity,
+          });
+        }
+
+        strikeTime += chordDuration;
+      }
+    }
+
+    return midi;
+  }
 
   let currentTime = startTime;
 
@@ -69,18 +112,26 @@ function apply(midi, options) {
     if (scale.length > 0) {
       // Find scale tones near base root and occasionally shift
       const scaleIndex = scale.indexOf(baseRoot);
-      if (scaleIndex !== -1 && pseudoRandom() > 0.6) {
+      if (scaleIndex !== -1 && random() > 0.6) {
         // Sometimes move to adjacent scale tone
-        const offset = pseudoRandom() > 0.5 ? 1 : -1;
-        const newIndex = Math.max(0, Math.min(scale.length - 1, scaleIndex + offset));
+        const offset = random() > 0.5 ? 1 : -1;
+        const newIndex = Math.max(
+          0,
+          Math.min(scale.length - 1, scaleIndex + offset),
+        );
         root = scale[newIndex];
       }
     }
 
     // Calculate note duration with overlap for smooth transitions
-    const noteDuration = Math.min(
-      chordDuration + config.releaseOverlap,
-      end_time - currentTime + config.releaseOverlap
+    const chordDuration = timing.beatsDuration(currentTime, chordBeats);
+    const noteDuration = getArticulatedDuration(
+      section,
+      Math.min(chordDuration, end_time - currentTime),
+      Math.min(
+        chordDuration + config.releaseOverlap,
+        end_time - currentTime + config.releaseOverlap,
+      ),
     );
 
     // Build chord voices based on voicing spread
@@ -104,4 +155,15 @@ function apply(midi, options) {
   return midi;
 }
 
-export default { apply };
+export default {
+  apply,
+  description:
+    "Slow overlapping chords as a quiet harmonic wash, voicing the current chord with a progression",
+  params: {
+    velocity_avg: { default: 70 },
+    late_entry: { default: 0 },
+    scale: {},
+    pitch_range: {},
+    progression: {},
+  },
+};
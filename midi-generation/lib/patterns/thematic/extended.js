@@ -6,10 +6,13 @@
 
 import { getContourDirection, getScaleStep } from "../../note-utils.js";
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply thematic extended pattern to a track.
@@ -17,13 +20,22 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {Object} options.theme - Theme definition with notes and rhythm
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @param {number[]} options.scale - Scale pitches to use for extension
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, theme, tempo, scale = [] } = options;
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    scale = [],
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   if (!theme || !theme.notes || !theme.rhythm) {
     throw new Error(
@@ -32,7 +44,7 @@ function apply(midi, options) {
   }
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.thematic_extended;
+  const config = options.strategy || getPatternStrategy("thematic_extended");
   const durationFactor = config.durationFactor;
 
   const { notes, rhythm } = theme;
@@ -47,21 +59,29 @@ function apply(midi, options) {
     config.velocityModifier,
   );
 
-  const quarterNote = 60 / tempo;
   let currentTime = startTime;
 
   // Step 1: Play the full theme
   notes.forEach((pitch, index) => {
     const beatDuration = rhythm[index] || 1;
-    const duration = beatDuration * quarterNote;
+    const duration = timing.beatsDuration(currentTime, beatDuration);
+    const noteDuration = getArticulatedDuration(
+      section,
+      duration,
+      duration * durationFactor,
+    );
 
     // Ensure we don't exceed end_time
-    if (currentTime + duration * durationFactor > end_time) return;
+    if (
+      currentTime + getFitDuration(section, duration, noteDuration) >
+      end_time + 1e-9
+    )
+      return;
 
     track.addNote({
       midi: pitch,
       time: currentTime,
-      duration: duration * durationFactor,
+      duration: noteDuration,
       velocity: adjustedVelocity / 127,
     });
 
@@ -78,10 +98,24 @@ function apply(midi, options) {
   // Use average rhythm for extension, or default to quarter notes
   const avgRhythm = rhythm.reduce((sum, r) => sum + r, 0) / rhythm.length;
   const extensionBeatDuration = avgRhythm || 1;
-  const extensionDuration = extensionBeatDuration * quarterNote;
 
   // Continue until section end
-  while (currentTime + extensionDuration * durationFactor <= end_time) {
+  while (true) {
+    const extensionDuration = timing.beatsDuration(
+      currentTime,
+      extensionBeatDuration,
+    );
+    const noteDuration = getArticulatedDuration(
+      section,
+      extensionDuration,
+      extensionDuration * durationFactor,
+    );
+    if (
+      currentTime + getFitDuration(section, extensionDuration, noteDuration) >
+      end_time + 1e-9
+    )
+      break;
+
     // Move by configured step size in the contour direction
     if (scale.length > 0) {
       currentPitch = getScaleStep(
@@ -102,7 +136,7 @@ function apply(midi, options) {
     track.addNote({
       midi: currentPitch,
       time: currentTime,
-      duration: extensionDuration * durationFactor,
+      duration: noteDuration,
       velocity: adjustedVelocity / 127,
     });
 
@@ -111,4 +145,13 @@ function apply(midi, options) {
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "Full theme, then stepwise continuation in theme's direction",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    scale: {},
+  },
+};
@@ -5,10 +5,12 @@
  */
 
 import {
-  PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
 
 /**
  * Apply thematic fragmented pattern to a track.
@@ -16,15 +18,23 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {Object} options.theme - Theme definition with notes and rhythm
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, theme, tempo } = options;
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.thematic_fragmented;
+  const config = options.strategy || getPatternStrategy("thematic_fragmented");
   const fragmentLength = config.fragmentLength;
 
   if (!theme || !theme.notes || theme.notes.length < fragmentLength) {
@@ -40,34 +50,38 @@ function apply(midi, options) {
   const startTime = calculateLateEntryStart(section);
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   // Extract fragment (first N notes and their rhythms from config)
   const fragmentNotes = notes.slice(0, fragmentLength);
   const fragmentRhythm = rhythm.slice(0, fragmentLength);
 
   // Calculate timing
-  const quarterNote = 60 / tempo;
   const durationFactor = config.durationFactor;
 
-  // Calculate how long one fragment takes
-  const fragmentDuration = fragmentRhythm.reduce(
-    (sum, r) => sum + r * quarterNote,
-    0,
-  );
+  // Calculate how many beats one fragment takes
+  const fragmentBeats = fragmentRhythm.reduce((sum, r) => sum + r, 0);
 
   let currentTime = startTime;
   let repetition = 0;
 
   // Repeat fragment until section ends
-  while (currentTime + fragmentDuration <= end_time) {
+  while (timing.addBeats(currentTime, fragmentBeats) <= end_time) {
     // Calculate transposition for this repetition using config interval
     const transposition = sequence ? repetition * config.sequenceInterval : 0;
 
     // Play the fragment
     fragmentNotes.forEach((pitch, index) => {
       const beatDuration = fragmentRhythm[index] || 1;
-      const duration = beatDuration * quarterNote;
+      const duration = timing.beatsDuration(currentTime, beatDuration);
+      const noteDuration = getArticulatedDuration(
+        section,
+        duration,
+        duration * durationFactor,
+      );
 
       const transposedPitch = pitch + transposition;
 
@@ -76,7 +90,7 @@ function apply(midi, options) {
         track.addNote({
           midi: transposedPitch,
           time: currentTime,
-          duration: duration * durationFactor,
+          duration: noteDuration,
           velocity: adjustedVelocity / 127,
         });
       }
@@ -89,4 +103,14 @@ function apply(midi, options) {
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description:
+    "First 3 notes, repeated. Set `sequence: true` to transpose up 2 semitones each repetition",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    sequence: { default: false },
+  },
+};
@@ -6,9 +6,14 @@
 
 import {
   PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { fitTheme } from "../../theme-fit.js";
 
 /**
  * Apply thematic inverted pattern to a track.
@@ -16,12 +21,24 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {Object} options.theme - Theme definition with notes and rhythm
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {number[]} options.scale - Scale pitches, for fit: "pad_with_extension"
+ * @param {Object} options.key - Key in force, for end_on_stable without a section scale
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, theme, tempo } = options;
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    scale = [],
+    key,
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   if (!theme || !theme.notes || !theme.rhythm) {
     throw new Error(
@@ -30,7 +47,7 @@ function apply(midi, options) {
   }
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.thematic_inverted;
+  const config = options.strategy || getPatternStrategy("thematic_inverted");
   const durationFactor = config.durationFactor;
 
   const { notes, rhythm } = theme;
@@ -40,7 +57,10 @@ function apply(midi, options) {
   const startTime = calculateLateEntryStart(section);
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
   if (notes.length < 2) {
     throw new Error("Thematic inverted requires at least 2 notes");
@@ -62,25 +82,38 @@ function apply(midi, options) {
     invertedNotes.push(nextNote);
   }
 
-  // Calculate timing
-  const quarterNote = 60 / tempo;
+  // Fit the theme to the section (see lib/theme-fit.js)
+  const fitted = fitTheme(
+    { notes: invertedNotes, rhythm },
+    { section, startTime, timing, durationFactor, scale, key },
+  );
+
   let currentTime = startTime;
 
   // Play inverted theme
-  invertedNotes.forEach((pitch, index) => {
+  fitted.notes.forEach((pitch, index) => {
     // Clamp to valid MIDI range
     const clampedPitch = Math.max(0, Math.min(127, pitch));
 
-    const beatDuration = rhythm[index] || 1;
-    const duration = beatDuration * quarterNote;
+    const beatDuration = fitted.rhythm[index];
+    const duration = timing.beatsDuration(currentTime, beatDuration);
+    const noteDuration = getArticulatedDuration(
+      section,
+      duration,
+      duration * durationFactor,
+    );
 
     // Ensure we don't exceed end_time
-    if (currentTime + duration * durationFactor > end_time) return;
+    if (
+      currentTime + getFitDuration(section, duration, noteDuration) >
+      end_time + 1e-9
+    )
+      return;
 
     track.addNote({
       midi: clampedPitch,
       time: currentTime,
-      duration: duration * durationFactor,
+      duration: noteDuration,
       velocity: adjustedVelocity / 127,
     });
 
@@ -89,4 +122,15 @@ function apply(midi, options) {
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "Theme with all intervals flipped",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
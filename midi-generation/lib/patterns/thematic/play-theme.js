@@ -0,0 +1,102 @@
+/**
+ * Theme Playback
+ * Shared by the thematic patterns that transform the theme as a whole and
+ * play it straight through (statement, transposed, transposed diatonic,
+ * retrograde inverted, augmented, diminished):
+ * transform the theme, fit it to the section (see lib/theme-fit.js) and play
+ * it with the pattern's articulation and velocity.
+ */
+
+import {
+  getPatternStrategy,
+  calculateLateEntryStart,
+  applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
+} from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { fitTheme } from "../../theme-fit.js";
+
+/**
+ * Play a transformed theme on a track.
+ * @param {Object} options - Pattern options (see statement.js)
+ * @param {string} patternType - Pattern type, for its strategy and errors
+ * @param {function} transform - (theme, config, section) → { notes, rhythm } to play
+ * @throws {Error} If there is no theme with notes and rhythm
+ */
+export function playTheme(options, patternType, transform) {
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    scale = [],
+    key,
+    timing = createTempoMap({ tempo }),
+  } = options;
+
+  if (!theme || !theme.notes || !theme.rhythm) {
+    const name = patternType.replace(/_/g, " ");
+    throw new Error(
+      `${name[0].toUpperCase()}${name.slice(1)} requires theme with notes and rhythm arrays`,
+    );
+  }
+
+  // Get configuration
+  const config = options.strategy || getPatternStrategy(patternType);
+  const durationFactor = config.durationFactor;
+
+  const { end_time, velocity_avg = 80 } = section;
+
+  // Handle late entry
+  const startTime = calculateLateEntryStart(section);
+
+  // Transform, then fit the theme to the section
+  const { notes, rhythm } = fitTheme(transform(theme, config, section), {
+    section,
+    startTime,
+    timing,
+    durationFactor,
+    scale,
+    key,
+  });
+
+  // Apply velocity modifier
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
+
+  let currentTime = startTime;
+
+  notes.forEach((pitch, index) => {
+    // Rhythm value: 1.0 = quarter note, 2.0 = half note, 0.5 = eighth note
+    const beatDuration = rhythm[index] || 1;
+    const duration = timing.beatsDuration(currentTime, beatDuration);
+    const noteDuration = getArticulatedDuration(
+      section,
+      duration,
+      duration * durationFactor,
+    );
+
+    // Ensure we don't exceed end_time
+    if (
+      currentTime + getFitDuration(section, duration, noteDuration) >
+      end_time + 1e-9
+    ) {
+      return;
+    }
+
+    // Only add if within valid MIDI range
+    if (pitch >= 0 && pitch <= 127) {
+      track.addNote({
+        midi: pitch,
+        time: currentTime,
+        duration: noteDuration,
+        velocity: adjustedVelocity / 127,
+      });
+    }
+
+    currentTime += duration;
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * Thematic Retrograde Inverted Pattern
+ * Inverts the theme (flips every interval around the first note, as in the
+ * inverted pattern), then plays the result backwards with the rhythm
+ * reversed. Inverted notes that fall outside the MIDI range are skipped.
+ */
+
+import { PATTERN_STRATEGIES } from "../../../config/pattern-strategies.js";
+import { playTheme } from "./play-theme.js";
+
+/**
+ * Apply thematic retrograde inverted pattern to a track.
+ * Takes the options of the thematic statement (see statement.js).
+ * @param {Midi} midi - The MIDI object
+ * @param {Object} options - Options object
+ * @returns {Midi} The modified MIDI object
+ * @throws {Error} If the theme has fewer than 2 notes
+ */
+function apply(midi, options) {
+  playTheme(options, "thematic_retrograde_inverted", ({ notes, rhythm }) => {
+    if (notes.length < 2) {
+      throw new Error("Thematic retrograde inverted requires at least 2 notes");
+    }
+
+    // Mirror each note around the first one (same as flipping every interval)
+    const invertedNotes = notes.map((pitch) => 2 * notes[0] - pitch);
+
+    return {
+      notes: invertedNotes.reverse(),
+      rhythm: [...rhythm].reverse(),
+    };
+  });
+  return midi;
+}
+
+export default {
+  apply,
+  description: "Inverted theme played backwards",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
@@ -5,9 +5,14 @@
 
 import {
   PATTERN_STRATEGIES,
+  getPatternStrategy,
   calculateLateEntryStart,
   applyVelocityModifier,
+  getArticulatedDuration,
+  getFitDuration,
 } from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+import { fitTheme } from "../../theme-fit.js";
 
 /**
  * Apply thematic retrograde pattern to a track.
@@ -15,12 +20,24 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {Object} options.theme - Theme definition with notes and rhythm
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {number[]} options.scale - Scale pitches, for fit: "pad_with_extension"
+ * @param {Object} options.key - Key in force, for end_on_stable without a section scale
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, theme, tempo } = options;
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    scale = [],
+    key,
+    timing = createTempoMap({ tempo }),
+  } = options;
 
   if (!theme || !theme.notes || !theme.rhythm) {
     throw new Error(
@@ -29,7 +46,7 @@ function apply(midi, options) {
   }
 
   // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.thematic_retrograde;
+  const config = options.strategy || getPatternStrategy("thematic_retrograde");
   const durationFactor = config.durationFactor;
 
   const { notes, rhythm } = theme;
@@ -39,28 +56,40 @@ function apply(midi, options) {
   const startTime = calculateLateEntryStart(section);
 
   // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
 
-  // Reverse both arrays
-  const retrogradeNotes = [...notes].reverse();
-  const retrogradeRhythm = [...rhythm].reverse();
+  // Reverse both arrays, then fit the theme to the section (see lib/theme-fit.js)
+  const { notes: retrogradeNotes, rhythm: retrogradeRhythm } = fitTheme(
+    { notes: [...notes].reverse(), rhythm: [...rhythm].reverse() },
+    { section, startTime, timing, durationFactor, scale, key },
+  );
 
-  // Calculate timing
-  const quarterNote = 60 / tempo;
   let currentTime = startTime;
 
   // Play retrograde theme
   retrogradeNotes.forEach((pitch, index) => {
     const beatDuration = retrogradeRhythm[index] || 1;
-    const duration = beatDuration * quarterNote;
+    const duration = timing.beatsDuration(currentTime, beatDuration);
+    const noteDuration = getArticulatedDuration(
+      section,
+      duration,
+      duration * durationFactor,
+    );
 
     // Ensure we don't exceed end_time
-    if (currentTime + duration * durationFactor > end_time) return;
+    if (
+      currentTime + getFitDuration(section, duration, noteDuration) >
+      end_time + 1e-9
+    )
+      return;
 
     track.addNote({
       midi: pitch,
       time: currentTime,
-      duration: duration * durationFactor,
+      duration: noteDuration,
       velocity: adjustedVelocity / 127,
     });
 
@@ -69,4 +98,15 @@ function apply(midi, options) {
 
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "Theme played backwards",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Thematic Augmented and Diminished Patterns
+ * Play the theme with every rhythm value multiplied by a factor (from the
+ * section, else the pattern's config), at the same pitches: above 1 the
+ * melody stretches out (augmented), below 1 it hurries through (diminished).
+ * Both patterns share this implementation and differ only in their default
+ * factor.
+ */
+
+import { PATTERN_STRATEGIES } from "../../../config/pattern-strategies.js";
+import { playTheme } from "./play-theme.js";
+
+/**
+ * Create a rhythm-scaling pattern.
+ * @param {string} patternType - Pattern type, whose config holds the default factor
+ * @param {string} description - One-line description
+ * @returns {Object} Pattern module { apply, description, params }
+ */
+function createRhythmScaledPattern(patternType, description) {
+  /**
+   * Apply the pattern to a track.
+   * Takes the options of the thematic statement (see statement.js); the
+   * section may set `factor`.
+   * @param {Midi} midi - The MIDI object
+   * @param {Object} options - Options object
+   * @returns {Midi} The modified MIDI object
+   */
+  function apply(midi, options) {
+    playTheme(options, patternType, (theme, config, section) => {
+      const { factor = config.factor } = section;
+      return {
+        notes: theme.notes,
+        rhythm: theme.notes.map(
+          (_, index) => (theme.rhythm[index] || 1) * factor,
+        ),
+      };
+    });
+    return midi;
+  }
+
+  return {
+    apply,
+    description,
+    params: {
+      velocity_avg: { default: 80 },
+      late_entry: { default: 0 },
+      factor: { default: PATTERN_STRATEGIES.patterns[patternType].factor },
+      fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+      end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+      scale: {},
+    },
+  };
+}
+
+export const augmented = createRhythmScaledPattern(
+  "thematic_augmented",
+  "Theme in longer notes: rhythm multiplied by `factor`",
+);
+
+export const diminished = createRhythmScaledPattern(
+  "thematic_diminished",
+  "Theme in shorter notes: rhythm multiplied by `factor`",
+);
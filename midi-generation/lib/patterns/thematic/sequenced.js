@@ -0,0 +1,130 @@
+/**
+ * Thematic Sequenced Pattern
+ * Repeats the whole theme, each repetition moved a further step along the
+ * section scale (degrees from the section, else config), until the section
+ * ends or the configured number of repetitions is reached. Without a section
+ * scale, each degree is a whole step.
+ */
+
+import { getScaleStep } from "../../note-utils.js";
+import {
+  PATTERN_STRATEGIES,
+  getPatternStrategy,
+  calculateLateEntryStart,
+  applyVelocityModifier,
+  getArticulatedDuration,
+} from "../../../config/pattern-strategies.js";
+import { createTempoMap } from "../../tempo-map.js";
+
+/**
+ * Apply thematic sequenced pattern to a track.
+ * @param {Midi} midi - The MIDI object
+ * @param {Object} options - Options object
+ * @param {Object} options.track - The track to add notes to
+ * @param {Object} options.section - Section specification (optional `degrees`)
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
+ * @param {Object} options.theme - Theme definition with notes and rhythm
+ * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {number[]} options.scale - Scale pitches to move along
+ * @returns {Midi} The modified MIDI object
+ */
+function apply(midi, options) {
+  const {
+    track,
+    section,
+    theme,
+    tempo,
+    scale = [],
+    timing = createTempoMap({ tempo }),
+  } = options;
+
+  if (!theme || !theme.notes || !theme.rhythm) {
+    throw new Error(
+      "Thematic sequenced requires theme with notes and rhythm arrays",
+    );
+  }
+
+  // Get configuration
+  const config = options.strategy || getPatternStrategy("thematic_sequenced");
+  const durationFactor = config.durationFactor;
+
+  const { notes, rhythm } = theme;
+  const { end_time, velocity_avg = 80, degrees = config.degrees } = section;
+
+  // Handle late entry
+  const startTime = calculateLateEntryStart(section);
+
+  // Apply velocity modifier
+  const adjustedVelocity = applyVelocityModifier(
+    velocity_avg,
+    config.velocityModifier,
+  );
+
+  // Calculate how many beats one statement of the theme takes
+  const themeBeats = notes.reduce(
+    (sum, _, index) => sum + (rhythm[index] || 1),
+    0,
+  );
+
+  let currentTime = startTime;
+  let repetition = 0;
+
+  // Repeat the theme while a whole statement still fits
+  while (
+    repetition < config.maxRepetitions &&
+    timing.addBeats(currentTime, themeBeats) <= end_time
+  ) {
+    const shift = repetition * degrees;
+
+    notes.forEach((pitch, index) => {
+      const beatDuration = rhythm[index] || 1;
+      const duration = timing.beatsDuration(currentTime, beatDuration);
+      const noteDuration = getArticulatedDuration(
+        section,
+        duration,
+        duration * durationFactor,
+      );
+
+      // The first statement is played as written
+      let sequencedPitch = pitch;
+      if (shift !== 0) {
+        sequencedPitch =
+          scale.length > 0
+            ? getScaleStep(pitch, scale, shift)
+            : pitch + shift * 2;
+      }
+
+      // Only add if within valid MIDI range
+      if (sequencedPitch >= 0 && sequencedPitch <= 127) {
+        track.addNote({
+          midi: sequencedPitch,
+          time: currentTime,
+          duration: noteDuration,
+          velocity: adjustedVelocity / 127,
+        });
+      }
+
+      currentTime += duration;
+    });
+
+    repetition++;
+  }
+
+  return midi;
+}
+
+export default {
+  apply,
+  description:
+    "Whole theme repeated, each repetition a further `degrees` step along the scale (negative descends)",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    degrees: {
+      default: PATTERN_STRATEGIES.patterns.thematic_sequenced.degrees,
+      description: "Scale degrees each repetition moves (negative descends)",
+    },
+    scale: {},
+  },
+};
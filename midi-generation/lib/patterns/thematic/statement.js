@@ -3,11 +3,8 @@
  * Plays the theme exactly as defined - no transformation.
  */
 
-import {
-  PATTERN_STRATEGIES,
-  calculateLateEntryStart,
-  applyVelocityModifier,
-} from "../../../config/pattern-strategies.js";
+import { PATTERN_STRATEGIES } from "../../../config/pattern-strategies.js";
+import { playTheme } from "./play-theme.js";
 
 /**
  * Apply thematic statement to a track.
@@ -15,56 +12,27 @@ import {
  * @param {Object} options - Options object
  * @param {Object} options.track - The track to add notes to
  * @param {Object} options.section - Section specification
+ * @param {Object} options.strategy - Strategy config with the section's pattern_options merged in
  * @param {Object} options.theme - Theme definition with notes and rhythm
  * @param {number} options.tempo - Tempo in BPM
+ * @param {Object} options.timing - Tempo map for beat ↔ seconds conversion
+ * @param {number[]} options.scale - Scale pitches, for fit: "pad_with_extension"
+ * @param {Object} options.key - Key in force, for end_on_stable without a section scale
  * @returns {Midi} The modified MIDI object
  */
 function apply(midi, options) {
-  const { track, section, theme, tempo } = options;
-
-  if (!theme || !theme.notes || !theme.rhythm) {
-    throw new Error(
-      "Thematic statement requires theme with notes and rhythm arrays",
-    );
-  }
-
-  // Get configuration
-  const config = PATTERN_STRATEGIES.patterns.thematic_statement;
-  const durationFactor = config.durationFactor;
-
-  const { notes, rhythm } = theme;
-  const { end_time, velocity_avg = 80 } = section;
-
-  // Handle late entry
-  const startTime = calculateLateEntryStart(section);
-
-  // Apply velocity modifier
-  const adjustedVelocity = applyVelocityModifier(velocity_avg, config.velocityModifier);
-
-  // Calculate duration of a quarter note in seconds
-  const quarterNote = 60 / tempo;
-
-  let currentTime = startTime;
-
-  // Play each note of the theme exactly as defined
-  notes.forEach((pitch, index) => {
-    // Rhythm value: 1.0 = quarter note, 2.0 = half note, 0.5 = eighth note
-    const beatDuration = rhythm[index] || 1;
-    const duration = beatDuration * quarterNote;
-
-    // Ensure we don't exceed end_time
-    if (currentTime + duration * durationFactor > end_time) return;
-
-    track.addNote({
-      midi: pitch,
-      time: currentTime,
-      duration: duration * durationFactor,
-      velocity: adjustedVelocity / 127,
-    });
-
-    currentTime += duration;
-  });
-
+  playTheme(options, "thematic_statement", (theme) => theme);
   return midi;
 }
-export default { apply };
+
+export default {
+  apply,
+  description: "Plays theme exactly as defined",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * Thematic Transposed Diatonic Pattern
+ * Moves every theme note the same number of scale degrees (from the section,
+ * else config) within the section scale, so intervals change size to stay in
+ * the key: C-E-G up two degrees in C major is E-G-B. Notes outside the scale
+ * move from the nearest scale note. Without a section scale, each degree is a
+ * whole step.
+ */
+
+import { getScaleStep } from "../../note-utils.js";
+import { PATTERN_STRATEGIES } from "../../../config/pattern-strategies.js";
+import { playTheme } from "./play-theme.js";
+
+/**
+ * Apply thematic transposed diatonic pattern to a track.
+ * Takes the options of the thematic statement (see statement.js); the
+ * section may set `degrees`, and `options.scale` is the scale to move along.
+ * @param {Midi} midi - The MIDI object
+ * @param {Object} options - Options object
+ * @returns {Midi} The modified MIDI object
+ */
+function apply(midi, options) {
+  const { scale = [] } = options;
+  playTheme(
+    options,
+    "thematic_transposed_diatonic",
+    (theme, config, section) => {
+      const { degrees = config.degrees } = section;
+      return {
+        notes: theme.notes.map((pitch) =>
+          scale.length > 0
+            ? getScaleStep(pitch, scale, degrees)
+            : pitch + degrees * 2,
+        ),
+        rhythm: theme.rhythm,
+      };
+    },
+  );
+  return midi;
+}
+
+export default {
+  apply,
+  description:
+    "Theme moved `degrees` steps along the section `scale`, intervals adjusted to stay in the key",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    degrees: {
+      default: PATTERN_STRATEGIES.patterns.thematic_transposed_diatonic.degrees,
+    },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Thematic Transposed Pattern
+ * Plays the theme moved up or down by a fixed number of semitones (from the
+ * section, else config). Every interval stays exactly as written.
+ */
+
+import { PATTERN_STRATEGIES } from "../../../config/pattern-strategies.js";
+import { playTheme } from "./play-theme.js";
+
+/**
+ * Apply thematic transposed pattern to a track.
+ * Takes the options of the thematic statement (see statement.js); the
+ * section may set `semitones`.
+ * @param {Midi} midi - The MIDI object
+ * @param {Object} options - Options object
+ * @returns {Midi} The modified MIDI object
+ */
+function apply(midi, options) {
+  playTheme(options, "thematic_transposed", (theme, config, section) => {
+    const { semitones = config.semitones } = section;
+    return {
+      notes: theme.notes.map((pitch) => pitch + semitones),
+      rhythm: theme.rhythm,
+    };
+  });
+  return midi;
+}
+
+export default {
+  apply,
+  description: "Theme moved by `semitones`, intervals kept exactly",
+  params: {
+    velocity_avg: { default: 80 },
+    late_entry: { default: 0 },
+    semitones: {
+      default: PATTERN_STRATEGIES.patterns.thematic_transposed.semitones,
+    },
+    fit: { default: PATTERN_STRATEGIES.themeFit.mode },
+    end_on_stable: { default: PATTERN_STRATEGIES.themeFit.endOnStable },
+    scale: {},
+  },
+};
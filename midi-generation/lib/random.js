@@ -0,0 +1,49 @@
+/**
+ * Seeded Random
+ * Deterministic random streams so the same spec and seed always render
+ * byte-identical MIDI. generateMidi forks one substream per track and per
+ * section from the spec seed, so identical sections on different tracks still
+ * vary and editing one section doesn't reshuffle the others.
+ */
+
+// Used when the spec has no seed
+export const DEFAULT_SEED = 1;
+
+/**
+ * Hash seed parts to an unsigned 32-bit integer (FNV-1a).
+ * @param {...(string|number)} parts - Seed and substream keys
+ * @returns {number} Hash value
+ */
+export function hashSeed(...parts) {
+  const text = parts.join(":");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Create a seeded random function (mulberry32).
+ * The returned function has a fork(...keys) method that derives an independent
+ * substream from the same seed, regardless of how much of this stream was used.
+ * @param {string|number} seed - Seed value (default DEFAULT_SEED)
+ * @returns {function} Function returning 0.0-1.0, with seed and fork()
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+  let state = hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+
+  random.seed = seed;
+  random.fork = (...keys) => createRandom(hashSeed(seed, ...keys));
+
+  return random;
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import { createRandom, hashSeed } from "./random.js";
+import { createMidiFromSpec } from "../index.js";
+
+const { Midi } = midi;
+
+const section = (pattern_type) => ({
+  start_time: 0,
+  end_time: 8,
+  pattern_type,
+  pitch_range: { low: "C4", high: "C5" },
+});
+const spec = (seed) => ({
+  tempo: 120,
+  ...(seed !== undefined && { seed }),
+  tracks: [1, 2].map((track_number) => ({
+    track_number,
+    midi_program: 0,
+    sections: [section("gentle_breathing")],
+  })),
+});
+const notes = (bytes, index) =>
+  new Midi(bytes).tracks[index].notes.map(({ midi, ticks, velocity }) => [
+    midi,
+    ticks,
+    velocity,
+  ]);
+
+test("createRandom repeats a stream for a seed and forks independent ones", () => {
+  const draw = (random) => Array.from({ length: 5 }, () => random());
+
+  assert.deepEqual(draw(createRandom(42)), draw(createRandom(42)));
+  assert.notDeepEqual(draw(createRandom(42)), draw(createRandom(43)));
+  assert.deepEqual(
+    draw(createRandom(42).fork("track", 1)),
+    draw(createRandom(42).fork("track", 1)),
+  );
+  assert.notDeepEqual(
+    draw(createRandom(42).fork("track", 1)),
+    draw(createRandom(42).fork("track", 2)),
+  );
+  assert.equal(hashSeed("Chili"), hashSeed("Chili"));
+  for (const value of draw(createRandom("Chili"))) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test("the same spec and seed give byte-identical MIDI", () => {
+  assert.deepEqual(createMidiFromSpec(spec(7)), createMidiFromSpec(spec(7)));
+  assert.deepEqual(createMidiFromSpec(spec()), createMidiFromSpec(spec()));
+  assert.notDeepEqual(createMidiFromSpec(spec(7)), createMidiFromSpec(spec(8)));
+});
+
+test("identical sections on different tracks play different notes", () => {
+  const bytes = createMidiFromSpec(spec(7));
+  assert.notDeepEqual(notes(bytes, 0), notes(bytes, 1));
+});
+
+test("editing one section leaves the other tracks untouched", () => {
+  const edited = spec(7);
+  edited.tracks[1].sections[0].pattern_type = "minimal_accents";
+
+  assert.deepEqual(
+    notes(createMidiFromSpec(edited), 0),
+    notes(createMidiFromSpec(spec(7)), 0),
+  );
+});
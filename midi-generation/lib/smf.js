@@ -0,0 +1,136 @@
+/**
+ * Standard MIDI File Encoding
+ * Wraps Midi.toArray() to correct what @tonejs/midi (2.0.28) gets wrong when
+ * writing: it adds 7 to the key signature's sharps/flats byte twice, so every
+ * key signature it writes is out of range. The bytes are walked event by
+ * event, never pattern-matched, so note data can't be mistaken for a meta
+ * event. Also reads the structure markers and lyrics back out of a file.
+ */
+
+import midi from "@tonejs/midi";
+
+const Midi = midi.Midi;
+
+// Channel messages and how many data bytes follow the status byte
+const DATA_BYTES = {
+  0x80: 2,
+  0x90: 2,
+  0xa0: 2,
+  0xb0: 2,
+  0xc0: 1,
+  0xd0: 1,
+  0xe0: 2,
+};
+
+const KEY_SIGNATURE = 0x59;
+
+// What @tonejs/midi adds to the sharps/flats byte beyond the spec
+const KEY_SIGNATURE_OFFSET = 14;
+
+/**
+ * Read a variable-length quantity.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Position of the first byte
+ * @returns {Object} { value, next } with next the position after it
+ */
+function readVarInt(bytes, offset) {
+  let value = 0;
+  let next = offset;
+  let byte;
+  do {
+    byte = bytes[next++];
+    value = (value << 7) | (byte & 0x7f);
+  } while (byte & 0x80);
+  return { value, next };
+}
+
+/**
+ * Visit every meta event in a track chunk.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - First byte of the track data
+ * @param {number} end - Byte after the track data
+ * @param {function} visit - Called with (type, dataOffset, length)
+ */
+function forEachMetaEvent(bytes, start, end, visit) {
+  let offset = start;
+  let runningStatus = 0;
+
+  while (offset < end) {
+    offset = readVarInt(bytes, offset).next; // Delta time
+    let status = bytes[offset];
+
+    if (status === 0xff) {
+      const type = bytes[offset + 1];
+      const { value: length, next } = readVarInt(bytes, offset + 2);
+      visit(type, next, length);
+      offset = next + length;
+    } else if (status === 0xf0 || status === 0xf7) {
+      const { value: length, next } = readVarInt(bytes, offset + 1);
+      offset = next + length;
+    } else {
+      if (status & 0x80) {
+        runningStatus = status;
+        offset++;
+      } else {
+        status = runningStatus;
+      }
+      offset += DATA_BYTES[status & 0xf0] ?? 0;
+    }
+  }
+}
+
+/**
+ * Encode a MIDI object as Standard MIDI File bytes.
+ * @param {Midi} midi - Tone.js MIDI object
+ * @returns {Uint8Array} MIDI file bytes
+ */
+export function encodeMidi(midi) {
+  const bytes = midi.toArray();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    const chunkType = String.fromCharCode(
+      ...bytes.subarray(offset, offset + 4),
+    );
+    const length = view.getUint32(offset + 4);
+    const start = offset + 8;
+
+    if (chunkType === "MTrk") {
+      forEachMetaEvent(bytes, start, start + length, (type, data, size) => {
+        if (type === KEY_SIGNATURE && size === 2) {
+          view.setInt8(data, view.getInt8(data) - KEY_SIGNATURE_OFFSET);
+        }
+      });
+    }
+    offset = start + length;
+  }
+
+  return bytes;
+}
+
+/**
+ * Read the markers, cue points and lyrics of a MIDI file, with their times in
+ * seconds through the file's tempo map. The result has the shape of a
+ * midi_spec's metadata, so a spec's markers come back as they went in.
+ * @param {Uint8Array|ArrayBuffer} bytes - MIDI file bytes
+ * @returns {Object} { structure_markers: [{ time, label, type }], lyrics: [{ time, text }] }, type "marker" or "cue"
+ */
+export function readMidiMarkers(bytes) {
+  const { header } = new Midi(bytes);
+  const timeOf = (ticks) =>
+    Math.round(header.ticksToSeconds(ticks) * 1000) / 1000;
+
+  const structure_markers = header.meta
+    .filter((event) => event.type === "marker" || event.type === "cuePoint")
+    .map((event) => ({
+      time: timeOf(event.ticks),
+      label: event.text,
+      type: event.type === "cuePoint" ? "cue" : "marker",
+    }));
+  const lyrics = header.meta
+    .filter((event) => event.type === "lyrics")
+    .map((event) => ({ time: timeOf(event.ticks), text: event.text }));
+
+  return { structure_markers, lyrics };
+}
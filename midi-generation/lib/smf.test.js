@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import { encodeMidi, readMidiMarkers } from "./smf.js";
+
+const { Midi } = midi;
+
+// The sharps/flats and major/minor bytes of every key signature meta event
+// (FF 59 02 sf mi)
+function readKeySignatureBytes(bytes) {
+  const found = [];
+  for (let index = 0; index + 4 < bytes.length; index++) {
+    if (
+      bytes[index] === 0xff &&
+      bytes[index + 1] === 0x59 &&
+      bytes[index + 2] === 0x02
+    ) {
+      found.push([(bytes[index + 3] << 24) >> 24, bytes[index + 4]]);
+    }
+  }
+  return found;
+}
+
+function createMidi() {
+  const file = new Midi();
+  file.header.setTempo(120);
+  file.header.keySignatures = [
+    { key: "D", scale: "major", ticks: 0 },
+    { key: "Db", scale: "minor", ticks: 960 },
+  ];
+  const track = file.addTrack();
+  track.addNote({ midi: 60, time: 0, duration: 1, velocity: 0.8 });
+  track.addNote({ midi: 89, time: 0.5, duration: 1, velocity: 0.5 });
+  return file;
+}
+
+test("writes key signatures with in-range sharps/flats bytes", () => {
+  assert.deepEqual(readKeySignatureBytes(createMidi().toArray()), [
+    [16, 0],
+    [9, 1],
+  ]);
+  assert.deepEqual(readKeySignatureBytes(encodeMidi(createMidi())), [
+    [2, 0],
+    [-5, 1],
+  ]);
+});
+
+test("encoded key signatures read back as written", () => {
+  const { header } = new Midi(encodeMidi(createMidi()));
+  assert.deepEqual(header.keySignatures, [
+    { key: "D", scale: "major", ticks: 0 },
+    { key: "Db", scale: "minor", ticks: 960 },
+  ]);
+});
+
+test("leaves notes and files without key signatures alone", () => {
+  const file = createMidi();
+  file.header.keySignatures = [];
+  assert.deepEqual(encodeMidi(file), file.toArray());
+
+  const { tracks } = new Midi(encodeMidi(createMidi()));
+  assert.deepEqual(
+    tracks[0].notes.map((note) => note.midi),
+    [60, 89],
+  );
+});
+
+test("reads markers, cue points and lyrics back in seconds", () => {
+  const file = createMidi();
+  file.header.setTempo(60);
+  file.header.meta.push(
+    { type: "marker", text: "Act I", ticks: 0 },
+    { type: "cuePoint", text: "Plating", ticks: 960 },
+    { type: "lyrics", text: "Basil", ticks: 1440 },
+  );
+
+  assert.deepEqual(readMidiMarkers(encodeMidi(file)), {
+    structure_markers: [
+      { time: 0, label: "Act I", type: "marker" },
+      { time: 2, label: "Plating", type: "cue" },
+    ],
+    lyrics: [{ time: 3, text: "Basil" }],
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * MIDI Spec Schema
+ * JSON Schema for the midi_spec payload. Pattern and scale enums are read
+ * from the pattern registry and note utilities so the schema always matches
+ * what the generator can actually render.
+ */
+
+import { getAllPatternNames } from "./pattern-registry.js";
+import { SCALE_INTERVALS } from "./note-utils.js";
+import { TEMPO_CURVES } from "./tempo-map.js";
+import { FIT_MODES } from "./theme-fit.js";
+import { DYNAMICS_CURVES } from "./dynamics.js";
+import { MIX_CONTROLLERS, TRACK_ROLES } from "./mix.js";
+import { PATTERN_STRATEGIES } from "../config/pattern-strategies.js";
+
+/**
+ * Build the midi_spec JSON Schema.
+ * @returns {Object} JSON Schema (draft-07)
+ */
+export function getMidiSpecSchema() {
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    $id: "recipe-midi-generation/midi-spec.schema.json",
+    title: "midi_spec",
+    type: "object",
+    required: ["tempo", "tracks"],
+    properties: {
+      tempo: { type: "number", minimum: 20, maximum: 300 },
+      tempo_map: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["time", "tempo"],
+          properties: {
+            time: { type: "number", minimum: 0 },
+            tempo: { type: "number", minimum: 20, maximum: 300 },
+            curve: { type: "string", enum: TEMPO_CURVES },
+          },
+        },
+      },
+      time_signature: {
+        type: "array",
+        items: [
+          { type: "integer", minimum: 1 },
+          { type: "integer", enum: [1, 2, 4, 8, 16, 32] },
+        ],
+        minItems: 2,
+        maxItems: 2,
+      },
+      key_signature: { type: "string", minLength: 1 },
+      key_changes: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["time", "key"],
+          properties: {
+            time: { type: "number", minimum: 0 },
+            key: { type: "string", minLength: 1 },
+            transpose: { type: "boolean" },
+          },
+        },
+      },
+      seed: { type: ["integer", "string"] },
+      auto_pan: { type: "boolean" },
+      progression: { $ref: "#/definitions/progression" },
+      themeDefinition: { $ref: "#/definitions/theme" },
+      themes: {
+        type: "object",
+        minProperties: 1,
+        additionalProperties: { $ref: "#/definitions/theme" },
+      },
+      tracks: {
+        type: "array",
+        minItems: 1,
+        items: { $ref: "#/definitions/track" },
+      },
+      metadata: {
+        type: "object",
+        properties: {
+          recipe_name: { type: "string" },
+          structure_markers: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["time", "label"],
+              properties: {
+                time: { type: "number", minimum: 0 },
+                label: { type: "string" },
+                type: { type: "string", enum: ["marker", "cue"] },
+              },
+            },
+          },
+          lyrics: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["time", "text"],
+              properties: {
+                time: { type: "number", minimum: 0 },
+                text: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+    definitions: {
+      progression: {
+        type: "array",
+        description: "Chords, one bar each unless given `bars`",
+        minItems: 1,
+        items: {
+          anyOf: [
+            { type: "string", minLength: 1 },
+            {
+              type: "object",
+              required: ["chord"],
+              properties: {
+                chord: { type: "string", minLength: 1 },
+                bars: { type: "number", exclusiveMinimum: 0 },
+              },
+            },
+          ],
+          errorMessage:
+            'must be a chord like "vi", "V7" or "Am7", or { "chord": "IV", "bars": 2 }',
+        },
+      },
+      mix: {
+        type: "object",
+        description: "Pan, volume and effect sends (0-127)",
+        minProperties: 1,
+        properties: Object.fromEntries(
+          Object.keys(MIX_CONTROLLERS).map((field) => [
+            field,
+            { type: "integer", minimum: 0, maximum: 127 },
+          ]),
+        ),
+      },
+      note: {
+        anyOf: [
+          { type: "integer", minimum: 0, maximum: 127 },
+          { type: "string", pattern: "^[A-Ga-g][#b]?-?\\d+$" },
+        ],
+        errorMessage:
+          'must be a note name like "C4", "F#3", "Bb5" or a MIDI number 0-127',
+      },
+      theme: {
+        type: "object",
+        required: ["notes", "rhythm"],
+        properties: {
+          notes: {
+            type: "array",
+            minItems: 1,
+            items: { type: "integer", minimum: 0, maximum: 127 },
+          },
+          rhythm: {
+            type: "array",
+            minItems: 1,
+            items: { type: "number", exclusiveMinimum: 0 },
+          },
+          character: { type: "string" },
+        },
+      },
+      track: {
+        type: "object",
+        properties: {
+          track_number: { type: "integer", minimum: 1 },
+          instrument_name: { type: "string" },
+          component_source: { type: "string" },
+          midi_program: { type: "integer", minimum: 0, maximum: 127 },
+          role: { type: "string", enum: TRACK_ROLES },
+          mix: { $ref: "#/definitions/mix" },
+          sections: {
+            type: "array",
+            items: { $ref: "#/definitions/section" },
+          },
+        },
+      },
+      section: {
+        type: "object",
+        required: ["start_time", "end_time", "pattern_type"],
+        properties: {
+          start_time: {
+            type: "number",
+            minimum: 0,
+            description: "Start in seconds",
+          },
+          end_time: {
+            type: "number",
+            minimum: 0,
+            description: "End in seconds",
+          },
+          pattern_type: {
+            type: "string",
+            enum: getAllPatternNames(),
+            description: "Pattern that plays the section",
+          },
+          velocity_avg: {
+            type: "number",
+            minimum: 0,
+            maximum: 127,
+            description: "Average note velocity",
+          },
+          late_entry: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description:
+              "Fraction of the section to wait before the first note",
+          },
+          sequence: {
+            type: "boolean",
+            description: "Transpose each repetition up 2 semitones",
+          },
+          factor: {
+            type: "number",
+            exclusiveMinimum: 0,
+            description: "Multiplies the theme's rhythm (2 = twice as slow)",
+          },
+          semitones: {
+            type: "integer",
+            minimum: -48,
+            maximum: 48,
+            description: "Semitones to transpose the theme by",
+          },
+          degrees: {
+            type: "integer",
+            minimum: -14,
+            maximum: 14,
+            description: "Scale degrees to transpose the theme by",
+          },
+          fit: {
+            type: "string",
+            enum: FIT_MODES,
+            description:
+              "How a theme statement fills the section (pad-with-extension is an alias of pad_with_extension)",
+          },
+          end_on_stable: {
+            type: "boolean",
+            description: "End each statement on a tonic, third or fifth",
+          },
+          conform_to_scale: {
+            type: "boolean",
+            description: "Fit the theme to the section scale and chords",
+          },
+          articulation: {
+            type: "string",
+            enum: Object.keys(PATTERN_STRATEGIES.durations),
+            description:
+              "Note lengths relative to the time until the next note, for every pattern",
+          },
+          pattern_options: {
+            type: "object",
+            description:
+              "Overrides of the pattern's strategy config for this section",
+          },
+          mix: { $ref: "#/definitions/mix" },
+          dynamics: {
+            type: "object",
+            description: "Loudness envelope from `from` to `to`",
+            required: ["from", "to"],
+            properties: {
+              from: { type: "number", minimum: 0, maximum: 127 },
+              to: { type: "number", minimum: 0, maximum: 127 },
+              curve: { type: "string", enum: DYNAMICS_CURVES },
+              controller: {
+                type: "string",
+                enum: Object.keys(PATTERN_STRATEGIES.dynamics.controllers),
+              },
+            },
+          },
+          theme_id: {
+            type: "string",
+            minLength: 1,
+            description: "Theme in `themes` to play",
+          },
+          progression: { $ref: "#/definitions/progression" },
+          scale: {
+            type: "object",
+            description: "Scale root and type the pitches are drawn from",
+            required: ["root"],
+            properties: {
+              root: { $ref: "#/definitions/note" },
+              type: { type: "string", enum: Object.keys(SCALE_INTERVALS) },
+            },
+          },
+          pitch_range: {
+            type: "object",
+            description: "Lowest and highest note to play",
+            required: ["low", "high"],
+            properties: {
+              low: { $ref: "#/definitions/note" },
+              high: { $ref: "#/definitions/note" },
+            },
+          },
+        },
+      },
+    },
+  };
+}
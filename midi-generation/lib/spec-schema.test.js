@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSpec } from "./midi-factory.js";
+import { validateAgainstSchema } from "./json-schema.js";
+import { getMidiSpecSchema } from "./spec-schema.js";
+
+const section = (fields = {}) => ({
+  start_time: 0,
+  end_time: 4,
+  pattern_type: "sustained_pad",
+  ...fields,
+});
+const spec = (...sections) => ({
+  tempo: 120,
+  tracks: [
+    { track_number: 1, sections: sections.length ? sections : [section()] },
+  ],
+});
+
+test("accepts a minimal spec against the published schema", () => {
+  assert.deepEqual(validateSpec(spec()), {
+    isValid: true,
+    errors: [],
+    warnings: [],
+  });
+  assert.deepEqual(validateAgainstSchema(spec(), getMidiSpecSchema()), []);
+});
+
+test("reports missing and mistyped top-level fields", () => {
+  assert.deepEqual(validateSpec(null).errors, [
+    "Specification is null or undefined",
+  ]);
+  assert.deepEqual(validateSpec({}).errors, [
+    "tempo: is required",
+    "tracks: is required",
+  ]);
+  assert.deepEqual(validateSpec({ ...spec(), tempo: "fast" }).errors, [
+    "tempo: must be number, got string",
+  ]);
+});
+
+test("reports every section problem with its JSON path", () => {
+  const { isValid, errors } = validateSpec({
+    tempo: 120,
+    tracks: [
+      { track_number: 1, sections: [section()] },
+      {
+        track_number: 2,
+        sections: [
+          section({ pattern_type: "nope" }),
+          section({
+            start_time: 4,
+            end_time: 2,
+            pitch_range: { low: "C", high: 200 },
+            scale: { root: "C4", type: "weird" },
+          }),
+        ],
+      },
+    ],
+  });
+
+  assert.equal(isValid, false);
+  assert.match(
+    errors[0],
+    /^tracks\[1\]\.sections\[0\]\.pattern_type: unknown value "nope", expected one of: thematic_statement, /,
+  );
+  assert.deepEqual(errors.slice(1), [
+    'tracks[1].sections[1].pitch_range.low: must be a note name like "C4", "F#3", "Bb5" or a MIDI number 0-127',
+    'tracks[1].sections[1].pitch_range.high: must be a note name like "C4", "F#3", "Bb5" or a MIDI number 0-127',
+    'tracks[1].sections[1].scale.type: unknown value "weird", expected one of: major, minor, natural_minor, harmonic_minor, melodic_minor, pentatonic, pentatonic_minor, chromatic, dorian, phrygian, lydian, mixolydian, locrian',
+    "tracks[1].sections[1].end_time: must be greater than start_time (4)",
+  ]);
+});
+
+test("requires a theme for thematic patterns", () => {
+  assert.deepEqual(
+    validateSpec(spec(section({ pattern_type: "thematic_statement" }))).errors,
+    [
+      "themeDefinition: is required because the spec contains thematic patterns without a theme_id",
+    ],
+  );
+});
@@ -0,0 +1,168 @@
+/**
+ * Tempo Map
+ * Beat ↔ seconds conversion shared by every pattern. Built from the spec's
+ * `tempo` and optional `tempo_map` points; ramps (accelerando, ritardando)
+ * are written as small constant-tempo steps, so the tempo events in the MIDI
+ * file and the times the patterns compute always agree and notes stay on the
+ * beat grid.
+ */
+
+// How a tempo point is reached from the previous one
+export const TEMPO_CURVES = ["step", "linear", "ease_in", "ease_out"];
+
+const DEFAULT_PPQ = 480;
+const RAMP_STEP = 0.25; // Beats between tempo events during a ramp
+
+/**
+ * Interpolate a tempo along a curve.
+ * @param {number} from - Starting BPM
+ * @param {number} to - Target BPM
+ * @param {number} fraction - Progress through the ramp (0.0-1.0)
+ * @param {string} curve - Curve name
+ * @returns {number} BPM
+ */
+function interpolate(from, to, fraction, curve) {
+  switch (curve) {
+    case "linear":
+      return from + (to - from) * fraction;
+    case "ease_in":
+      return from + (to - from) * fraction * fraction;
+    case "ease_out":
+      return from + (to - from) * (1 - (1 - fraction) * (1 - fraction));
+    default:
+      return from;
+  }
+}
+
+/**
+ * Create the tempo map for a spec.
+ * Each tempo_map point is { time, tempo, curve }: `curve` says how the tempo
+ * travels from the previous point to this one ("step" jumps at `time`, the
+ * default; "linear", "ease_in" and "ease_out" ramp). Without a point at 0 the
+ * piece starts at `spec.tempo`.
+ * @param {Object} spec - midi_spec (tempo, tempo_map)
+ * @param {Object} options - Options
+ * @param {number} options.ppq - Ticks per quarter note (default 480)
+ * @returns {Object} Tempo map with segments and conversion helpers
+ */
+export function createTempoMap(spec, options = {}) {
+  const { ppq = DEFAULT_PPQ } = options;
+  const baseTempo = spec.tempo || 120;
+
+  const points = [...(spec.tempo_map || [])].sort((a, b) => a.time - b.time);
+  if (points.length === 0 || points[0].time > 0) {
+    points.unshift({ time: 0, tempo: baseTempo });
+  }
+
+  // Constant-tempo segments, each starting on a whole tick
+  const segments = [];
+
+  const segmentAtTicks = (ticks) => {
+    let index = segments.length - 1;
+    while (index > 0 && segments[index].ticks > ticks) index--;
+    return segments[index];
+  };
+
+  const segmentAtTime = (seconds) => {
+    let index = segments.length - 1;
+    while (index > 0 && segments[index].time > seconds) index--;
+    return segments[index];
+  };
+
+  const ticksToSeconds = (ticks) => {
+    const segment = segmentAtTicks(ticks);
+    return segment.time + ((ticks - segment.ticks) / ppq) * (60 / segment.bpm);
+  };
+
+  const secondsToTicks = (seconds) => {
+    const segment = segmentAtTime(seconds);
+    return segment.ticks + ((seconds - segment.time) * segment.bpm * ppq) / 60;
+  };
+
+  const addSegment = (ticks, bpm) => {
+    const last = segments[segments.length - 1];
+    if (last && ticks <= last.ticks) {
+      last.bpm = bpm;
+      return;
+    }
+    if (last && last.bpm === bpm) return;
+    segments.push({ ticks, time: last ? ticksToSeconds(ticks) : 0, bpm });
+  };
+
+  addSegment(0, points[0].tempo);
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const curve = to.curve || "step";
+
+    if (curve !== "step" && to.time > from.time) {
+      const span = to.time - from.time;
+      let ticks = Math.round(secondsToTicks(from.time));
+
+      while (true) {
+        const time = ticksToSeconds(ticks);
+        const fraction = (time - from.time) / span;
+        if (fraction >= 1 - 1e-9) break;
+
+        // Sample the curve halfway through the step
+        const startBpm = interpolate(from.tempo, to.tempo, fraction, curve);
+        const stepSeconds = (RAMP_STEP * 60) / startBpm;
+        const bpm = interpolate(
+          from.tempo,
+          to.tempo,
+          Math.min(1, fraction + stepSeconds / 2 / span),
+          curve,
+        );
+        addSegment(ticks, bpm);
+
+        // Step on, but never past the end of the ramp
+        const endTicks =
+          ticks + Math.round(((to.time - time) * bpm * ppq) / 60);
+        const nextTicks = Math.min(ticks + RAMP_STEP * ppq, endTicks);
+        if (nextTicks <= ticks) break;
+        ticks = nextTicks;
+      }
+
+      addSegment(ticks, to.tempo);
+    } else {
+      addSegment(Math.round(secondsToTicks(to.time)), to.tempo);
+    }
+  }
+
+  const secondsToBeats = (seconds) => secondsToTicks(seconds) / ppq;
+  const beatsToSeconds = (beats) => ticksToSeconds(beats * ppq);
+
+  return {
+    ppq,
+    segments,
+
+    /**
+     * Get the tempo at a time.
+     * @param {number} seconds - Time in seconds
+     * @returns {number} BPM
+     */
+    tempoAt: (seconds) => segmentAtTime(seconds).bpm,
+
+    secondsToBeats,
+    beatsToSeconds,
+
+    /**
+     * Move a number of beats on from a time.
+     * @param {number} seconds - Start time in seconds
+     * @param {number} beats - Beats to move (1 = quarter note)
+     * @returns {number} Time in seconds
+     */
+    addBeats: (seconds, beats) =>
+      beatsToSeconds(secondsToBeats(seconds) + beats),
+
+    /**
+     * Get the length in seconds of a number of beats starting at a time.
+     * @param {number} seconds - Start time in seconds
+     * @param {number} beats - Length in beats (1 = quarter note)
+     * @returns {number} Duration in seconds
+     */
+    beatsDuration: (seconds, beats) =>
+      beatsToSeconds(secondsToBeats(seconds) + beats) - seconds,
+  };
+}
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTempoMap } from "./tempo-map.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`,
+  );
+
+test("converts at a constant tempo", () => {
+  const timing = createTempoMap({ tempo: 90 });
+  assert.equal(timing.segments.length, 1);
+  close(timing.secondsToBeats(2), 3);
+  close(timing.beatsToSeconds(6), 4);
+  close(timing.addBeats(1, 1.5), 2);
+  close(timing.beatsDuration(10, 3), 2);
+  assert.equal(timing.tempoAt(100), 90);
+});
+
+test("defaults to 120 BPM and starts at spec.tempo without a point at 0", () => {
+  assert.equal(createTempoMap({}).tempoAt(0), 120);
+
+  const timing = createTempoMap({
+    tempo: 100,
+    tempo_map: [{ time: 6, tempo: 60 }],
+  });
+  assert.equal(timing.tempoAt(0), 100);
+  assert.equal(timing.tempoAt(6), 60);
+});
+
+test("jumps at a step point", () => {
+  const timing = createTempoMap({
+    tempo: 120,
+    tempo_map: [{ time: 4, tempo: 60 }],
+  });
+  assert.equal(timing.tempoAt(3.99), 120);
+  assert.equal(timing.tempoAt(4), 60);
+  close(timing.secondsToBeats(4), 8);
+  close(timing.secondsToBeats(6), 10);
+  // A beat across the change is half at each tempo
+  close(timing.beatsDuration(3.75, 1), 0.25 + 0.5);
+});
+
+test("ramps through small steps on whole ticks", () => {
+  const timing = createTempoMap({
+    tempo: 120,
+    tempo_map: [
+      { time: 4, tempo: 120 },
+      { time: 8, tempo: 60, curve: "linear" },
+    ],
+  });
+  const ramp = timing.segments.slice(1);
+  assert.ok(ramp.length > 8);
+  ramp.forEach((segment, index) => {
+    assert.ok(Number.isInteger(segment.ticks));
+    if (index > 0) assert.ok(segment.bpm < ramp[index - 1].bpm);
+  });
+  assert.equal(ramp[ramp.length - 1].bpm, 60);
+
+  // The ramp reaches its tempo at its time, to within a tick at 60 BPM
+  close(ramp[ramp.length - 1].time, 8, 1 / timing.ppq);
+  assert.equal(timing.tempoAt(9), 60);
+});
+
+test("eases in slowly and out quickly", () => {
+  const tempoHalfway = (curve) =>
+    createTempoMap({
+      tempo: 60,
+      tempo_map: [{ time: 8, tempo: 180, curve }],
+    }).tempoAt(4);
+
+  const linear = tempoHalfway("linear");
+  assert.ok(tempoHalfway("ease_in") < linear);
+  assert.ok(tempoHalfway("ease_out") > linear);
+});
+
+test("round-trips between beats and seconds through ramps and steps", () => {
+  const timing = createTempoMap({
+    tempo: 120,
+    tempo_map: [
+      { time: 4, tempo: 120 },
+      { time: 8, tempo: 60, curve: "ease_out" },
+      { time: 10, tempo: 150 },
+      { time: 14, tempo: 90, curve: "ease_in" },
+    ],
+  });
+  for (const seconds of [0, 1.3, 4, 5.7, 8, 9.1, 10, 12.25, 20]) {
+    close(timing.beatsToSeconds(timing.secondsToBeats(seconds)), seconds);
+  }
+  for (const beats of [0, 2.5, 8, 13, 21.75, 40]) {
+    close(timing.secondsToBeats(timing.beatsToSeconds(beats)), beats);
+  }
+});
+
+test("counts ticks at the given resolution", () => {
+  const timing = createTempoMap(
+    { tempo: 120, tempo_map: [{ time: 1, tempo: 60 }] },
+    { ppq: 96 },
+  );
+  assert.equal(timing.ppq, 96);
+  assert.deepEqual(
+    timing.segments.map((segment) => segment.ticks),
+    [0, 192],
+  );
+});
@@ -0,0 +1,99 @@
+/**
+ * Theme Conforming
+ * Fits a theme's pitches to a section that uses a different scale than the
+ * key the theme is written in, for sections with `conform_to_scale`. Notes
+ * move by scale degree into the section scale (as with a key change), notes
+ * still outside it move to the nearest scale note, and with a progression,
+ * notes on strong beats move to the nearest chord tone. Every moved note is
+ * reported.
+ */
+
+import { SCALE_INTERVALS, noteToMidi } from "./note-utils.js";
+import { isChordTone } from "./harmony.js";
+import { transposePitch } from "./keys.js";
+
+/**
+ * Move a pitch to the nearest pitch whose pitch class is allowed, preferring
+ * the lower on a tie.
+ * @param {number} pitch - MIDI note
+ * @param {function} allowed - Returns true for pitches that may be used
+ * @returns {number} MIDI note
+ */
+function nearest(pitch, allowed) {
+  for (let distance = 0; distance <= 6; distance++) {
+    for (const candidate of [pitch - distance, pitch + distance]) {
+      if (candidate >= 0 && candidate <= 127 && allowed(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return pitch;
+}
+
+/**
+ * Get the key a section scale describes.
+ * @param {Object} sectionScale - Section scale ({ root, type })
+ * @returns {Object|null} Key with pitch class and mode, or null without a usable scale
+ */
+function getScaleKey(sectionScale) {
+  if (sectionScale?.root === undefined) return null;
+  try {
+    return {
+      pitchClass: noteToMidi(sectionScale.root) % 12,
+      mode: sectionScale.type || "major",
+    };
+  } catch (err) {
+    // Malformed roots are reported by validateSpec
+    return null;
+  }
+}
+
+/**
+ * Conform a theme to a section's scale and chords.
+ * Chords are read where each note falls in a plain statement of the theme
+ * from `startTime`; patterns that reorder the theme keep the conformed
+ * pitches but may put them under other chords.
+ * @param {Object} theme - Theme definition, in the key in force
+ * @param {Object} context - Section context
+ * @param {Object} context.key - Parsed key the theme is written in (see keys.js)
+ * @param {Object} context.sectionScale - Section scale ({ root, type }), or undefined to stay in the key
+ * @param {Object} context.harmony - Harmony timeline (see harmony.js), or null
+ * @param {number} context.startTime - Where the theme starts (seconds)
+ * @param {Object} context.timing - Tempo map (see tempo-map.js)
+ * @returns {Object} { theme, changes } with the conformed theme and one { index, from, to, reason } per moved note, reason "scale" or "chord"
+ */
+export function conformTheme(theme, context) {
+  const { key, sectionScale, harmony = null, startTime, timing } = context;
+  const target = getScaleKey(sectionScale) || key;
+  const intervals = SCALE_INTERVALS[target.mode] || SCALE_INTERVALS.major;
+  const inScale = (pitch) =>
+    intervals.includes((((pitch - target.pitchClass) % 12) + 12) % 12);
+
+  const changes = [];
+  let beats = 0;
+
+  const notes = theme.notes.map((pitch, index) => {
+    let conformed = nearest(transposePitch(pitch, key, target), inScale);
+    let reason = "scale";
+
+    const time = timing.addBeats(startTime, beats);
+    beats += theme.rhythm[index] || 1;
+
+    if (harmony && harmony.isStrongBeat(time)) {
+      const chord = harmony.chordAt(time);
+      if (!isChordTone(chord, conformed)) {
+        conformed = nearest(conformed, (candidate) =>
+          isChordTone(chord, candidate),
+        );
+        reason = "chord";
+      }
+    }
+
+    if (conformed !== pitch) {
+      changes.push({ index, from: pitch, to: conformed, reason });
+    }
+    return conformed;
+  });
+
+  return { theme: { ...theme, notes }, changes };
+}
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import midi from "@tonejs/midi";
+import { conformTheme } from "./theme-conform.js";
+import { parseKey } from "./keys.js";
+import { createTempoMap } from "./tempo-map.js";
+import { createMidiFromSpec, getThemeConformance } from "../index.js";
+
+const { Midi } = midi;
+
+const theme = {
+  notes: [60, 64, 67, 66, 64, 62, 60],
+  rhythm: [1, 1, 1, 1, 1, 1, 2],
+};
+const conform = (sectionScale) =>
+  conformTheme(theme, {
+    key: parseKey("C"),
+    sectionScale,
+    startTime: 0,
+    timing: createTempoMap({ tempo: 120 }),
+  });
+
+test("moves the theme into the section scale by degree", () => {
+  assert.deepEqual(conform({ root: "C4", type: "minor" }), {
+    theme: { ...theme, notes: [60, 63, 67, 65, 63, 62, 60] },
+    changes: [
+      { index: 1, from: 64, to: 63, reason: "scale" },
+      { index: 3, from: 66, to: 65, reason: "scale" },
+      { index: 4, from: 64, to: 63, reason: "scale" },
+    ],
+  });
+});
+
+test("without a section scale, only notes outside the key move", () => {
+  assert.deepEqual(conform(undefined).changes, [
+    { index: 3, from: 66, to: 65, reason: "scale" },
+  ]);
+});
+
+test("conforms only the sections that ask, and reports chord moves", () => {
+  const spec = {
+    tempo: 120,
+    key_signature: "C",
+    themeDefinition: theme,
+    progression: ["I", "IV", "V", "I"],
+    tracks: [
+      {
+        track_number: 1,
+        sections: [
+          { start_time: 0, end_time: 4, pattern_type: "thematic_statement" },
+          {
+            start_time: 4,
+            end_time: 8,
+            pattern_type: "thematic_statement",
+            conform_to_scale: true,
+            scale: { root: "C4", type: "minor" },
+          },
+        ],
+      },
+    ],
+  };
+
+  assert.deepEqual(getThemeConformance(spec), [
+    {
+      track: 0,
+      section: 1,
+      pattern_type: "thematic_statement",
+      theme_id: null,
+      changes: [
+        { index: 0, from: 60, to: 59, reason: "chord" },
+        { index: 1, from: 64, to: 63, reason: "scale" },
+        { index: 3, from: 66, to: 65, reason: "scale" },
+      ],
+    },
+  ]);
+
+  const notes = new Midi(createMidiFromSpec(spec)).tracks[0].notes.map(
+    (note) => note.midi,
+  );
+  assert.deepEqual(
+    notes,
+    [60, 64, 67, 66, 64, 62, 60, 59, 63, 67, 65, 64, 62, 60],
+  );
+});
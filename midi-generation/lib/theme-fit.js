@@ -0,0 +1,220 @@
+/**
+ * Theme Fitting
+ * Fits a theme statement to its section instead of cutting it wherever
+ * end_time happens to fall. A section's `fit` picks the mode:
+ * - truncate: play what fits and stop (the default)
+ * - repeat: play the theme again while whole statements fit
+ * - stretch: scale the rhythm so one statement fills the section exactly
+ * - pad_with_extension (or pad-with-extension): after the theme, keep
+ *   stepping along the scale in the theme's direction until the section ends
+ * With `end_on_stable`, the last note of every statement moves to the nearest
+ * stable degree (tonic, third or fifth), so phrases finish instead of stopping.
+ */
+
+import {
+  SCALE_INTERVALS,
+  getContourDirection,
+  getScaleStep,
+  noteToMidi,
+} from "./note-utils.js";
+import {
+  PATTERN_STRATEGIES,
+  getArticulatedDuration,
+  getFitDuration,
+} from "../config/pattern-strategies.js";
+
+// Other spellings accepted for a mode
+const FIT_MODE_ALIASES = {
+  "pad-with-extension": "pad_with_extension",
+};
+
+export const FIT_MODES = [
+  "truncate",
+  "repeat",
+  "stretch",
+  "pad_with_extension",
+  ...Object.keys(FIT_MODE_ALIASES),
+];
+
+/**
+ * Get the pitch classes of the stable degrees of the section's scale, or of
+ * the key when the section has none.
+ * @param {Object} section - Section specification
+ * @param {Object} key - Parsed key in force (see keys.js)
+ * @returns {number[]} Pitch classes
+ */
+function getStablePitchClasses(section, key) {
+  let tonic = key ? key.pitchClass : 0;
+  let type = key ? key.mode : "major";
+  if (section.scale?.root !== undefined) {
+    try {
+      tonic = noteToMidi(section.scale.root) % 12;
+      type = section.scale.type || "major";
+    } catch (err) {
+      // Malformed roots are reported by validateSpec; use the key
+    }
+  }
+
+  const intervals = SCALE_INTERVALS[type] || SCALE_INTERVALS.major;
+  return PATTERN_STRATEGIES.themeFit.stableIntervals
+    .filter((interval) => intervals.includes(interval))
+    .map((interval) => (tonic + interval) % 12);
+}
+
+/**
+ * Move a pitch to the nearest stable pitch, preferring the lower on a tie.
+ * @param {number} pitch - MIDI note
+ * @param {number[]} stable - Stable pitch classes
+ * @returns {number} MIDI note
+ */
+function resolveToStable(pitch, stable) {
+  for (let distance = 0; distance <= 6; distance++) {
+    for (const candidate of [pitch - distance, pitch + distance]) {
+      if (
+        candidate >= 0 &&
+        candidate <= 127 &&
+        stable.includes(((candidate % 12) + 12) % 12)
+      ) {
+        return candidate;
+      }
+    }
+  }
+  return pitch;
+}
+
+/**
+ * Continue a theme stepwise in the direction of its contour.
+ * @param {number[]} notes - Theme pitches
+ * @param {number[]} rhythm - Theme rhythm in beats
+ * @param {number[]} scale - Scale pitches (whole steps without one)
+ * @returns {function} Returns the next { pitch, beats } on each call
+ */
+function createExtension(notes, rhythm, scale) {
+  const direction = getContourDirection(notes) || 1;
+  const step = direction * PATTERN_STRATEGIES.themeFit.extensionStepSize;
+  const beats = rhythm.reduce((sum, r) => sum + r, 0) / rhythm.length;
+
+  let pitch = notes[notes.length - 1];
+  return () => {
+    pitch =
+      scale.length > 0 ? getScaleStep(pitch, scale, step) : pitch + step * 2;
+    return { pitch, beats };
+  };
+}
+
+/**
+ * Fit a theme (already transformed by the pattern) to a section.
+ * @param {Object} theme - Notes and rhythm (beats) to play
+ * @param {Object} context - Section and timing
+ * @param {Object} context.section - Section specification (`fit`, `end_on_stable`, `articulation`, end_time)
+ * @param {number} context.startTime - When the first note starts (seconds)
+ * @param {Object} context.timing - Tempo map (see tempo-map.js)
+ * @param {number} context.durationFactor - Articulation of the pattern, without a section `articulation`
+ * @param {number[]} context.scale - Scale pitches, for the extension
+ * @param {Object} context.key - Parsed key in force, for stable degrees without a section scale
+ * @returns {Object} { notes, rhythm } holding only the notes that fit, in order
+ */
+export function fitTheme(theme, context) {
+  const {
+    section,
+    startTime,
+    timing,
+    durationFactor = 1,
+    scale = [],
+    key = null,
+  } = context;
+  const config = PATTERN_STRATEGIES.themeFit;
+  const {
+    end_time,
+    fit = config.mode,
+    end_on_stable: endOnStable = config.endOnStable,
+  } = section;
+
+  const rhythm = theme.notes.map((_, index) => theme.rhythm[index] || 1);
+  const themeBeats = rhythm.reduce((sum, r) => sum + r, 0);
+  const startBeat = timing.secondsToBeats(startTime);
+  const availableBeats = timing.secondsToBeats(end_time) - startBeat;
+
+  // A note fits if it stops sounding by end_time. A legato note's overlap is
+  // cut at end_time, so a stretched statement keeps its last note
+  const fits = (offset, beats) => {
+    const time = timing.beatsToSeconds(startBeat + offset);
+    const slot = timing.beatsDuration(time, beats);
+    const duration = getArticulatedDuration(
+      section,
+      slot,
+      slot * durationFactor,
+    );
+    return time + getFitDuration(section, slot, duration) <= end_time + 1e-9;
+  };
+
+  const statement = (scaleBy = 1) =>
+    theme.notes.map((pitch, index) => ({
+      pitch,
+      beats: rhythm[index] * scaleBy,
+    }));
+
+  // Each statement is a list of { pitch, beats }
+  let statements;
+  switch (FIT_MODE_ALIASES[fit] ?? fit) {
+    case "repeat": {
+      const count = Math.max(
+        1,
+        Math.floor((availableBeats + 1e-9) / themeBeats),
+      );
+      statements = Array.from({ length: count }, () => statement());
+      break;
+    }
+    case "stretch":
+      statements = [statement(availableBeats / themeBeats)];
+      break;
+    case "pad_with_extension": {
+      const padded = statement();
+      const next = createExtension(theme.notes, rhythm, scale);
+      let offset = themeBeats;
+      while (offset < availableBeats) {
+        const note = next();
+        if (note.pitch < 0 || note.pitch > 127 || !fits(offset, note.beats)) {
+          break;
+        }
+        padded.push(note);
+        offset += note.beats;
+      }
+      statements = [padded];
+      break;
+    }
+    default:
+      statements = [statement()];
+  }
+
+  // Keep what fits, ending each statement on a stable degree if asked
+  const stable = endOnStable ? getStablePitchClasses(section, key) : [];
+  const notes = [];
+  const beats = [];
+  let offset = 0;
+
+  for (const current of statements) {
+    const kept = [];
+    for (const note of current) {
+      if (!fits(offset, note.beats)) break;
+      kept.push(note);
+      offset += note.beats;
+    }
+    if (kept.length === 0) break;
+
+    if (stable.length > 0) {
+      const last = kept[kept.length - 1];
+      kept[kept.length - 1] = {
+        ...last,
+        pitch: resolveToStable(last.pitch, stable),
+      };
+    }
+    kept.forEach((note) => {
+      notes.push(note.pitch);
+      beats.push(note.beats);
+    });
+    if (kept.length < current.length) break;
+  }
+
+  return { notes, rhythm: beats };
+}
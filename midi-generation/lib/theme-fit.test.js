@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitTheme } from "./theme-fit.js";
+import { validateSpec } from "./midi-factory.js";
+import { createTempoMap } from "./tempo-map.js";
+import { parseKey } from "./keys.js";
+
+// One beat per second
+const timing = createTempoMap({ tempo: 60 });
+const theme = { notes: [60, 62, 64, 65], rhythm: [1, 1, 1, 1] };
+const C_MAJOR = [60, 62, 64, 65, 67, 69, 71, 72];
+
+const fit = (section, context = {}) =>
+  fitTheme(theme, {
+    section: { start_time: 0, ...section },
+    startTime: 0,
+    timing,
+    ...context,
+  });
+
+test("truncates by default", () => {
+  assert.deepEqual(fit({ end_time: 3 }), {
+    notes: [60, 62, 64],
+    rhythm: [1, 1, 1],
+  });
+});
+
+test("repeats whole statements", () => {
+  assert.deepEqual(
+    fit({ end_time: 10, fit: "repeat" }).notes,
+    [60, 62, 64, 65, 60, 62, 64, 65],
+  );
+});
+
+test("stretches one statement over the section", () => {
+  assert.deepEqual(fit({ end_time: 6, fit: "stretch" }), {
+    notes: [60, 62, 64, 65],
+    rhythm: [1.5, 1.5, 1.5, 1.5],
+  });
+});
+
+test("pads with scale steps in the theme's direction", () => {
+  assert.deepEqual(
+    fit({ end_time: 7, fit: "pad_with_extension" }, { scale: C_MAJOR }).notes,
+    [60, 62, 64, 65, 67, 69, 71],
+  );
+  assert.deepEqual(
+    fitTheme(
+      { notes: [72, 71, 69], rhythm: [1, 1, 1] },
+      {
+        section: { start_time: 0, end_time: 5, fit: "pad_with_extension" },
+        startTime: 0,
+        timing,
+        scale: C_MAJOR,
+      },
+    ).notes,
+    [72, 71, 69, 67, 65],
+  );
+});
+
+test("accepts pad-with-extension as pad_with_extension", () => {
+  assert.deepEqual(
+    fit({ end_time: 7, fit: "pad-with-extension" }, { scale: C_MAJOR }),
+    fit({ end_time: 7, fit: "pad_with_extension" }, { scale: C_MAJOR }),
+  );
+  const spec = {
+    tempo: 120,
+    themeDefinition: theme,
+    tracks: [
+      {
+        track_number: 1,
+        sections: [
+          {
+            start_time: 0,
+            end_time: 8,
+            pattern_type: "thematic_statement",
+            fit: "pad-with-extension",
+          },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(validateSpec(spec).errors, []);
+});
+
+test("ends each statement on a stable degree when asked", () => {
+  assert.deepEqual(
+    fit({ end_time: 4, end_on_stable: true }, { key: parseKey("C") }).notes,
+    [60, 62, 64, 64],
+  );
+  assert.deepEqual(
+    fit({ end_time: 10, fit: "repeat", end_on_stable: true }).notes,
+    [60, 62, 64, 64, 60, 62, 64, 64],
+  );
+  // F is the tonic of the section's scale
+  assert.deepEqual(
+    fit({ end_time: 4, end_on_stable: true, scale: { root: "F4" } }).notes,
+    [60, 62, 64, 65],
+  );
+});
+
+test("keeps only the notes that stop sounding by end_time", () => {
+  assert.equal(fit({ end_time: 4 }, { durationFactor: 1.2 }).notes.length, 3);
+  // A section articulation replaces the pattern's, and legato is cut at end_time
+  assert.equal(
+    fit({ end_time: 4, articulation: "staccato" }, { durationFactor: 1.2 })
+      .notes.length,
+    4,
+  );
+  assert.equal(fit({ end_time: 4, articulation: "legato" }).notes.length, 4);
+});
@@ -0,0 +1,47 @@
+/**
+ * Pattern Catalog CLI
+ * Prints every registered pattern, including plugins, with its family and the
+ * section parameters it reads, as Markdown or JSON.
+ *
+ * Usage: node pattern-catalog.js [--format markdown|json] [--plugins dir]
+ */
+
+import { parseArgs } from "util";
+import {
+  formatPatternCatalog,
+  getPatternCatalog,
+  loadPatternPlugins,
+} from "./index.js";
+
+const FORMATS = ["markdown", "json"];
+
+const { values: flags } = parseArgs({
+  options: {
+    format: { type: "string", default: "markdown" },
+    plugins: { type: "string" },
+  },
+});
+
+if (!FORMATS.includes(flags.format)) {
+  console.error(
+    `Unknown format "${flags.format}", expected one of: ${FORMATS.join(", ")}`,
+  );
+  console.error(
+    "Usage: node pattern-catalog.js [--format markdown|json] [--plugins dir]",
+  );
+  process.exit(1);
+}
+
+try {
+  // Without --plugins, loads MIDI_PATTERN_PLUGINS if set
+  await loadPatternPlugins(flags.plugins);
+  const catalog = getPatternCatalog();
+  console.log(
+    flags.format === "json"
+      ? JSON.stringify(catalog, null, 2)
+      : formatPatternCatalog(catalog),
+  );
+} catch (error) {
+  console.error(`✗ Error: ${error.message}`);
+  process.exit(1);
+}
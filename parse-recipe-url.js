@@ -1,57 +1,56 @@
 import dotenv from "dotenv";
-import { longLivedFetch, sanitizePath } from "./helpers.js";
-import { createMidiFromSpec } from "./midi-generation/index.js";
-import fs from "fs";
-import convertMidiToWav from "./midi-generation/midi-to-wav.js";
-import { createSlideshowFromSpec } from "./slideshow-generation/index.js";
-import path from "path";
+import { parseArgs } from "util";
+import { runRecipePipeline, STAGE_NAMES } from "./pipeline/index.js";
+import { getDirectorNames } from "./director/index.js";
 
 dotenv.config();
 
-const MIDI_WEBHOOK_URL = process.env.MIDI_WEBHOOK_URL;
-const VIDEO_WEBHOOK_URL = process.env.VIDEO_WEBHOOK_URL;
-const SOUNDFONT_PATH = process.env.SOUNDFONT_PATH;
-
-const args = process.argv.slice(2);
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "recipe-html": { type: "string" },
+    director: { type: "string" },
+    "midi-spec": { type: "string" },
+    "video-spec": { type: "string" },
+    "job-dir": { type: "string" },
+    from: { type: "string" },
+    force: { type: "boolean", default: false },
+  },
+});
 
-if (args.length === 0) {
-  console.error("Usage: node midi-generator.js <recipe-url>");
+if (positionals.length === 0 && !flags["midi-spec"] && !flags["recipe-html"]) {
   console.error(
-    "Example: node midi-generator.js https://raymonds.recipes/spaghetti-aglio-e-olio/",
+    "Usage: node parse-recipe-url.js <recipe-url> [--recipe-html page.html] [--director webhook|file|local] [--midi-spec file.json] [--video-spec file.json] [--from <stage>] [--force]",
   );
-  console.error(`\nWebhook URL: ${MIDI_WEBHOOK_URL}`);
   console.error(
-    "Set MIDI_WEBHOOK_URL environment variable to override default\n",
+    "Example: node parse-recipe-url.js https://raymonds.recipes/spaghetti-aglio-e-olio/",
+  );
+  console.error(
+    "Replay: node parse-recipe-url.js --midi-spec midi-spec.json --video-spec video-spec.json",
+  );
+  console.error(`\nStages: ${STAGE_NAMES.join(" → ")}`);
+  console.error(
+    `Directors: ${getDirectorNames().join(", ")} (default DIRECTOR or webhook)\n`,
   );
   process.exit(1);
 }
 
-const recipeUrl = args[0];
-
-const midiResult = await longLivedFetch(MIDI_WEBHOOK_URL, {
-  method: "POST",
-  headers: { "Content-Type": "application/json" },
-  body: JSON.stringify({ recipe_url: recipeUrl }),
-});
-
-const midiBytes = createMidiFromSpec(midiResult);
-
-const mediaFileName = midiResult.recipe.name.replace(/\s+/g, "_");
-const midiFilePath = sanitizePath(`./media/${mediaFileName}.mid`);
-const wavFilePath = sanitizePath(`./media/${mediaFileName}.wav`);
-const mp4FilePath = sanitizePath(`./media/${mediaFileName}.mp4`);
-
-fs.writeFileSync(midiFilePath, midiBytes);
-
-convertMidiToWav(midiFilePath, wavFilePath, SOUNDFONT_PATH);
-
-console.log("Fetching Video Spec");
-
-const videoResult = await longLivedFetch(VIDEO_WEBHOOK_URL, {
-  method: "POST",
-  headers: { "Content-Type": "application/json" },
-  body: JSON.stringify(midiResult),
-});
-
-console.log("Creating Slideshow");
-createSlideshowFromSpec(videoResult, wavFilePath, mp4FilePath);
+try {
+  const { jobDir, outputs } = await runRecipePipeline({
+    recipeUrl: positionals[0],
+    recipeHtmlPath: flags["recipe-html"],
+    director: flags.director,
+    midiSpecPath: flags["midi-spec"],
+    videoSpecPath: flags["video-spec"],
+    jobDir: flags["job-dir"],
+    from: flags.from,
+    force: flags.force,
+  });
+
+  console.log(`\n🎉 Recipe video complete: ${outputs.mp4}`);
+  console.log(`   Job: ${jobDir}`);
+} catch (error) {
+  console.error(`\n✗ Error: ${error.message}`);
+  console.error("  Re-run the same command to resume from the failed stage.");
+  process.exit(1);
+}
@@ -0,0 +1,148 @@
+/**
+ * Batch Rendering
+ * Reads recipe URLs from a text file, CSV or sitemap and runs the recipe
+ * pipeline for each one with a bounded number of parallel jobs.
+ */
+
+import fs from "fs";
+import { sanitizePath } from "../helpers.js";
+import { runRecipePipeline } from "./index.js";
+
+/**
+ * Extract recipe URLs from a text, CSV or sitemap document.
+ * - Sitemaps: every <loc> entry
+ * - CSV: the `url` / `recipe_url` column if there is a header, else the first column
+ * - Text: one URL per line, blank lines and # comments ignored
+ * @param {string} content - Document contents
+ * @returns {string[]} De-duplicated recipe URLs, in document order
+ */
+export function parseRecipeList(content) {
+  let urls;
+
+  if (/<urlset|<sitemapindex/i.test(content)) {
+    urls = [...content.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(
+      (match) => match[1],
+    );
+  } else {
+    const lines = content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+
+    const header = lines[0]
+      ?.split(",")
+      .map((cell) => cell.trim().toLowerCase());
+    let column = 0;
+    if (header && !/^https?:\/\//.test(header[0])) {
+      column = Math.max(
+        0,
+        header.findIndex((cell) => cell === "url" || cell === "recipe_url"),
+      );
+      lines.shift();
+    }
+
+    urls = lines.map((line) =>
+      line.split(",")[column]?.trim().replace(/^"|"$/g, ""),
+    );
+  }
+
+  return [...new Set(urls.filter((url) => /^https?:\/\//.test(url)))];
+}
+
+/**
+ * Load recipe URLs from a local file or a remote sitemap.
+ * @param {string} source - File path or http(s) URL
+ * @returns {Promise<string[]>} Recipe URLs
+ */
+export async function loadRecipeList(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Recipe list fetch failed: ${response.status}`);
+    }
+    return parseRecipeList(await response.text());
+  }
+
+  return parseRecipeList(fs.readFileSync(sanitizePath(source), "utf8"));
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once.
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum parallel calls
+ * @param {function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Render every recipe in the list, continuing past individual failures.
+ * @param {string[]} recipeUrls - Recipe URLs to render
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Parallel jobs (default 2)
+ * @param {Object} options.pipelineOptions - Extra options passed to runRecipePipeline
+ * @returns {Promise<Object>} Summary report with per-recipe results
+ */
+export async function renderBatch(recipeUrls, options = {}) {
+  const { concurrency = 2, pipelineOptions = {} } = options;
+  const startedAt = new Date();
+
+  const results = await mapWithConcurrency(
+    recipeUrls,
+    concurrency,
+    async (recipeUrl, index) => {
+      console.log(`\n[${index + 1}/${recipeUrls.length}] ${recipeUrl}`);
+      const jobStart = Date.now();
+
+      try {
+        const { jobDir, outputs } = await runRecipePipeline({
+          ...pipelineOptions,
+          recipeUrl,
+        });
+        return {
+          recipe_url: recipeUrl,
+          status: "success",
+          job_dir: jobDir,
+          outputs,
+          duration_ms: Date.now() - jobStart,
+        };
+      } catch (error) {
+        console.error(`✗ ${recipeUrl}: ${error.message}`);
+        return {
+          recipe_url: recipeUrl,
+          status: "failed",
+          error: error.message,
+          duration_ms: Date.now() - jobStart,
+        };
+      }
+    },
+  );
+
+  const succeeded = results.filter((result) => result.status === "success");
+
+  return {
+    started_at: startedAt.toISOString(),
+    finished_at: new Date().toISOString(),
+    concurrency,
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    results,
+  };
+}
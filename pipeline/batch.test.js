@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { mapWithConcurrency, parseRecipeList, renderBatch } from "./batch.js";
+
+const fixturePath = fileURLToPath(
+  new URL("../recipe-extraction/fixtures/json-ld.html", import.meta.url),
+);
+
+test("parseRecipeList reads text, CSV and sitemaps", () => {
+  assert.deepEqual(
+    parseRecipeList(
+      "# soups\nhttps://a.example/1\n\nhttps://a.example/2\nhttps://a.example/1\n",
+    ),
+    ["https://a.example/1", "https://a.example/2"],
+  );
+  assert.deepEqual(
+    parseRecipeList('name,url\nSoup,"https://a.example/1"\nBad,ftp://x\n'),
+    ["https://a.example/1"],
+  );
+  assert.deepEqual(
+    parseRecipeList(
+      "<urlset><url><loc> https://a.example/1 </loc></url><url><loc>https://a.example/2</loc></url></urlset>",
+    ),
+    ["https://a.example/1", "https://a.example/2"],
+  );
+});
+
+test("mapWithConcurrency keeps input order and the parallel limit", async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency(
+    [30, 10, 20, 0],
+    2,
+    async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      running--;
+      return index;
+    },
+  );
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test("renderBatch reports each failure without stopping the others", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Every recipe fails at the midi spec, each with its own error
+  const asked = [];
+  const director = {
+    name: "test",
+    describe: () => ({ provider: "test" }),
+    getMidiSpec: async (recipe, { recipeUrl }) => {
+      asked.push(recipeUrl);
+      throw new Error(`no spec for ${recipeUrl}`);
+    },
+    getVideoSpec: async () => ({ video_spec: {} }),
+  };
+
+  const urls = ["https://a.example/1", "not a url", "https://a.example/2"];
+  const report = await renderBatch(urls, {
+    concurrency: 2,
+    pipelineOptions: { director, recipeHtmlPath: fixturePath },
+  });
+
+  assert.equal(report.total, 3);
+  assert.equal(report.failed, 3);
+  assert.deepEqual(
+    report.results.map(({ recipe_url, status }) => [recipe_url, status]),
+    urls.map((url) => [url, "failed"]),
+  );
+  assert.equal(report.results[0].error, "no spec for https://a.example/1");
+  assert.match(report.results[1].error, /Invalid URL/);
+  assert.equal(report.results[2].error, "no spec for https://a.example/2");
+  assert.deepEqual(asked.sort(), [
+    "https://a.example/1",
+    "https://a.example/2",
+  ]);
+
+  // Each job has its own checkpointed directory
+  assert.ok(fs.existsSync("media/jobs/a.example-1/recipe.json"));
+  assert.ok(fs.existsSync("media/jobs/a.example-2/recipe.json"));
+});
@@ -0,0 +1,128 @@
+/**
+ * Job Server
+ * Small HTTP API over the job queue:
+ *   POST /jobs                           queue a job ({recipe_url} or saved specs)
+ *   GET  /jobs                           list jobs
+ *   GET  /jobs/:id                       stage-by-stage status and progress
+ *   GET  /jobs/:id/artifacts             list produced files
+ *   GET  /jobs/:id/artifacts/:name       download a produced file
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  ".mid": "audio/midi",
+  ".wav": "audio/wav",
+  ".mp4": "video/mp4",
+  ".json": "application/json",
+};
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Create the job HTTP server.
+ * @param {Object} queue - Queue from createJobQueue
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createJobServer(queue) {
+  return http.createServer(async (req, res) => {
+    let segments;
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      // Malformed escapes like %E0%A4%A
+      return sendJson(res, 400, { error: `Bad path: ${req.url}` });
+    }
+    const [resource, id, sub, name] = segments;
+
+    if (resource !== "jobs") {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    try {
+      if (req.method === "POST" && !id) {
+        const record = queue.enqueue(await readJsonBody(req));
+        return sendJson(res, 202, record);
+      }
+
+      if (req.method !== "GET") {
+        return sendJson(res, 405, { error: "Method not allowed" });
+      }
+
+      if (!id) {
+        return sendJson(res, 200, queue.listJobs());
+      }
+
+      const job = queue.getJob(id);
+      if (!job) {
+        return sendJson(res, 404, { error: `Unknown job ${id}` });
+      }
+
+      if (!sub) {
+        return sendJson(res, 200, job);
+      }
+
+      if (sub !== "artifacts") {
+        return sendJson(res, 404, { error: "Not found" });
+      }
+
+      const artifacts = queue.listArtifacts(id);
+      if (!name) {
+        return sendJson(
+          res,
+          200,
+          artifacts.map(({ name, size }) => ({
+            name,
+            size,
+            url: `/jobs/${id}/artifacts/${encodeURIComponent(name)}`,
+          })),
+        );
+      }
+
+      // Only files from the listing can be downloaded, never arbitrary paths
+      const artifact = artifacts.find((artifact) => artifact.name === name);
+      if (!artifact) {
+        return sendJson(res, 404, { error: `Unknown artifact ${name}` });
+      }
+
+      res.writeHead(200, {
+        "Content-Type":
+          CONTENT_TYPES[path.extname(name)] || "application/octet-stream",
+        "Content-Length": artifact.size,
+        "Content-Disposition": `attachment; filename="${name}"`,
+      });
+      fs.createReadStream(artifact.path).pipe(res);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+}
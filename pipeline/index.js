@@ -0,0 +1,255 @@
+/**
+ * Recipe Pipeline
+ * Recipe URL (or saved specs) → recipe → midi spec → .mid → .wav → video spec → .mp4,
+ * checkpointed per recipe in media/jobs/<job-key>/.
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonFile, sanitizePath, writeJsonFile } from "../helpers.js";
+import {
+  createMidiFromSpec,
+  loadPatternPlugins,
+} from "../midi-generation/index.js";
+import convertMidiToWav from "../midi-generation/midi-to-wav.js";
+import { createSlideshowFromSpec } from "../slideshow-generation/index.js";
+import { loadRecipe } from "../recipe-extraction/index.js";
+import { createDirector } from "../director/index.js";
+import { hashFile, runStages } from "./stage-runner.js";
+
+export const JOBS_DIR = "./media/jobs";
+
+export const STAGE_NAMES = [
+  "recipe",
+  "midi_spec",
+  "midi",
+  "wav",
+  "video_spec",
+  "slideshow",
+];
+
+/**
+ * Derive a stable, filesystem-safe key for a recipe job.
+ * @param {Object} options - Pipeline options
+ * @param {string} options.recipeUrl - Recipe URL
+ * @param {string} options.recipeHtmlPath - Saved recipe page
+ * @param {string} options.midiSpecPath - Saved midi spec file
+ * @returns {string} Job key
+ */
+export function getJobKey({ recipeUrl, recipeHtmlPath, midiSpecPath }) {
+  let source;
+  if (recipeUrl) {
+    const url = new URL(recipeUrl);
+    source = `${url.hostname}${url.pathname}`;
+  } else if (midiSpecPath) {
+    source =
+      readJsonFile(midiSpecPath).recipe?.name || path.parse(midiSpecPath).name;
+  } else {
+    source = path.parse(recipeHtmlPath).name;
+  }
+
+  return source
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Run the full recipe-to-video pipeline, resuming from the first stale stage.
+ * @param {Object} options - Pipeline options
+ * @param {string} options.recipeUrl - Recipe URL
+ * @param {string} options.recipeHtmlPath - Saved recipe page to extract instead of fetching the URL
+ * @param {string|Object} options.director - Director provider or config, see createDirector
+ * @param {string} options.midiSpecPath - Saved midi spec to use instead of asking the director
+ * @param {string} options.videoSpecPath - Saved video spec to use instead of asking the director
+ * @param {string} options.jobDir - Job directory (defaults to media/jobs/<job-key>)
+ * @param {boolean} options.force - Re-run every stage
+ * @param {string} options.from - Re-run this stage and everything after it
+ * @param {function} options.onProgress - Stage status callback, see runStages
+ * @returns {Promise<Object>} Job directory, manifest and output file paths
+ */
+export async function runRecipePipeline(options) {
+  const {
+    recipeUrl,
+    recipeHtmlPath,
+    midiSpecPath,
+    videoSpecPath,
+    force = false,
+    from,
+    onProgress,
+    soundFontPath = process.env.SOUNDFONT_PATH,
+  } = options;
+
+  if (!recipeUrl && !recipeHtmlPath && !midiSpecPath) {
+    throw new Error(
+      "A recipe URL, a saved recipe page or a saved midi spec is required",
+    );
+  }
+
+  if (from && !STAGE_NAMES.includes(from)) {
+    throw new Error(
+      `Unknown stage "${from}", expected one of ${STAGE_NAMES.join(", ")}`,
+    );
+  }
+
+  // House patterns must be registered before any spec naming them is checked
+  await loadPatternPlugins();
+
+  // Saved spec files override the configured director for their stage
+  const director = createDirector(options.director);
+  const midiDirector = midiSpecPath
+    ? createDirector({ provider: "file", midiSpecPath })
+    : director;
+  const videoDirector = videoSpecPath
+    ? createDirector({ provider: "file", videoSpecPath })
+    : director;
+
+  const jobDir = sanitizePath(
+    options.jobDir || path.join(JOBS_DIR, getJobKey(options)),
+  );
+
+  const files = {
+    recipe: `${jobDir}/recipe.json`,
+    midiSpec: `${jobDir}/midi-spec.json`,
+    videoSpec: `${jobDir}/video-spec.json`,
+  };
+
+  // Media file names come from the recipe, which is only known once the midi
+  // spec exists. The name is reduced to letters, digits and underscores, so it
+  // can't reach outside the job directory
+  const mediaPath = (extension) => {
+    const { recipe } = readJsonFile(files.midiSpec);
+    const stem =
+      String(recipe?.name ?? "")
+        .replace(/[^a-z0-9]+/gi, "_")
+        .replace(/^_+|_+$/g, "") || "recipe";
+    const filePath = `${jobDir}/${stem}.${extension}`;
+    if (path.dirname(path.resolve(filePath)) !== path.resolve(jobDir)) {
+      throw new Error(`Media path ${filePath} is outside ${jobDir}`);
+    }
+    return filePath;
+  };
+
+  const stages = [
+    {
+      name: "recipe",
+      inputs: () => {
+        if (recipeHtmlPath) {
+          return {
+            source: "html",
+            hash: hashFile(sanitizePath(recipeHtmlPath)),
+          };
+        }
+        if (recipeUrl) {
+          return { source: "url", recipe_url: recipeUrl };
+        }
+        return {
+          source: "midi_spec",
+          hash: hashFile(sanitizePath(midiSpecPath)),
+        };
+      },
+      outputs: () => [files.recipe],
+      run: async () => {
+        // Without a page, a saved midi spec still carries the recipe the director was given
+        if (!recipeHtmlPath && !recipeUrl) {
+          writeJsonFile(
+            files.recipe,
+            readJsonFile(midiSpecPath).recipe ?? null,
+          );
+          return;
+        }
+
+        const recipe = await loadRecipe(recipeHtmlPath || recipeUrl, {
+          url: recipeUrl,
+        });
+        if (!recipe) {
+          console.warn(
+            "No schema.org Recipe found, the director only gets the recipe URL",
+          );
+        }
+        writeJsonFile(files.recipe, recipe);
+      },
+    },
+    {
+      name: "midi_spec",
+      inputs: () => ({
+        director: midiDirector.describe("midi"),
+        recipe_url: recipeUrl,
+        recipe: hashFile(files.recipe),
+      }),
+      outputs: () => [files.midiSpec],
+      run: async () => {
+        const midiResult = await midiDirector.getMidiSpec(
+          readJsonFile(files.recipe),
+          { recipeUrl },
+        );
+        writeJsonFile(files.midiSpec, midiResult);
+      },
+    },
+    {
+      name: "midi",
+      inputs: () => ({ midiSpec: hashFile(files.midiSpec) }),
+      outputs: () => [mediaPath("mid")],
+      run: () => {
+        const midiBytes = createMidiFromSpec(readJsonFile(files.midiSpec));
+        fs.writeFileSync(mediaPath("mid"), midiBytes);
+      },
+    },
+    {
+      name: "wav",
+      inputs: () => ({ midi: hashFile(mediaPath("mid")), soundFontPath }),
+      outputs: () => [mediaPath("wav")],
+      run: () =>
+        convertMidiToWav(mediaPath("mid"), mediaPath("wav"), soundFontPath),
+    },
+    {
+      name: "video_spec",
+      inputs: () => ({
+        director: videoDirector.describe("video"),
+        midiSpec: hashFile(files.midiSpec),
+      }),
+      outputs: () => [files.videoSpec],
+      run: async () => {
+        console.log("Fetching Video Spec");
+        const videoResult = await videoDirector.getVideoSpec(
+          readJsonFile(files.midiSpec),
+          { recipeUrl, recipe: readJsonFile(files.recipe) },
+        );
+        writeJsonFile(files.videoSpec, videoResult);
+      },
+    },
+    {
+      name: "slideshow",
+      inputs: () => ({
+        videoSpec: hashFile(files.videoSpec),
+        wav: hashFile(mediaPath("wav")),
+      }),
+      outputs: () => [mediaPath("mp4")],
+      run: () => {
+        console.log("Creating Slideshow");
+        return createSlideshowFromSpec(
+          readJsonFile(files.videoSpec),
+          mediaPath("wav"),
+          mediaPath("mp4"),
+        );
+      },
+    },
+  ];
+
+  const manifest = await runStages(jobDir, stages, {
+    force,
+    from,
+    onProgress,
+  });
+
+  return {
+    jobDir,
+    manifest,
+    outputs: {
+      ...files,
+      midi: mediaPath("mid"),
+      wav: mediaPath("wav"),
+      mp4: mediaPath("mp4"),
+    },
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Job Queue
+ * On-disk queue of recipe pipeline jobs. Every job lives in its own folder
+ * under media/server/<id>/ next to its request.json record, so queued and
+ * interrupted jobs are picked up again when the queue is reloaded.
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+import { readJsonFile, sanitizePath, writeJsonFile } from "../helpers.js";
+import { runRecipePipeline, STAGE_NAMES } from "./index.js";
+import { getDirectorNames } from "../director/index.js";
+import { loadManifest, MANIFEST_FILE } from "./stage-runner.js";
+
+export const SERVER_JOBS_DIR = "./media/server";
+
+const RECORD_FILE = "request.json";
+const INPUT_MIDI_SPEC = "input-midi-spec.json";
+const INPUT_VIDEO_SPEC = "input-video-spec.json";
+
+// Job bookkeeping files that are not listed as artifacts
+const INTERNAL_FILES = [
+  RECORD_FILE,
+  MANIFEST_FILE,
+  INPUT_MIDI_SPEC,
+  INPUT_VIDEO_SPEC,
+];
+
+/**
+ * Create a job queue backed by a directory.
+ * @param {Object} options - Queue options
+ * @param {string} options.dir - Directory holding one folder per job
+ * @param {number} options.concurrency - Jobs allowed to run at once (default 1)
+ * @returns {Object} Queue with enqueue, getJob, listJobs and listArtifacts methods
+ */
+export function createJobQueue(options = {}) {
+  const { concurrency = 1 } = options;
+  const dir = sanitizePath(options.dir || SERVER_JOBS_DIR);
+
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const jobDir = (id) => `${dir}/${id}`;
+  const save = (record) =>
+    writeJsonFile(`${jobDir(record.id)}/${RECORD_FILE}`, record);
+
+  async function runJob(record) {
+    running++;
+    record.status = "running";
+    record.started_at = new Date().toISOString();
+    save(record);
+
+    const midiSpecPath = `${jobDir(record.id)}/${INPUT_MIDI_SPEC}`;
+    const videoSpecPath = `${jobDir(record.id)}/${INPUT_VIDEO_SPEC}`;
+
+    try {
+      const { outputs } = await runRecipePipeline({
+        recipeUrl: record.recipe_url,
+        director: record.director || undefined,
+        midiSpecPath: fs.existsSync(midiSpecPath) ? midiSpecPath : undefined,
+        videoSpecPath: fs.existsSync(videoSpecPath) ? videoSpecPath : undefined,
+        jobDir: jobDir(record.id),
+        onProgress: (stageName) => {
+          record.current_stage = stageName;
+          save(record);
+        },
+      });
+      record.status = "complete";
+      record.outputs = outputs;
+    } catch (error) {
+      console.error(`✗ Job ${record.id} failed: ${error.message}`);
+      record.status = "failed";
+      record.error = error.message;
+    } finally {
+      record.finished_at = new Date().toISOString();
+      save(record);
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      runJob(jobs.get(pending.shift()));
+    }
+  }
+
+  /**
+   * Reload jobs from disk and restart any that were queued or interrupted.
+   * Interrupted jobs resume from their first unfinished stage.
+   */
+  function load() {
+    if (!fs.existsSync(dir)) return;
+
+    const records = fs
+      .readdirSync(dir)
+      .filter((id) => fs.existsSync(`${jobDir(id)}/${RECORD_FILE}`))
+      .map((id) => readJsonFile(`${jobDir(id)}/${RECORD_FILE}`))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    for (const record of records) {
+      jobs.set(record.id, record);
+      if (record.status === "queued" || record.status === "running") {
+        record.status = "queued";
+        save(record);
+        pending.push(record.id);
+      }
+    }
+
+    drain();
+  }
+
+  /**
+   * Add a job to the queue.
+   * @param {Object} request - Job request
+   * @param {string} request.recipe_url - Recipe URL to render
+   * @param {Object} request.midi_spec - Saved midi webhook response to use instead
+   * @param {Object} request.video_spec - Saved video webhook response to use instead
+   * @param {string} request.director - Director provider name (default DIRECTOR env var)
+   * @returns {Object} The queued job record
+   * @throws {Error} If the request has neither a recipe URL nor a midi spec,
+   *   or the midi spec's recipe name has path separators
+   */
+  function enqueue(request) {
+    const { recipe_url, midi_spec, video_spec, director } = request || {};
+
+    if (!recipe_url && !midi_spec) {
+      throw new Error("Job requires recipe_url or midi_spec");
+    }
+    if (director && !getDirectorNames().includes(director)) {
+      throw new Error(
+        `Unknown director "${director}", expected one of ${getDirectorNames().join(", ")}`,
+      );
+    }
+    if (midi_spec && typeof midi_spec.recipe?.name !== "string") {
+      throw new Error(
+        "midi_spec must be a midi webhook response with recipe.name",
+      );
+    }
+    if (midi_spec && /[/\\]|\.\./.test(midi_spec.recipe.name)) {
+      throw new Error(
+        "midi_spec recipe.name must not contain path separators or '..'",
+      );
+    }
+    if (video_spec && !video_spec.video_spec) {
+      throw new Error(
+        "video_spec must be a video webhook response with video_spec",
+      );
+    }
+
+    const id = randomBytes(6).toString("hex");
+    fs.mkdirSync(jobDir(id), { recursive: true });
+
+    if (midi_spec) writeJsonFile(`${jobDir(id)}/${INPUT_MIDI_SPEC}`, midi_spec);
+    if (video_spec) {
+      writeJsonFile(`${jobDir(id)}/${INPUT_VIDEO_SPEC}`, video_spec);
+    }
+
+    const record = {
+      id,
+      status: "queued",
+      recipe_url: recipe_url || null,
+      recipe_name: midi_spec?.recipe?.name || null,
+      director: director || null,
+      created_at: new Date().toISOString(),
+      current_stage: null,
+      error: null,
+    };
+
+    jobs.set(id, record);
+    save(record);
+    pending.push(id);
+    drain();
+
+    return record;
+  }
+
+  /**
+   * Get a job with stage-by-stage status from its manifest.
+   * @param {string} id - Job id
+   * @returns {Object|null} Job status, or null if unknown
+   */
+  function getJob(id) {
+    const record = jobs.get(id);
+    if (!record) return null;
+
+    const manifest = loadManifest(jobDir(id));
+    const stages = STAGE_NAMES.map((name) => {
+      const stage = manifest.stages[name];
+      return {
+        name,
+        status: stage?.status || "pending",
+        started_at: stage?.startedAt || null,
+        finished_at: stage?.finishedAt || null,
+        error: stage?.error || null,
+      };
+    });
+    const completed = stages.filter((stage) => stage.status === "complete");
+
+    return {
+      ...record,
+      queue_position:
+        record.status === "queued" ? pending.indexOf(id) + 1 : null,
+      progress: completed.length / STAGE_NAMES.length,
+      stages,
+    };
+  }
+
+  /**
+   * List every known job, newest first.
+   * @returns {Object[]} Job records
+   */
+  function listJobs() {
+    return [...jobs.values()].sort((a, b) =>
+      b.created_at.localeCompare(a.created_at),
+    );
+  }
+
+  /**
+   * List the media and spec files a job has produced.
+   * @param {string} id - Job id
+   * @returns {Object[]|null} Artifacts with name, path and size, or null if unknown
+   */
+  function listArtifacts(id) {
+    if (!jobs.has(id)) return null;
+
+    return fs
+      .readdirSync(jobDir(id))
+      .filter((name) => !INTERNAL_FILES.includes(name))
+      .map((name) => {
+        const filePath = path.join(jobDir(id), name);
+        return { name, path: filePath, size: fs.statSync(filePath).size };
+      })
+      .filter((artifact) => fs.statSync(artifact.path).isFile());
+  }
+
+  load();
+
+  return { enqueue, getJob, listJobs, listArtifacts };
+}
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeJsonFile } from "../helpers.js";
+import { createJobQueue } from "./job-queue.js";
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function waitFor(queue, id) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const job = queue.getJob(id);
+    if (job.status === "complete" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test("rejects malformed requests without creating a job", (t) => {
+  const dir = tempDir(t);
+  const queue = createJobQueue({ dir });
+
+  const rejects = (request, message) =>
+    assert.throws(() => queue.enqueue(request), { message });
+
+  rejects(undefined, "Job requires recipe_url or midi_spec");
+  rejects(
+    { recipe_url: "https://a.example/1", director: "oracle" },
+    /^Unknown director "oracle", expected one of webhook, file, local$/,
+  );
+  rejects(
+    { midi_spec: { midi_spec: {} } },
+    "midi_spec must be a midi webhook response with recipe.name",
+  );
+  for (const name of ["../../escape", "a/b", "a\\b", ".."]) {
+    rejects(
+      { midi_spec: { recipe: { name } } },
+      "midi_spec recipe.name must not contain path separators or '..'",
+    );
+  }
+  rejects(
+    { recipe_url: "https://a.example/1", video_spec: { scenes: [] } },
+    "video_spec must be a video webhook response with video_spec",
+  );
+
+  assert.deepEqual(fs.readdirSync(dir), []);
+  assert.deepEqual(queue.listJobs(), []);
+});
+
+test("moves jobs from queued to running to failed, one at a time", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const dir = tempDir(t);
+  const queue = createJobQueue({ dir, concurrency: 1 });
+
+  // A spec the midi stage rejects, so the job fails after two stages
+  const request = {
+    midi_spec: { recipe: { name: "Soup" }, midi_spec: {} },
+    director: "local",
+  };
+  const first = queue.enqueue(request);
+  const second = queue.enqueue(request);
+
+  assert.equal(queue.getJob(first.id).status, "running");
+  assert.equal(queue.getJob(second.id).status, "queued");
+  assert.equal(queue.getJob(second.id).queue_position, 1);
+  assert.equal(queue.listJobs().length, 2);
+
+  const job = await waitFor(queue, first.id);
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /Invalid specification/);
+  assert.equal(job.recipe_name, "Soup");
+  assert.deepEqual(
+    job.stages.map(({ name, status }) => [name, status]),
+    [
+      ["recipe", "complete"],
+      ["midi_spec", "complete"],
+      ["midi", "failed"],
+      ["wav", "pending"],
+      ["video_spec", "pending"],
+      ["slideshow", "pending"],
+    ],
+  );
+  assert.equal(job.progress, 2 / 6);
+  assert.deepEqual(
+    queue
+      .listArtifacts(first.id)
+      .map(({ name }) => name)
+      .sort(),
+    ["midi-spec.json", "recipe.json"],
+  );
+
+  assert.equal((await waitFor(queue, second.id)).status, "failed");
+  assert.equal(queue.getJob("missing"), null);
+  assert.equal(queue.listArtifacts("missing"), null);
+});
+
+test("requeues interrupted jobs when reloaded", (t) => {
+  const dir = tempDir(t);
+  const record = (id, status, created_at) =>
+    writeJsonFile(`${dir}/${id}/request.json`, {
+      id,
+      status,
+      recipe_url: "https://a.example/1",
+      recipe_name: null,
+      director: null,
+      created_at,
+      current_stage: null,
+      error: null,
+    });
+  record("b", "queued", "2026-01-02T00:00:00.000Z");
+  record("a", "running", "2026-01-01T00:00:00.000Z");
+  record("c", "failed", "2026-01-03T00:00:00.000Z");
+
+  // No job may start, so the reloaded queue can be inspected
+  const queue = createJobQueue({ dir, concurrency: 0 });
+
+  assert.deepEqual(
+    queue.listJobs().map(({ id, status }) => [id, status]),
+    [
+      ["c", "failed"],
+      ["b", "queued"],
+      ["a", "queued"],
+    ],
+  );
+  assert.equal(queue.getJob("a").queue_position, 1);
+  assert.equal(queue.getJob("b").queue_position, 2);
+});
@@ -0,0 +1,151 @@
+/**
+ * Stage Runner
+ * Runs pipeline stages in order and checkpoints each one in a job manifest.
+ * A stage is skipped when its input hash matches the last successful run and
+ * its outputs are still on disk unchanged, so re-runs resume from the first
+ * stage that failed or went stale.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { readJsonFile, writeJsonFile } from "../helpers.js";
+
+export const MANIFEST_FILE = "job.json";
+
+/**
+ * Hash a string or buffer.
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex sha256 digest
+ */
+export function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash a file's contents.
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Hex sha256 digest, or null if the file is missing
+ */
+export function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return hashContent(fs.readFileSync(filePath));
+}
+
+/**
+ * Load a job manifest, or an empty one if the job has never run.
+ * @param {string} jobDir - Job directory
+ * @returns {Object} Manifest with a stages map
+ */
+export function loadManifest(jobDir) {
+  const manifestPath = path.join(jobDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { stages: {} };
+  }
+  return readJsonFile(manifestPath);
+}
+
+function saveManifest(jobDir, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  writeJsonFile(path.join(jobDir, MANIFEST_FILE), manifest);
+}
+
+/**
+ * Check whether a stage's last run can be reused.
+ * @param {Object|undefined} record - Manifest record for the stage
+ * @param {string} inputHash - Hash of the stage's current inputs
+ * @returns {boolean} True if the stage is complete and up to date
+ */
+function isFresh(record, inputHash) {
+  if (!record || record.status !== "complete") return false;
+  if (record.inputHash !== inputHash) return false;
+
+  return Object.entries(record.outputs || {}).every(
+    ([outputPath, outputHash]) => hashFile(outputPath) === outputHash,
+  );
+}
+
+/**
+ * Run stages in order, skipping the ones that are still fresh.
+ *
+ * Each stage is an object with:
+ * - name: unique stage name
+ * - inputs(): JSON-serializable description of everything the stage reads
+ *   (include file hashes so upstream changes invalidate it)
+ * - outputs(): array of file paths the stage writes
+ * - run(): performs the work, may be async
+ *
+ * @param {string} jobDir - Job directory holding the manifest
+ * @param {Object[]} stages - Ordered stage definitions
+ * @param {Object} options - Runner options
+ * @param {boolean} options.force - Re-run every stage regardless of cache
+ * @param {string} options.from - Re-run this stage and every stage after it
+ * @param {function} options.onProgress - Called with (stageName, record) on every status change
+ * @returns {Promise<Object>} The final manifest
+ * @throws {Error} The first stage error, after it has been recorded
+ */
+export async function runStages(jobDir, stages, options = {}) {
+  const { force = false, from, onProgress = () => {} } = options;
+
+  fs.mkdirSync(jobDir, { recursive: true });
+  const manifest = loadManifest(jobDir);
+  const fromIndex = from
+    ? stages.findIndex((stage) => stage.name === from)
+    : -1;
+
+  for (const [index, stage] of stages.entries()) {
+    const inputs = stage.inputs();
+    const inputHash = hashContent(JSON.stringify(inputs));
+    const previous = manifest.stages[stage.name];
+
+    const forced = force || (fromIndex !== -1 && index >= fromIndex);
+
+    if (!forced && isFresh(previous, inputHash)) {
+      console.log(`↷ Skipping ${stage.name} (up to date)`);
+      onProgress(stage.name, { ...previous, skipped: true });
+      continue;
+    }
+
+    const record = {
+      status: "running",
+      inputs,
+      inputHash,
+      outputs: {},
+      startedAt: new Date().toISOString(),
+    };
+    manifest.stages[stage.name] = record;
+    saveManifest(jobDir, manifest);
+    onProgress(stage.name, record);
+
+    try {
+      await stage.run();
+    } catch (error) {
+      record.status = "failed";
+      record.error = error.message;
+      record.finishedAt = new Date().toISOString();
+      saveManifest(jobDir, manifest);
+      onProgress(stage.name, record);
+      throw error;
+    }
+
+    for (const outputPath of stage.outputs()) {
+      const outputHash = hashFile(outputPath);
+      if (outputHash === null) {
+        record.status = "failed";
+        record.error = `Stage did not produce ${outputPath}`;
+        saveManifest(jobDir, manifest);
+        onProgress(stage.name, record);
+        throw new Error(`${stage.name}: ${record.error}`);
+      }
+      record.outputs[outputPath] = outputHash;
+    }
+
+    record.status = "complete";
+    record.finishedAt = new Date().toISOString();
+    saveManifest(jobDir, manifest);
+    onProgress(stage.name, record);
+    console.log(`✓ ${stage.name}\n`);
+  }
+
+  return manifest;
+}
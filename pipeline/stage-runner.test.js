@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { hashFile, loadManifest, runStages } from "./stage-runner.js";
+
+/**
+ * Make a job directory with two stages: "write" copies `input.text` to
+ * a.txt, "upper" reads a.txt (by hash) and writes it uppercased to b.txt.
+ */
+function setup(t) {
+  t.mock.method(console, "log", () => {});
+  const jobDir = fs.mkdtempSync(path.join(os.tmpdir(), "stage-runner-"));
+  t.after(() => fs.rmSync(jobDir, { recursive: true, force: true }));
+
+  const a = path.join(jobDir, "a.txt");
+  const b = path.join(jobDir, "b.txt");
+  const input = { text: "hello" };
+  const runs = [];
+  const stages = [
+    {
+      name: "write",
+      inputs: () => ({ text: input.text }),
+      outputs: () => [a],
+      run: () => {
+        runs.push("write");
+        fs.writeFileSync(a, input.text);
+      },
+    },
+    {
+      name: "upper",
+      inputs: () => ({ a: hashFile(a) }),
+      outputs: () => [b],
+      run: () => {
+        runs.push("upper");
+        if (input.failUpper) throw new Error("upper broke");
+        fs.writeFileSync(b, fs.readFileSync(a, "utf8").toUpperCase());
+      },
+    },
+  ];
+  return { jobDir, a, b, input, runs, stages };
+}
+
+test("skips stages whose inputs and outputs are unchanged", async (t) => {
+  const { jobDir, b, runs, stages } = setup(t);
+
+  await runStages(jobDir, stages);
+  assert.deepEqual(runs, ["write", "upper"]);
+
+  const progress = [];
+  await runStages(jobDir, stages, {
+    onProgress: (name, record) => progress.push([name, record.skipped]),
+  });
+  assert.deepEqual(runs, ["write", "upper"]);
+  assert.deepEqual(progress, [
+    ["write", true],
+    ["upper", true],
+  ]);
+  assert.equal(fs.readFileSync(b, "utf8"), "HELLO");
+  assert.equal(loadManifest(jobDir).stages.upper.status, "complete");
+});
+
+test("re-runs a stage when its input hash changes, and the stages after it", async (t) => {
+  const { jobDir, b, input, runs, stages } = setup(t);
+
+  await runStages(jobDir, stages);
+  input.text = "bye";
+  await runStages(jobDir, stages);
+
+  assert.deepEqual(runs, ["write", "upper", "write", "upper"]);
+  assert.equal(fs.readFileSync(b, "utf8"), "BYE");
+});
+
+test("re-runs a stage whose output changed on disk", async (t) => {
+  const { jobDir, b, runs, stages } = setup(t);
+
+  await runStages(jobDir, stages);
+  fs.writeFileSync(b, "edited");
+  await runStages(jobDir, stages);
+
+  assert.deepEqual(runs, ["write", "upper", "upper"]);
+  assert.equal(fs.readFileSync(b, "utf8"), "HELLO");
+});
+
+test("records a failed stage and resumes from it", async (t) => {
+  const { jobDir, input, runs, stages } = setup(t);
+
+  input.failUpper = true;
+  await assert.rejects(runStages(jobDir, stages), /upper broke/);
+  const { stages: records } = loadManifest(jobDir);
+  assert.equal(records.write.status, "complete");
+  assert.equal(records.upper.status, "failed");
+  assert.equal(records.upper.error, "upper broke");
+
+  input.failUpper = false;
+  await runStages(jobDir, stages);
+  assert.deepEqual(runs, ["write", "upper", "upper"]);
+});
+
+test("fails a stage that does not write its outputs", async (t) => {
+  const { jobDir, stages } = setup(t);
+  stages[1].run = () => {};
+
+  await assert.rejects(
+    runStages(jobDir, stages),
+    /upper: Stage did not produce/,
+  );
+  assert.equal(loadManifest(jobDir).stages.upper.status, "failed");
+});
+
+test("force and from re-run fresh stages", async (t) => {
+  const { jobDir, runs, stages } = setup(t);
+
+  await runStages(jobDir, stages);
+  await runStages(jobDir, stages, { from: "upper" });
+  await runStages(jobDir, stages, { force: true });
+
+  assert.deepEqual(runs, ["write", "upper", "upper", "write", "upper"]);
+});
@@ -0,0 +1,72 @@
+/**
+ * Recipe Extraction
+ * Reads schema.org Recipe data (JSON-LD first, then microdata) from a recipe
+ * page so the director receives a structured recipe instead of a bare URL.
+ */
+
+import fs from "fs";
+import { Agent } from "undici";
+import { sanitizePath } from "../helpers.js";
+import { extractJsonLdRecipes } from "./lib/json-ld.js";
+import { extractMicrodataRecipes } from "./lib/microdata.js";
+import { normalizeRecipe } from "./lib/normalize.js";
+
+export { normalizeRecipe, parseDuration } from "./lib/normalize.js";
+
+/**
+ * Extract a normalized recipe from page HTML.
+ * @param {string} html - Page HTML
+ * @param {Object} options - Extraction options
+ * @param {string} options.url - Page URL, used when the markup has none
+ * @returns {Object|null} Normalized recipe, or null if the page has no Recipe markup
+ */
+export function extractRecipe(html, options = {}) {
+  const jsonLd = extractJsonLdRecipes(html);
+  if (jsonLd.length > 0) {
+    return normalizeRecipe(jsonLd[0], { url: options.url, source: "json-ld" });
+  }
+
+  const microdata = extractMicrodataRecipes(html);
+  if (microdata.length > 0) {
+    return normalizeRecipe(microdata[0], {
+      url: options.url,
+      source: "microdata",
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a recipe page's HTML.
+ * @param {string} url - Recipe URL
+ * @returns {Promise<string>} Page HTML
+ */
+export async function fetchRecipeHtml(url) {
+  const response = await fetch(url, {
+    headers: { "User-Agent": "Mozilla/5.0" },
+    dispatcher: new Agent({ connectTimeout: 60000, bodyTimeout: 60000 }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Recipe page fetch failed: ${response.status}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Load and extract a recipe from a URL or a saved HTML file.
+ * @param {string} source - Recipe URL or path to an HTML file
+ * @param {Object} options - Extraction options
+ * @param {string} options.url - Canonical page URL when loading from a file
+ * @returns {Promise<Object|null>} Normalized recipe, or null if none was found
+ */
+export async function loadRecipe(source, options = {}) {
+  if (/^https?:\/\//.test(source)) {
+    return extractRecipe(await fetchRecipeHtml(source), { url: source });
+  }
+
+  const html = fs.readFileSync(sanitizePath(source), "utf8");
+  return extractRecipe(html, { url: options.url });
+}
@@ -0,0 +1,55 @@
+/**
+ * JSON-LD Recipe Extraction
+ * Finds schema.org Recipe objects in <script type="application/ld+json"> blocks,
+ * including ones nested in @graph arrays or lists of entities.
+ */
+
+function isRecipe(node) {
+  const types = Array.isArray(node?.["@type"])
+    ? node["@type"]
+    : [node?.["@type"]];
+  return types.some(
+    (type) => typeof type === "string" && /(^|[/:])Recipe$/.test(type),
+  );
+}
+
+function collectRecipes(node, found) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectRecipes(child, found));
+    return found;
+  }
+  if (!node || typeof node !== "object") return found;
+
+  if (isRecipe(node)) {
+    found.push(node);
+    return found;
+  }
+
+  if (node["@graph"]) collectRecipes(node["@graph"], found);
+  if (node.mainEntity) collectRecipes(node.mainEntity, found);
+
+  return found;
+}
+
+/**
+ * Extract raw Recipe objects from every JSON-LD block in a page.
+ * Blocks that aren't valid JSON are skipped.
+ * @param {string} html - Page HTML
+ * @returns {Object[]} Raw schema.org Recipe objects
+ */
+export function extractJsonLdRecipes(html) {
+  const blocks = html.matchAll(
+    /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi,
+  );
+
+  const recipes = [];
+  for (const [, content] of blocks) {
+    try {
+      collectRecipes(JSON.parse(content.trim()), recipes);
+    } catch (err) {
+      console.warn(`Skipping invalid JSON-LD block: ${err.message}`);
+    }
+  }
+
+  return recipes;
+}
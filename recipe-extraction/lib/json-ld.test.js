@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { extractJsonLdRecipes } from "./json-ld.js";
+
+const fixture = fs.readFileSync(
+  new URL("../fixtures/json-ld.html", import.meta.url),
+  "utf8",
+);
+
+test("finds a Recipe nested in @graph and skips other entities", () => {
+  const recipes = extractJsonLdRecipes(fixture);
+  assert.equal(recipes.length, 1);
+  assert.equal(recipes[0].name, "Tomato Soup &amp; Basil");
+  assert.deepEqual(recipes[0]["@type"], ["Recipe", "NewsArticle"]);
+});
+
+test("finds recipes in lists of entities and under mainEntity", () => {
+  const html = `
+    <script type="application/ld+json">[{ "@type": "Recipe", "name": "A" }]</script>
+    <script type='application/ld+json'>
+      { "@type": "WebPage", "mainEntity": { "@type": "http://schema.org/Recipe", "name": "B" } }
+    </script>`;
+  assert.deepEqual(
+    extractJsonLdRecipes(html).map((recipe) => recipe.name),
+    ["A", "B"],
+  );
+});
+
+test("skips blocks that aren't valid JSON", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const html = `
+    <script type="application/ld+json">{ not json }</script>
+    <script type="application/ld+json">{ "@type": "Recipe", "name": "C" }</script>`;
+  assert.deepEqual(
+    extractJsonLdRecipes(html).map((recipe) => recipe.name),
+    ["C"],
+  );
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("returns nothing for a page without JSON-LD", () => {
+  assert.deepEqual(extractJsonLdRecipes("<p>No recipe here</p>"), []);
+});
@@ -0,0 +1,142 @@
+/**
+ * Microdata Recipe Extraction
+ * Minimal itemscope/itemprop reader for pages that mark recipes up with
+ * schema.org microdata instead of JSON-LD. Walks the tag stream rather than
+ * building a DOM, which is enough for the flat properties a recipe uses.
+ */
+
+import { cleanText } from "./normalize.js";
+
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const [, name, double, single, bare] of source.matchAll(pattern)) {
+    attributes[name.toLowerCase()] = double ?? single ?? bare ?? "";
+  }
+  return attributes;
+}
+
+function addProperty(scope, names, value) {
+  // itemprop may list several space-separated property names
+  for (const name of names.split(/\s+/).filter(Boolean)) {
+    if (name in scope) {
+      scope[name] = [].concat(scope[name], value);
+    } else {
+      scope[name] = value;
+    }
+  }
+}
+
+function attributeValue(attributes) {
+  return (
+    attributes.content ??
+    attributes.datetime ??
+    attributes.src ??
+    attributes.href ??
+    attributes.value
+  );
+}
+
+/**
+ * Extract raw Recipe objects from schema.org microdata.
+ * @param {string} html - Page HTML
+ * @returns {Object[]} Raw schema.org Recipe objects (property name → value)
+ */
+export function extractMicrodataRecipes(html) {
+  const recipes = [];
+  const tagPattern =
+    /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let stack = null; // open elements inside the current recipe
+  let recipe = null;
+
+  for (const match of html.matchAll(tagPattern)) {
+    const [tagSource, closing, rawTag, attributeSource] = match;
+    const tag = rawTag.toLowerCase();
+
+    if (!closing) {
+      const attributes = parseAttributes(attributeSource);
+
+      if (!recipe) {
+        if (
+          "itemscope" in attributes &&
+          /schema\.org\/Recipe\b/i.test(attributes.itemtype || "")
+        ) {
+          recipe = {};
+          stack = [{ tag, scope: recipe, parentScope: null, prop: null }];
+        }
+        continue;
+      }
+
+      const current = stack[stack.length - 1];
+      const selfClosing =
+        VOID_TAGS.has(tag) || attributeSource.trim().endsWith("/");
+
+      if (selfClosing) {
+        if (attributes.itemprop !== undefined) {
+          addProperty(
+            current.scope,
+            attributes.itemprop,
+            attributeValue(attributes) ?? "",
+          );
+        }
+        continue;
+      }
+
+      const hasScope = "itemscope" in attributes;
+      stack.push({
+        tag,
+        prop: attributes.itemprop ?? null,
+        attributes,
+        contentStart: match.index + tagSource.length,
+        parentScope: current.scope,
+        scope: hasScope ? {} : current.scope,
+        ownsScope: hasScope,
+      });
+      continue;
+    }
+
+    if (!recipe) continue;
+
+    // Pop up to the matching open tag, tolerating unclosed elements
+    const openIndex = stack.map((entry) => entry.tag).lastIndexOf(tag);
+    if (openIndex === -1) continue;
+
+    while (stack.length > openIndex) {
+      const entry = stack.pop();
+
+      if (stack.length === 0) {
+        recipes.push(recipe);
+        recipe = null;
+        stack = null;
+        break;
+      }
+
+      if (entry.prop === null) continue;
+
+      const value = entry.ownsScope
+        ? entry.scope
+        : (attributeValue(entry.attributes) ??
+          cleanText(html.slice(entry.contentStart, match.index)));
+      addProperty(entry.parentScope, entry.prop, value);
+    }
+  }
+
+  return recipes;
+}
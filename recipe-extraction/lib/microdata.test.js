@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { extractMicrodataRecipes } from "./microdata.js";
+
+const fixture = fs.readFileSync(
+  new URL("../fixtures/microdata.html", import.meta.url),
+  "utf8",
+);
+
+test("reads text, attribute and repeated properties", () => {
+  const [recipe] = extractMicrodataRecipes(fixture);
+  assert.equal(recipe.name, "Pancakes");
+  assert.equal(recipe.description, "Fluffy Sunday pancakes.");
+  assert.equal(recipe.image, "https://example.com/pancakes.jpg");
+  assert.equal(recipe.prepTime, "PT5M");
+  assert.equal(recipe.cookTime, "PT15M");
+  assert.deepEqual(recipe.recipeIngredient, [
+    "200 g flour",
+    "2 eggs",
+    "300 ml milk",
+  ]);
+  assert.deepEqual(recipe.recipeInstructions, [
+    "Whisk everything together.",
+    "Fry in a hot pan.",
+  ]);
+});
+
+test("keeps nested itemscopes as their own objects", () => {
+  const [recipe] = extractMicrodataRecipes(fixture);
+  assert.deepEqual(recipe.author, { name: "Ada" });
+  assert.equal(recipe.name, "Pancakes");
+});
+
+test("ignores itemscopes that aren't recipes", () => {
+  const html = `
+    <div itemscope itemtype="https://schema.org/Person">
+      <span itemprop="name">Ada</span>
+    </div>`;
+  assert.deepEqual(extractMicrodataRecipes(html), []);
+});
+
+test("tolerates unclosed elements", () => {
+  const html = `
+    <div itemscope itemtype="http://schema.org/Recipe">
+      <ul><li itemprop="recipeIngredient">1 egg<li itemprop="recipeIngredient">salt</ul>
+    </div>`;
+  const [recipe] = extractMicrodataRecipes(html);
+  assert.equal(recipe.recipeIngredient.length, 2);
+});
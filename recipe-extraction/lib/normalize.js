@@ -0,0 +1,151 @@
+/**
+ * Recipe Normalization
+ * Turns a raw schema.org Recipe (from JSON-LD or microdata) into the flat
+ * recipe object sent to the director.
+ */
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decode a numeric character reference, keeping the entity text when it
+ * doesn't name a character (beyond U+10FFFF, or a lone surrogate).
+ * @param {string} entity - The entity as written, e.g. "&#233;"
+ * @param {number} code - Its code point
+ * @returns {string} The character, or the entity unchanged
+ */
+function decodeCodePoint(entity, code) {
+  const isSurrogate = code >= 0xd800 && code <= 0xdfff;
+  return code <= 0x10ffff && !isSurrogate ? String.fromCodePoint(code) : entity;
+}
+
+/**
+ * Strip tags, decode common entities and collapse whitespace.
+ * @param {*} value - Raw text value
+ * @returns {string} Clean text
+ */
+export function cleanText(value) {
+  if (value === undefined || value === null) return "";
+
+  return String(value)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&#(\d+);/g, (entity, code) =>
+      decodeCodePoint(entity, Number(code)),
+    )
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) =>
+      decodeCodePoint(entity, parseInt(code, 16)),
+    )
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name] ?? entity)
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,;:!?])/g, "$1")
+    .trim();
+}
+
+/**
+ * Convert an ISO 8601 duration (e.g. "PT1H20M") to minutes.
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number|null} Minutes, or null if missing or unparseable
+ */
+export function parseDuration(duration) {
+  if (typeof duration !== "string") return null;
+
+  const match = duration
+    .trim()
+    .match(
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i,
+    );
+  if (!match || match.slice(1).every((part) => part === undefined)) {
+    return null;
+  }
+
+  const [days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => (part === undefined ? 0 : Number(part)));
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function toImageUrls(image) {
+  return toArray(image)
+    .map((entry) => (typeof entry === "string" ? entry : entry?.url))
+    .filter(Boolean);
+}
+
+/**
+ * Flatten recipeInstructions: plain text, HowToStep, HowToSection or nested lists.
+ * @param {*} instructions - Raw recipeInstructions value
+ * @returns {string[]} Ordered step texts
+ */
+function toSteps(instructions) {
+  return toArray(instructions).flatMap((entry) => {
+    if (typeof entry === "string") {
+      // A single text block: split on line breaks and paragraph/list boundaries
+      return entry
+        .split(/\n+|<br\s*\/?>|<\/(?:p|li)>/i)
+        .map(cleanText)
+        .filter(Boolean);
+    }
+    if (entry?.itemListElement) return toSteps(entry.itemListElement);
+    return [cleanText(entry?.text || entry?.name)].filter(Boolean);
+  });
+}
+
+function toYield(recipeYield) {
+  const values = toArray(recipeYield).map(cleanText).filter(Boolean);
+  if (values.length === 0) return null;
+
+  // Sites often repeat the yield as both "4" and "4 servings"; keep the most descriptive
+  return values.sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Normalize a raw schema.org Recipe object.
+ * @param {Object} raw - Recipe properties keyed by schema.org name
+ * @param {Object} context - Extraction context
+ * @param {string} context.url - Page URL
+ * @param {string} context.source - "json-ld" or "microdata"
+ * @returns {Object} Normalized recipe
+ */
+export function normalizeRecipe(raw, context = {}) {
+  const times = {
+    prep_minutes: parseDuration(raw.prepTime),
+    cook_minutes: parseDuration(raw.cookTime),
+    total_minutes: parseDuration(raw.totalTime),
+  };
+  if (
+    times.total_minutes === null &&
+    (times.prep_minutes || times.cook_minutes)
+  ) {
+    times.total_minutes = (times.prep_minutes || 0) + (times.cook_minutes || 0);
+  }
+
+  return {
+    name: cleanText(raw.name),
+    description: cleanText(raw.description),
+    url: raw.url || context.url || null,
+    ingredients: toArray(raw.recipeIngredient || raw.ingredients)
+      .map(cleanText)
+      .filter(Boolean),
+    steps: toSteps(raw.recipeInstructions),
+    times,
+    yield: toYield(raw.recipeYield),
+    images: toImageUrls(raw.image),
+    cuisine: toArray(raw.recipeCuisine).map(cleanText).filter(Boolean),
+    category: toArray(raw.recipeCategory).map(cleanText).filter(Boolean),
+    keywords: toArray(raw.keywords)
+      .flatMap((keywords) => String(keywords).split(","))
+      .map(cleanText)
+      .filter(Boolean),
+    source: context.source || null,
+  };
+}
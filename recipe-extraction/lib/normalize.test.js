@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { cleanText, normalizeRecipe, parseDuration } from "./normalize.js";
+import { extractJsonLdRecipes } from "./json-ld.js";
+import { extractMicrodataRecipes } from "./microdata.js";
+
+const readFixture = (name) =>
+  fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), "utf8");
+
+test("cleanText strips tags, decodes entities and collapses whitespace", () => {
+  assert.equal(
+    cleanText("<p>Salt &amp; pepper ,\n&#233;&#x1F345;&nbsp;done</p>"),
+    "Salt & pepper, é🍅 done",
+  );
+  assert.equal(cleanText(undefined), "");
+  assert.equal(cleanText(4), "4");
+});
+
+test("cleanText keeps numeric entities that name no character", () => {
+  assert.equal(cleanText("a &#99999999; b"), "a &#99999999; b");
+  assert.equal(cleanText("&#x110000; &#xD800;"), "&#x110000; &#xD800;");
+  assert.equal(cleanText("&unknown;"), "&unknown;");
+});
+
+test("parseDuration converts ISO 8601 durations to minutes", () => {
+  assert.equal(parseDuration("PT1H20M"), 80);
+  assert.equal(parseDuration("P1DT30M"), 1470);
+  assert.equal(parseDuration("pt90s"), 2);
+  assert.equal(parseDuration("PT"), null);
+  assert.equal(parseDuration("20 minutes"), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test("normalizes a JSON-LD recipe", () => {
+  const [raw] = extractJsonLdRecipes(readFixture("json-ld.html"));
+  assert.deepEqual(
+    normalizeRecipe(raw, {
+      url: "https://example.com/soup",
+      source: "json-ld",
+    }),
+    {
+      name: "Tomato Soup & Basil",
+      description: "A quick soup for cold evenings.",
+      url: "https://example.com/soup",
+      ingredients: ["1 kg tomatoes", "2 cloves garlic"],
+      steps: [
+        "Roast the tomatoes.",
+        "Blend with the garlic.",
+        "Serve with basil.",
+      ],
+      times: { prep_minutes: 10, cook_minutes: 45, total_minutes: 55 },
+      yield: "4 servings",
+      images: [
+        "https://example.com/soup.jpg",
+        "https://example.com/soup-wide.jpg",
+      ],
+      cuisine: ["Italian"],
+      category: ["Soup", "Starter"],
+      keywords: ["tomato", "soup", "vegetarian"],
+      source: "json-ld",
+    },
+  );
+});
+
+test("normalizes a microdata recipe", () => {
+  const [raw] = extractMicrodataRecipes(readFixture("microdata.html"));
+  const recipe = normalizeRecipe(raw, { source: "microdata" });
+  assert.equal(recipe.url, null);
+  assert.deepEqual(recipe.steps, [
+    "Whisk everything together.",
+    "Fry in a hot pan.",
+  ]);
+  assert.deepEqual(recipe.times, {
+    prep_minutes: 5,
+    cook_minutes: 15,
+    total_minutes: 20,
+  });
+  assert.equal(recipe.yield, "8 pancakes");
+  assert.deepEqual(recipe.images, ["https://example.com/pancakes.jpg"]);
+});
+
+test("splits a single instruction text block into steps", () => {
+  const recipe = normalizeRecipe({
+    recipeInstructions: "<p>Mix.</p><p>Bake.</p>Cool<br>Serve\n\nEnjoy",
+  });
+  assert.deepEqual(recipe.steps, ["Mix.", "Bake.", "Cool", "Serve", "Enjoy"]);
+});
+
+test("keeps a stated total time", () => {
+  const recipe = normalizeRecipe({
+    prepTime: "PT10M",
+    cookTime: "PT20M",
+    totalTime: "PT1H",
+  });
+  assert.equal(recipe.times.total_minutes, 60);
+});
@@ -0,0 +1,63 @@
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+import { writeJsonFile } from "./helpers.js";
+import { loadRecipeList, renderBatch } from "./pipeline/batch.js";
+
+dotenv.config();
+
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    concurrency: { type: "string", short: "c", default: "2" },
+    report: { type: "string" },
+    director: { type: "string" },
+    force: { type: "boolean", default: false },
+  },
+});
+
+const concurrency = parseInt(flags.concurrency, 10);
+
+if (positionals.length === 0 || !(concurrency > 0)) {
+  console.error(
+    "Usage: node render-batch.js <urls.txt|urls.csv|sitemap.xml|sitemap-url> [--concurrency 2] [--report report.json] [--director webhook|file|local] [--force]",
+  );
+  console.error(
+    "Example: node render-batch.js https://raymonds.recipes/sitemap.xml -c 3",
+  );
+  process.exit(1);
+}
+
+const recipeUrls = await loadRecipeList(positionals[0]);
+
+if (recipeUrls.length === 0) {
+  console.error(`No recipe URLs found in ${positionals[0]}`);
+  process.exit(1);
+}
+
+console.log(
+  `Rendering ${recipeUrls.length} recipes, ${concurrency} at a time\n`,
+);
+
+const report = await renderBatch(recipeUrls, {
+  concurrency,
+  pipelineOptions: { force: flags.force, director: flags.director },
+});
+
+const reportPath = writeJsonFile(
+  flags.report || `./media/batch-report-${Date.now()}.json`,
+  report,
+);
+
+console.log(
+  `\n🎉 Batch complete: ${report.succeeded}/${report.total} rendered`,
+);
+report.results.forEach((result) => {
+  console.log(
+    result.status === "success"
+      ? `  ✓ ${result.recipe_url} → ${result.outputs.mp4}`
+      : `  ✗ ${result.recipe_url}: ${result.error}`,
+  );
+});
+console.log(`\nReport: ${reportPath}`);
+
+process.exit(report.failed > 0 ? 1 : 0);
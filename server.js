@@ -0,0 +1,15 @@
+import dotenv from "dotenv";
+import { createJobQueue } from "./pipeline/job-queue.js";
+import { createJobServer } from "./pipeline/http-server.js";
+
+dotenv.config();
+
+const PORT = parseInt(process.env.JOB_SERVER_PORT || "3000", 10);
+const CONCURRENCY = parseInt(process.env.JOB_SERVER_CONCURRENCY || "1", 10);
+
+const queue = createJobQueue({ concurrency: CONCURRENCY });
+
+createJobServer(queue).listen(PORT, () => {
+  console.log(`🎬 Recipe job server listening on http://localhost:${PORT}`);
+  console.log(`   ${queue.listJobs().length} jobs on disk\n`);
+});
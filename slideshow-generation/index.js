@@ -1,10 +1,19 @@
 import ffmpeg from "fluent-ffmpeg";
 import fs from "fs";
 import path from "path";
+import http from "http";
 import https from "https";
 import { tmpdir } from "os";
 import { randomBytes } from "crypto";
+import { fileURLToPath } from "url";
 import { sanitizePath } from "../helpers.js";
+import { validateVideoSpec } from "./lib/spec-schema.js";
+
+export {
+  validateVideoSpec,
+  getVideoSpecSchema,
+  KEN_BURNS_DIRECTIONS,
+} from "./lib/spec-schema.js";
 
 /**
  * Ken Burns Filter Generator
@@ -38,6 +47,13 @@ export async function createSlideshowFromSpec(
   audioInputPath,
   outputFilePath,
 ) {
+  const validation = validateVideoSpec(payload);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid video specification: ${validation.errors.join("; ")}`,
+    );
+  }
+
   const { video_spec } = payload;
   const { fps, duration: totalDuration } = video_spec; // Grab the total duration here
   const { width, height } = video_spec.resolution;
@@ -57,7 +73,7 @@ export async function createSlideshowFromSpec(
     const sceneAssets = await Promise.all(
       scenes.map(async (scene) => {
         const dest = `${workingDir}/scene_${scene.scene_number}.jpg`;
-        await downloadFile(scene.image_src, dest);
+        await fetchAsset(scene.image_src, dest);
         return { ...scene, localPath: dest };
       }),
     );
@@ -130,14 +146,27 @@ export async function createSlideshowFromSpec(
 /**
  * Internal Utilities
  */
+function fetchAsset(src, dest) {
+  // Local paths (or file:// URLs) are copied so saved specs can replay offline
+  if (src.startsWith("file://")) src = fileURLToPath(src);
+  if (!/^https?:\/\//.test(src)) {
+    return fs.promises.copyFile(sanitizePath(src), dest);
+  }
+  return downloadFile(src, dest);
+}
+
 function downloadFile(url, dest) {
+  const client = url.startsWith("http://") ? http : https;
   return new Promise((resolve, reject) => {
-    const request = https.get(
+    const request = client.get(
       url,
       { headers: { "User-Agent": "Mozilla/5.0" } },
       (response) => {
         if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-          return downloadFile(response.headers.location, dest)
+          return downloadFile(
+            new URL(response.headers.location, url).href,
+            dest,
+          )
             .then(resolve)
             .catch(reject);
         }
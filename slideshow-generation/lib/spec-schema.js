@@ -0,0 +1,136 @@
+/**
+ * Video Spec Schema
+ * JSON Schema for the video webhook payload ({ video_spec }) plus the timing
+ * rules a schema can't express.
+ */
+
+import {
+  validateAgainstSchema,
+  formatSchemaError,
+} from "../../midi-generation/lib/json-schema.js";
+
+// Ken Burns pan targets understood by generateKenBurnsFilter
+export const KEN_BURNS_DIRECTIONS = [
+  "center",
+  "left",
+  "right",
+  "upper",
+  "lower",
+  "upper_left",
+  "upper_right",
+  "lower_left",
+  "lower_right",
+];
+
+/**
+ * Build the video payload JSON Schema.
+ * @returns {Object} JSON Schema (draft-07)
+ */
+export function getVideoSpecSchema() {
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    $id: "recipe-slideshow-generation/video-spec.schema.json",
+    title: "video payload",
+    type: "object",
+    required: ["video_spec"],
+    properties: {
+      video_spec: {
+        type: "object",
+        required: ["fps", "duration", "resolution", "movements"],
+        properties: {
+          fps: { type: "number", exclusiveMinimum: 0, maximum: 120 },
+          duration: { type: "number", exclusiveMinimum: 0 },
+          resolution: {
+            type: "object",
+            required: ["width", "height"],
+            properties: {
+              width: { type: "integer", minimum: 2 },
+              height: { type: "integer", minimum: 2 },
+            },
+          },
+          movements: {
+            type: "object",
+            minProperties: 1,
+            additionalProperties: { $ref: "#/definitions/movement" },
+          },
+        },
+      },
+    },
+    definitions: {
+      movement: {
+        type: "object",
+        required: ["scenes"],
+        properties: {
+          scenes: {
+            type: "array",
+            minItems: 1,
+            items: { $ref: "#/definitions/scene" },
+          },
+        },
+      },
+      scene: {
+        type: "object",
+        required: [
+          "scene_number",
+          "image_src",
+          "start_time",
+          "end_time",
+          "effect",
+        ],
+        properties: {
+          scene_number: { type: ["integer", "string"] },
+          image_src: { type: "string", minLength: 1 },
+          start_time: { type: "number", minimum: 0 },
+          end_time: { type: "number", minimum: 0 },
+          effect: {
+            type: "object",
+            required: ["start_scale", "end_scale", "direction"],
+            properties: {
+              start_scale: { type: "number", exclusiveMinimum: 0 },
+              end_scale: { type: "number", exclusiveMinimum: 0 },
+              direction: { type: "string", enum: KEN_BURNS_DIRECTIONS },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Validate a video payload before rendering.
+ * @param {Object} payload - Video webhook response ({ video_spec })
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+export function validateVideoSpec(payload) {
+  if (!payload) {
+    return { isValid: false, errors: ["Video payload is null or undefined"] };
+  }
+
+  const errors = validateAgainstSchema(payload, getVideoSpecSchema()).map(
+    formatSchemaError,
+  );
+
+  const movements = payload.video_spec?.movements;
+  if (movements && typeof movements === "object") {
+    for (const [movementName, movement] of Object.entries(movements)) {
+      const scenes = Array.isArray(movement?.scenes) ? movement.scenes : [];
+      scenes.forEach((scene, sceneIndex) => {
+        if (
+          typeof scene?.start_time === "number" &&
+          typeof scene?.end_time === "number" &&
+          scene.end_time <= scene.start_time
+        ) {
+          errors.push(
+            `video_spec.movements.${movementName}.scenes[${sceneIndex}].end_time: must be greater than start_time (${scene.start_time})`,
+          );
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
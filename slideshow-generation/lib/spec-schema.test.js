@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateVideoSpec } from "./spec-schema.js";
+
+const scene = (fields = {}) => ({
+  scene_number: 1,
+  image_src: "a.jpg",
+  start_time: 0,
+  end_time: 5,
+  effect: { start_scale: 1, end_scale: 1.2, direction: "center" },
+  ...fields,
+});
+const payload = (fields = {}) => ({
+  video_spec: {
+    fps: 30,
+    duration: 10,
+    resolution: { width: 1920, height: 1080 },
+    movements: { intro: { scenes: [scene()] } },
+    ...fields,
+  },
+});
+
+test("accepts a complete video payload", () => {
+  assert.deepEqual(validateVideoSpec(payload()), { isValid: true, errors: [] });
+});
+
+test("rejects a missing payload or video_spec", () => {
+  assert.deepEqual(validateVideoSpec(null).errors, [
+    "Video payload is null or undefined",
+  ]);
+  assert.deepEqual(validateVideoSpec({}).errors, ["video_spec: is required"]);
+});
+
+test("reports every video problem with its JSON path", () => {
+  const video = payload({
+    fps: 0,
+    movements: {
+      intro: {
+        scenes: [
+          scene({
+            image_src: "",
+            start_time: 5,
+            effect: { start_scale: 1, end_scale: 1.2, direction: "diagonal" },
+          }),
+        ],
+      },
+      outro: { scenes: [] },
+    },
+  });
+  delete video.video_spec.resolution;
+
+  const { isValid, errors } = validateVideoSpec(video);
+  assert.equal(isValid, false);
+  assert.deepEqual(errors, [
+    "video_spec.resolution: is required",
+    "video_spec.fps: must be > 0, got 0",
+    "video_spec.movements.intro.scenes[0].image_src: must not be empty",
+    'video_spec.movements.intro.scenes[0].effect.direction: unknown value "diagonal", expected one of: center, left, right, upper, lower, upper_left, upper_right, lower_left, lower_right',
+    "video_spec.movements.outro.scenes: must have at least 1 items",
+    "video_spec.movements.intro.scenes[0].end_time: must be greater than start_time (5)",
+  ]);
+});
+
+test("requires every scene field and effect setting", () => {
+  const { errors } = validateVideoSpec(
+    payload({
+      movements: { intro: { scenes: [{ scene_number: 1, effect: {} }] } },
+    }),
+  );
+  assert.deepEqual(errors, [
+    "video_spec.movements.intro.scenes[0].image_src: is required",
+    "video_spec.movements.intro.scenes[0].start_time: is required",
+    "video_spec.movements.intro.scenes[0].end_time: is required",
+    "video_spec.movements.intro.scenes[0].effect.start_scale: is required",
+    "video_spec.movements.intro.scenes[0].effect.end_scale: is required",
+    "video_spec.movements.intro.scenes[0].effect.direction: is required",
+  ]);
+});